@@ -0,0 +1,547 @@
+// Price alerts - watchlists of rules ("min price below X", "profit above Y%", "trend turns RISING")
+// evaluated against every refreshed /items snapshot, with triggered alerts POSTed to a webhook
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+import { getCollection } from './db.js';
+import { analyzeItem, analyzeMultiTimeframe, normalizeItemName, resolvePricingParameters } from './pricing-engine.js';
+import { resolveFilterRules } from './filter-rules.js';
+import { PROFILE_SETTING_KEYS } from './profiles.js';
+import { formatPrice } from './currency.js';
+import { appIdFilter } from './games.js';
+
+const WATCHLISTS = 'watchlists';
+const ALERTS = 'alerts';
+const WATCHLIST_NAME_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+const RULE_ID_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+const MAX_RULES_PER_WATCHLIST = 100;
+
+// What a rule watches - `value` is the threshold (price in the watchlist currency, percentage, or trend)
+export const ALERT_RULE_TYPES = {
+    PRICE_BELOW: 'PRICE_BELOW',         // Cheapest listing (min_price) below value
+    PROFIT_ABOVE: 'PROFIT_ABOVE',       // profitPercentage of buying at `buyPrice` (default: the cheapest listing) above value
+    TREND: 'TREND'                      // Sales trend equals value (RISING, FALLING, STABLE)
+};
+
+const TRENDS = ['RISING', 'FALLING', 'STABLE'];
+
+// Payload shapes a webhook can receive
+export const WEBHOOK_FORMATS = ['discord', 'json'];
+
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+// Waits before each webhook retry (a 429's Retry-After wins when it is longer)
+const WEBHOOK_RETRY_DELAYS_MS = [2000, 10000, 30000];
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Hosts webhooks may be sent to (comma-separated, ".example.com" allows subdomains). When set, only
+// these are accepted - including private ones; otherwise any host on a public address is.
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+// Loopback, private, link-local, shared, multicast and reserved ranges a webhook must not reach
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Discord embed colour per rule type
+const EMBED_COLORS = { PRICE_BELOW: 0x3498db, PROFIT_ABOVE: 0x2ecc71, TREND: 0xf1c40f };
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export async function ensureAlertIndexes() {
+    try {
+        await getCollection(WATCHLISTS).createIndex({ name: 1 }, { unique: true });
+        await getCollection(ALERTS).createIndex({ watchlist: 1, triggeredAt: -1 });
+    } catch (error) {
+        console.error(`[Alerts] Failed to create indexes: ${error.message}`);
+    }
+}
+
+function validateRule(rule, index, currency) {
+    const errors = [];
+    const path = `rules[${index}]`;
+    if (!isPlainObject(rule)) {
+        return { errors: [`${path} must be an object`], value: null };
+    }
+
+    const id = rule.id === undefined ? `rule-${index + 1}` : String(rule.id);
+    if (!RULE_ID_PATTERN.test(id)) errors.push(`${path}.id must be letters, digits, "-" and "_" (up to 50 characters)`);
+
+    const marketHashName = typeof rule.marketHashName === 'string' ? normalizeItemName(rule.marketHashName) : null;
+    if (!marketHashName) errors.push(`${path}.marketHashName is required`);
+
+    const type = String(rule.type || '').toUpperCase();
+    const value = { id, marketHashName, type, value: null, buyPrice: null };
+    if (!ALERT_RULE_TYPES[type]) {
+        errors.push(`${path}.type must be one of ${Object.keys(ALERT_RULE_TYPES).join(', ')}`);
+    } else if (type === ALERT_RULE_TYPES.TREND) {
+        const trend = String(rule.value || '').toUpperCase();
+        if (!TRENDS.includes(trend)) errors.push(`${path}.value must be one of ${TRENDS.join(', ')}`);
+        value.value = trend;
+    } else {
+        const threshold = typeof rule.value === 'number' ? rule.value : parseFloat(String(rule.value).replace(',', '.'));
+        if (!Number.isFinite(threshold) || (type === ALERT_RULE_TYPES.PRICE_BELOW && threshold <= 0)) {
+            errors.push(`${path}.value must be a ${type === ALERT_RULE_TYPES.PRICE_BELOW ? `positive price in ${currency}` : 'profit percentage'}`);
+        }
+        value.value = threshold;
+    }
+
+    if (rule.buyPrice !== undefined && rule.buyPrice !== null) {
+        const buyPrice = typeof rule.buyPrice === 'number' ? rule.buyPrice : parseFloat(String(rule.buyPrice).replace(',', '.'));
+        if (type !== ALERT_RULE_TYPES.PROFIT_ABOVE) errors.push(`${path}.buyPrice only applies to PROFIT_ABOVE rules`);
+        else if (!(buyPrice > 0)) errors.push(`${path}.buyPrice must be a positive price in ${currency}`);
+        value.buyPrice = buyPrice;
+    }
+
+    return { errors, value };
+}
+
+function isAllowedHost(host) {
+    return WEBHOOK_ALLOWED_HOSTS.some(allowed => allowed.startsWith('.') ? host.endsWith(allowed) : host === allowed);
+}
+
+export function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Why a webhook URL may not be used (a message to append to the field name), null when it may.
+ * Names resolving to private addresses are refused when the webhook is sent (see webhookFetch).
+ */
+export function checkWebhookUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return 'must be an http(s) URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'must be an http(s) URL';
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+    if (WEBHOOK_ALLOWED_HOSTS.length > 0) {
+        return isAllowedHost(host) ? null : `host ${host} is not in WEBHOOK_ALLOWED_HOSTS`;
+    }
+    if (host === 'localhost' || /\.(localhost|local|internal)$/.test(host) || isPrivateAddress(host)) {
+        return 'must not point to a local or private network address';
+    }
+    return null;
+}
+
+// DNS lookup for webhook connections that refuses private addresses, so a public-looking name can't
+// be pointed at the internal network (checked on every connection, not just when the URL was saved)
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked && !isAllowedHost(hostname.toLowerCase())) {
+            return callback(new Error(`${hostname} resolves to the private address ${blocked.address}`));
+        }
+        callback(null, address, family);
+    });
+}
+
+const webhookAgents = {
+    'http:': new http.Agent({ lookup: publicLookup }),
+    'https:': new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * fetch for webhooks: only to URLs checkWebhookUrl accepts, only over public addresses, no redirects
+ */
+export async function webhookFetch(url, init = {}) {
+    const problem = checkWebhookUrl(url);
+    if (problem) throw new Error(`Webhook URL ${problem}`);
+    return fetch(url, { ...init, redirect: 'manual', agent: parsed => webhookAgents[parsed.protocol] });
+}
+
+function validateWebhook(webhook) {
+    if (!isPlainObject(webhook) || typeof webhook.url !== 'string') {
+        return { errors: ['webhook must be { url, format } (format: discord or json)'], value: null };
+    }
+
+    const errors = [];
+    const problem = checkWebhookUrl(webhook.url);
+    if (problem) errors.push(`webhook.url ${problem}`);
+
+    const format = webhook.format === undefined ? 'discord' : String(webhook.format).toLowerCase();
+    if (!WEBHOOK_FORMATS.includes(format)) errors.push(`webhook.format must be one of ${WEBHOOK_FORMATS.join(', ')}`);
+    return { errors, value: { url: webhook.url, format } };
+}
+
+/**
+ * Validate a watchlist payload ({ name, description, settings, rules, webhook, cooldownMinutes, enabled }).
+ * `settings` are the analysis settings the rules are evaluated with (appId, currency, fees... as in
+ * a profile). With `partial` the name is taken from the URL and only the fields present are checked.
+ * Returns { errors, values } - values also carries the resolved `appId` and `currency`.
+ */
+export function validateWatchlist(body, { partial = false, current = null } = {}) {
+    const errors = [];
+    const values = {};
+
+    if (!partial) {
+        if (typeof body.name !== 'string' || !WATCHLIST_NAME_PATTERN.test(body.name)) {
+            errors.push('name is required (letters, digits, "-" and "_", up to 50 characters)');
+        } else {
+            values.name = body.name;
+        }
+    }
+
+    if (body.description !== undefined) {
+        values.description = String(body.description);
+    } else if (!partial) {
+        values.description = '';
+    }
+
+    const settings = body.settings !== undefined ? body.settings : (current?.settings || {});
+    if (!isPlainObject(settings)) {
+        errors.push('settings must be an object');
+    } else {
+        Object.keys(settings).forEach(key => {
+            if (!PROFILE_SETTING_KEYS.includes(key)) {
+                errors.push(`settings.${key} cannot be stored in a watchlist (allowed: ${PROFILE_SETTING_KEYS.join(', ')})`);
+            }
+        });
+        errors.push(...resolveFilterRules(settings).errors);
+        const { errors: pricingErrors, parameters } = resolvePricingParameters(settings);
+        errors.push(...pricingErrors);
+        if (body.settings !== undefined || !partial) values.settings = settings;
+        if (pricingErrors.length === 0) {
+            values.appId = parameters.game.appId;
+            values.currency = parameters.currency;
+        }
+    }
+
+    if (body.rules !== undefined || !partial) {
+        if (!Array.isArray(body.rules) || body.rules.length === 0 || body.rules.length > MAX_RULES_PER_WATCHLIST) {
+            errors.push(`rules must be an array of 1 to ${MAX_RULES_PER_WATCHLIST} { marketHashName, type, value }`);
+        } else {
+            const rules = body.rules.map((rule, index) => {
+                const { errors: ruleErrors, value } = validateRule(rule, index, values.currency || 'EUR');
+                errors.push(...ruleErrors);
+                return value;
+            });
+            const ids = rules.filter(Boolean).map(rule => rule.id);
+            if (new Set(ids).size !== ids.length) errors.push('rule ids must be unique');
+            values.rules = rules;
+        }
+    }
+
+    if (body.webhook !== undefined || !partial) {
+        const { errors: webhookErrors, value } = validateWebhook(body.webhook);
+        errors.push(...webhookErrors);
+        values.webhook = value;
+    }
+
+    if (body.cooldownMinutes !== undefined) {
+        const cooldownMinutes = Number(body.cooldownMinutes);
+        if (!(cooldownMinutes >= 0)) errors.push('cooldownMinutes must be zero or a positive number');
+        else values.cooldownMinutes = cooldownMinutes;
+    } else if (!partial) {
+        values.cooldownMinutes = DEFAULT_COOLDOWN_MINUTES;
+    }
+
+    if (body.enabled !== undefined) {
+        values.enabled = body.enabled !== false && body.enabled !== 'false';
+    } else if (!partial) {
+        values.enabled = true;
+    }
+
+    return { errors, values };
+}
+
+export async function listWatchlists() {
+    return getCollection(WATCHLISTS).find({}).sort({ name: 1 }).toArray();
+}
+
+export async function getWatchlist(name) {
+    return getCollection(WATCHLISTS).findOne({ name });
+}
+
+/**
+ * Store a new watchlist. Returns null if the name is already taken.
+ */
+export async function createWatchlist(values) {
+    const collection = getCollection(WATCHLISTS);
+    if (await collection.findOne({ name: values.name })) {
+        return null;
+    }
+
+    const now = new Date();
+    const watchlist = { ...values, ruleStates: {}, createdAt: now, updatedAt: now };
+    await collection.insertOne(watchlist);
+    console.log(`[Alerts] Created watchlist "${watchlist.name}" (${watchlist.rules.length} rules)`);
+    return watchlist;
+}
+
+/**
+ * Update a watchlist. Replacing the rules forgets which of them were already triggered.
+ */
+export async function updateWatchlist(name, values) {
+    const update = { ...values, updatedAt: new Date() };
+    if (values.rules) update.ruleStates = {};
+    return getCollection(WATCHLISTS).findOneAndUpdate({ name }, { $set: update }, { returnDocument: 'after' });
+}
+
+export async function deleteWatchlist(name) {
+    const result = await getCollection(WATCHLISTS).deleteOne({ name });
+    return result.deletedCount === 1;
+}
+
+/**
+ * Items whose rules need sales history (PROFIT_ABOVE and TREND) in enabled watchlists of a game -
+ * the poller keeps them in its watch set so the history is fresh when a snapshot is evaluated
+ */
+export async function listWatchedNames(appId) {
+    const watchlists = await getCollection(WATCHLISTS).find({ enabled: true, appId: appIdFilter(appId) }).toArray();
+    const names = watchlists.flatMap(watchlist => watchlist.rules
+        .filter(rule => rule.type !== ALERT_RULE_TYPES.PRICE_BELOW)
+        .map(rule => rule.marketHashName));
+    return [...new Set(names)];
+}
+
+/**
+ * Alert history, newest first
+ */
+export async function listAlerts({ watchlist, marketHashName, limit = 50 } = {}) {
+    const filter = {};
+    if (watchlist) filter.watchlist = watchlist;
+    if (marketHashName) filter.marketHashName = marketHashName;
+    return getCollection(ALERTS).find(filter).sort({ triggeredAt: -1 }).limit(limit).toArray();
+}
+
+/**
+ * Evaluate one rule against an item's /items entry and sales history. `settings` are the
+ * watchlist's analysis settings. Returns { triggered, observed } - observed is the watched value
+ * (null when the data can't tell).
+ */
+export function evaluateRule(rule, marketData, salesData, settings) {
+    if (rule.type === ALERT_RULE_TYPES.PRICE_BELOW) {
+        const observed = marketData?.min_price > 0 ? marketData.min_price : null;
+        return { triggered: observed !== null && observed < rule.value, observed };
+    }
+
+    if (rule.type === ALERT_RULE_TYPES.TREND) {
+        const { parameters } = resolvePricingParameters(settings);
+        const observed = salesData ? analyzeMultiTimeframe(salesData, parameters.model, parameters.currency)?.trend ?? null : null;
+        return { triggered: observed === rule.value, observed };
+    }
+
+    const buyPrice = rule.buyPrice ?? marketData?.min_price;
+    if (!buyPrice || !marketData || !salesData) {
+        return { triggered: false, observed: null };
+    }
+    const result = analyzeItem({ marketHashName: rule.marketHashName, price: buyPrice }, marketData, salesData, settings);
+    const observed = result.accepted ? parseFloat(result.item.profitPercentage) : null;
+    return { triggered: observed !== null && observed > rule.value, observed };
+}
+
+/**
+ * One-line description of a triggered rule
+ */
+function describeAlert(rule, observed, currency) {
+    switch (rule.type) {
+        case ALERT_RULE_TYPES.PRICE_BELOW:
+            return `${rule.marketHashName}: cheapest listing ${formatPrice(observed, currency)} is below ${formatPrice(rule.value, currency)}`;
+        case ALERT_RULE_TYPES.PROFIT_ABOVE:
+            return `${rule.marketHashName}: ${observed}% profit${rule.buyPrice ? ` at ${formatPrice(rule.buyPrice, currency)}` : ' at the cheapest listing'} is above ${rule.value}%`;
+        default:
+            return `${rule.marketHashName}: sales trend is ${observed}`;
+    }
+}
+
+/**
+ * Webhook body for an alert - a Discord message (content + embed) or the plain alert
+ */
+export function buildWebhookPayload(alert, format) {
+    if (format === 'json') {
+        const { _id, delivery, ...payload } = alert;
+        return { event: 'price_alert', ...payload };
+    }
+
+    return {
+        username: 'Skinport Tracker',
+        content: alert.message,
+        embeds: [{
+            title: alert.marketHashName,
+            description: alert.message,
+            color: EMBED_COLORS[alert.rule.type],
+            fields: [
+                { name: 'Watchlist', value: alert.watchlist, inline: true },
+                { name: 'Rule', value: `${alert.rule.type} ${alert.rule.value}`, inline: true },
+                { name: 'Observed', value: String(alert.observed ?? 'n/a'), inline: true }
+            ],
+            timestamp: alert.triggeredAt.toISOString()
+        }]
+    };
+}
+
+function retryAfterMs(response) {
+    const retryAfter = response.headers.get('retry-after');
+    if (!retryAfter) return 0;
+    const seconds = parseFloat(retryAfter);
+    return Number.isFinite(seconds) ? seconds * 1000 : Math.max(new Date(retryAfter).getTime() - Date.now(), 0);
+}
+
+/**
+ * POST a payload to a webhook, retrying network errors, 429s and 5xx responses.
+ * Returns { status: 'DELIVERED' | 'FAILED', attempts, lastError }.
+ */
+export async function postWebhook(url, payload, { fetchImpl = webhookFetch, retryDelaysMs = WEBHOOK_RETRY_DELAYS_MS, delay } = {}) {
+    let lastError = null;
+    for (let attempt = 1; attempt <= retryDelaysMs.length + 1; attempt++) {
+        let waitMs = retryDelaysMs[attempt - 1];
+        try {
+            const response = await fetchImpl(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+            if (response.ok) {
+                return { status: 'DELIVERED', attempts: attempt, lastError: null };
+            }
+
+            lastError = `HTTP ${response.status}`;
+            if (response.status !== 429 && response.status < 500) {
+                return { status: 'FAILED', attempts: attempt, lastError };
+            }
+            if (response.status === 429) waitMs = Math.max(waitMs ?? 0, retryAfterMs(response));
+        } catch (error) {
+            lastError = error.message;
+        }
+
+        if (attempt <= retryDelaysMs.length) {
+            console.log(`[Alerts] Webhook attempt ${attempt} failed (${lastError}) - retrying in ${Math.round(waitMs / 1000)}s`);
+            await delay(waitMs);
+        }
+    }
+    return { status: 'FAILED', attempts: retryDelaysMs.length + 1, lastError };
+}
+
+/**
+ * Create the alert engine. `getSalesHistory(name, currency, appId)` returns the freshest sales
+ * history the server has for an item without spending a Skinport request.
+ */
+export function createAlertEngine({ getSalesHistory, delay, fetchImpl = webhookFetch, retryDelaysMs = WEBHOOK_RETRY_DELAYS_MS }) {
+    let lastEvaluatedAt = null;
+    let lastResult = null;
+    let deliveriesInFlight = 0;
+
+    async function deliver(alert, webhook) {
+        const alerts = getCollection(ALERTS);
+        deliveriesInFlight++;
+        try {
+            const delivery = await postWebhook(webhook.url, buildWebhookPayload(alert, webhook.format), { fetchImpl, retryDelaysMs, delay });
+            await alerts.updateOne({ _id: alert._id }, { $set: { delivery: { ...delivery, finishedAt: new Date() } } });
+            if (delivery.status === 'DELIVERED') {
+                console.log(`[Alerts] Delivered "${alert.message}" to ${alert.watchlist} webhook`);
+            } else {
+                console.error(`[Alerts] Webhook delivery for ${alert.watchlist} failed after ${delivery.attempts} attempts: ${delivery.lastError}`);
+            }
+        } finally {
+            deliveriesInFlight--;
+        }
+    }
+
+    /**
+     * Evaluate every enabled watchlist of a game and currency against a refreshed /items snapshot.
+     * A rule alerts when its condition becomes true (not on every snapshot while it stays true)
+     * and at most once per the watchlist's cooldown; the webhook is called in the background.
+     */
+    async function evaluateSnapshot(itemsLookup, currency, appId, snapshotAt = new Date()) {
+        const result = { watchlists: 0, rulesEvaluated: 0, triggered: 0, suppressed: 0 };
+        const watchlists = await getCollection(WATCHLISTS).find({ enabled: true, currency, appId: appIdFilter(appId) }).toArray();
+
+        for (const watchlist of watchlists) {
+            result.watchlists++;
+            const ruleStates = { ...(watchlist.ruleStates || {}) };
+            const settings = { ...watchlist.settings };
+            const alerts = [];
+
+            for (const rule of watchlist.rules) {
+                const marketData = itemsLookup[rule.marketHashName];
+                if (!marketData) continue;
+
+                const salesData = rule.type === ALERT_RULE_TYPES.PRICE_BELOW ? null : await getSalesHistory(rule.marketHashName, currency, appId);
+                const { triggered, observed } = evaluateRule(rule, marketData, salesData, settings);
+                const state = ruleStates[rule.id] || { active: false, lastTriggeredAt: null };
+                result.rulesEvaluated++;
+
+                const cooledDown = !state.lastTriggeredAt || snapshotAt - new Date(state.lastTriggeredAt) >= watchlist.cooldownMinutes * 60 * 1000;
+                if (triggered && !state.active && cooledDown) {
+                    alerts.push({
+                        watchlist: watchlist.name,
+                        ruleId: rule.id,
+                        rule,
+                        marketHashName: rule.marketHashName,
+                        currency,
+                        appId,
+                        observed,
+                        message: describeAlert(rule, observed, currency),
+                        triggeredAt: snapshotAt,
+                        delivery: { status: 'PENDING', attempts: 0, lastError: null, finishedAt: null }
+                    });
+                    ruleStates[rule.id] = { active: true, lastTriggeredAt: snapshotAt, lastObserved: observed };
+                } else {
+                    if (triggered && !state.active) result.suppressed++;
+                    ruleStates[rule.id] = { ...state, active: triggered, lastObserved: observed };
+                }
+            }
+
+            await getCollection(WATCHLISTS).updateOne({ _id: watchlist._id }, { $set: { ruleStates, lastEvaluatedAt: snapshotAt } });
+            for (const alert of alerts) {
+                await getCollection(ALERTS).insertOne(alert);
+                result.triggered++;
+                deliver(alert, watchlist.webhook).catch(error => {
+                    console.error(`[Alerts] Failed to record webhook delivery: ${error.message}`);
+                });
+            }
+        }
+
+        if (result.triggered > 0) {
+            console.log(`[Alerts] ${result.triggered} alerts triggered by the ${currency} snapshot (app ${appId})`);
+        }
+        lastEvaluatedAt = snapshotAt.toISOString();
+        lastResult = result;
+        return result;
+    }
+
+    /**
+     * Send a test alert to a watchlist's webhook (awaits the delivery, retries included)
+     */
+    async function sendTestAlert(watchlist) {
+        const rule = watchlist.rules[0];
+        const alert = {
+            watchlist: watchlist.name,
+            ruleId: rule.id,
+            rule,
+            marketHashName: rule.marketHashName,
+            currency: watchlist.currency,
+            appId: watchlist.appId,
+            observed: null,
+            message: `Test alert from watchlist ${watchlist.name}`,
+            triggeredAt: new Date()
+        };
+        return postWebhook(watchlist.webhook.url, buildWebhookPayload(alert, watchlist.webhook.format), { fetchImpl, retryDelaysMs, delay });
+    }
+
+    function getStatus() {
+        return { lastEvaluatedAt, lastResult, deliveriesInFlight };
+    }
+
+    return { evaluateSnapshot, sendTestAlert, getStatus };
+}
@@ -0,0 +1,265 @@
+// Analysis pipeline - runs analyzeItem() over a whole /analyze-prices request.
+// Data access is injected so the same orchestration serves the HTTP routes, jobs and offline tools.
+import {
+    analyzeItem,
+    calculateAccuracyStats,
+    resolvePricingParameters,
+    REJECTION_REASONS
+} from './pricing-engine.js';
+import { describeAppliedFilters } from './filter-rules.js';
+import { appliedItemNames, lookupAppliedItems } from './sticker-pricing.js';
+import { formatPrice } from './currency.js';
+import { resolveItemName } from './item-attributes.js';
+
+/**
+ * Analyze items against already-fetched lookups (market_hash_name → /items entry and
+ * market_hash_name → /sales/history entry, applied stickers and charms included). `onItem` receives every accepted item,
+ * the first `debugSamples` analyzed items get their raw market data logged.
+ * Returns { analyzedItems, rejectedItems }.
+ */
+export function analyzeItems(items, marketLookup, salesLookup, settings = {}, { onItem = () => {}, debugSamples = 0 } = {}) {
+    const analyzedItems = [];
+    const rejectedItems = [];
+
+    items.forEach(item => {
+        const itemName = resolveItemName(item);
+        const marketData = itemName ? marketLookup[itemName] : undefined;
+        const salesData = itemName ? salesLookup[itemName] : undefined;
+
+        // Debug: Log the structure for first few items
+        if (analyzedItems.length < debugSamples && marketData && salesData) {
+            console.log(`[Debug] Market data for "${itemName}":`, JSON.stringify(marketData, null, 2));
+            console.log(`[Debug] Sales data for "${itemName}":`, JSON.stringify(salesData, null, 2).substring(0, 500) + '...');
+        }
+
+        const result = analyzeItem(item, marketData, salesData, settings, lookupAppliedItems(item, marketLookup, salesLookup));
+        if (result.accepted) {
+            analyzedItems.push(result.item);
+            onItem(result.item);
+        } else {
+            console.log(`[Filter] ${result.rejection.name}: ${result.rejection.message} (${result.rejection.reason})`);
+            rejectedItems.push(result.rejection);
+        }
+    });
+
+    return { analyzedItems, rejectedItems };
+}
+
+/**
+ * Number of rejected items per rejection reason
+ */
+export function countRejections(rejectedItems) {
+    const counts = {};
+    rejectedItems.forEach(rejection => {
+        counts[rejection.reason] = (counts[rejection.reason] || 0) + 1;
+    });
+    return counts;
+}
+
+/**
+ * Items with a rare phase or pattern (Ruby, Sapphire, blue gem...) - listed in the summary because
+ * they need a manual price rather than being filtered out like the other rejections
+ */
+export function listSpecialHandling(rejectedItems) {
+    return rejectedItems
+        .filter(rejection => rejection.reason === REJECTION_REASONS.SPECIAL_HANDLING)
+        .map(({ name, buyPrice, message, details }) => ({ name, buyPrice, rarity: details.rarity, paintSeed: details.paintSeed, phase: details.phase, message }));
+}
+
+/**
+ * market_hash_names an item's analysis needs: its own and those of its applied stickers and charms
+ */
+function requiredNames(item) {
+    const itemName = resolveItemName(item);
+    return itemName && itemName.trim() ? [itemName, ...appliedItemNames(item)] : [];
+}
+
+/**
+ * Unique, normalized market_hash_names of the requested items and their applied stickers and charms
+ */
+export function extractUniqueNames(items) {
+    return [...new Set(items.flatMap(requiredNames))];
+}
+
+/**
+ * Fetches sales history for `names` (of game `appId`) batch by batch, waiting `dataSource.batchDelayMs`
+ * between batches. `onBatch(names, batchData)` runs as soon as a batch arrives; fields it returns are
+ * added to the batch_complete progress event. Returns the merged lookup (market_hash_name → /sales/history entry).
+ */
+export async function fetchSalesHistoryInBatches(names, currency, dataSource, { appId, signal, onProgress = () => {}, onBatch = () => {} } = {}) {
+    const { fetchSalesHistoryBatch, createBatches, batchDelayMs = 0, delay } = dataSource;
+    const onRateLimitWait = (wait) => onProgress({ type: 'rate_limit_wait', ...wait });
+
+    console.log(`[Backend] Fetching sales history in batches...`);
+    const batches = createBatches(names);
+    console.log(`[Backend] Split into ${batches.length} batches.`);
+    onProgress({ type: 'batches_planned', totalBatches: batches.length, uniqueItems: names.length });
+
+    const allSalesData = {};
+    for (let i = 0; i < batches.length; i++) {
+        console.log(`[Backend] Processing sales history batch ${i + 1}/${batches.length} (${batches[i].length} items)`);
+        onProgress({ type: 'batch_start', batch: i + 1, totalBatches: batches.length, items: batches[i].length });
+
+        const batchData = await fetchSalesHistoryBatch(batches[i], currency, { appId, signal, onRateLimitWait });
+        signal?.throwIfAborted();
+        Object.assign(allSalesData, batchData);
+        const batchResult = onBatch(batches[i], batchData) || {};
+
+        onProgress({
+            type: 'batch_complete',
+            batch: i + 1,
+            totalBatches: batches.length,
+            salesDataFound: Object.keys(batchData).length,
+            ...batchResult
+        });
+
+        // Delay between batches for rate limiting
+        if (i < batches.length - 1 && batchDelayMs > 0) {
+            console.log(`[Backend] Waiting ${batchDelayMs / 1000} seconds before next batch...`);
+            await delay(batchDelayMs, signal);
+        }
+    }
+    return allSalesData;
+}
+
+/**
+ * Fetches everything needed to analyze `items`: the /items catalogue and the sales history of every
+ * requested name. `onBatch(names, batchData, marketLookup)` runs as each sales history batch arrives
+ * (see fetchSalesHistoryInBatches). Returns { uniqueNames, marketLookup, salesLookup }.
+ */
+export async function fetchAnalysisData(items, currency, dataSource, { appId, signal, onProgress = () => {}, onBatch = () => {} } = {}) {
+    const uniqueNames = extractUniqueNames(items);
+    if (uniqueNames.length === 0) {
+        return { uniqueNames, marketLookup: {}, salesLookup: {} };
+    }
+
+    const onRateLimitWait = (wait) => onProgress({ type: 'rate_limit_wait', ...wait });
+    console.log(`[Backend] Fetching current market data for all items...`);
+    const marketLookup = await dataSource.fetchMarketData(currency, { appId, signal, onRateLimitWait });
+    signal?.throwIfAborted();
+
+    const salesLookup = await fetchSalesHistoryInBatches(uniqueNames, currency, dataSource, {
+        appId,
+        signal,
+        onProgress,
+        onBatch: (names, batchData) => onBatch(names, batchData, marketLookup)
+    });
+    return { uniqueNames, marketLookup, salesLookup };
+}
+
+/**
+ * Runs the /analyze-prices pipeline: fetches current market data, then sales history batch by
+ * batch, analyzing each item as soon as the batch holding its sales history arrives.
+ *
+ * `dataSource` provides { fetchMarketData(currency, options), fetchSalesHistoryBatch(names, currency, options),
+ * createBatches(names), batchDelayMs, delay(ms, signal) }; options carry the game's `appId`.
+ * `onProgress` receives batch and rate limiter events, `onItem` every analyzed item, and
+ * aborting `signal` cancels the run between batches and during waits.
+ */
+export async function runPriceAnalysis(items, settings, dataSource, { signal, onProgress = () => {}, onItem = () => {} } = {}) {
+    const { game, currency } = resolvePricingParameters(settings).parameters;
+    const appId = game.appId;
+    const analyzedItems = [];
+    const rejectedItems = [];
+
+    // Extract unique market hash names (item names)
+    const uniqueNames = extractUniqueNames(items);
+    console.log(`[Backend] Extracted ${uniqueNames.length} unique item names.`);
+
+    if (uniqueNames.length === 0) {
+        rejectedItems.push(...analyzeItems(items, {}, {}, settings).rejectedItems);
+        return {
+            analyzedItems,
+            rejectedItems,
+            summary: {
+                totalProcessed: 0,
+                profitableFound: 0,
+                rejectedFound: rejectedItems.length,
+                rejectionCounts: countRejections(rejectedItems),
+                appliedFilters: describeAppliedFilters(settings, countRejections(rejectedItems)),
+                message: 'No valid item names found'
+            }
+        };
+    }
+
+    // Items are analyzed as soon as the sales history of every name they need (their own, their
+    // stickers' and charms') has arrived
+    let pendingItems = [];
+    items.forEach(item => {
+        const names = requiredNames(item);
+        if (names.length === 0) {
+            // Nothing to look up - still reported as a rejection
+            rejectedItems.push(...analyzeItems([item], {}, {}, settings).rejectedItems);
+            return;
+        }
+        pendingItems.push({ item, names });
+    });
+
+    const allSalesData = {};
+    const fetchedNames = new Set();
+    const analyzePendingItems = (names, marketLookup, { all = false } = {}) => {
+        names.forEach(name => fetchedNames.add(name));
+        const readyItems = pendingItems.filter(pending => all || pending.names.every(name => fetchedNames.has(name)));
+        pendingItems = pendingItems.filter(pending => !readyItems.includes(pending));
+
+        // Analyze each item for profitability using BOTH current market + sales history
+        const result = analyzeItems(readyItems.map(pending => pending.item), marketLookup, allSalesData, settings, {
+            onItem,
+            debugSamples: Math.max(0, 3 - analyzedItems.length)
+        });
+        analyzedItems.push(...result.analyzedItems);
+        rejectedItems.push(...result.rejectedItems);
+    };
+
+    // Fetch BOTH current market data AND sales history
+    const { marketLookup: allMarketData } = await fetchAnalysisData(items, currency, dataSource, {
+        appId,
+        signal,
+        onProgress,
+        onBatch: (names, batchData, marketLookup) => {
+            Object.assign(allSalesData, batchData);
+            analyzePendingItems(names, marketLookup);
+            return { analyzedItems: analyzedItems.length };
+        }
+    });
+
+    // Names that never made it into a batch (rejected as invalid for the API) have no sales history
+    analyzePendingItems([], allMarketData, { all: true });
+
+    console.log(`[Backend] Got market data for ${Object.keys(allMarketData).length} items`);
+    console.log(`[Backend] Got sales history for ${Object.keys(allSalesData).length} items`);
+    console.log(`[Backend] Analysis complete. Found ${analyzedItems.length} profitable items, rejected ${rejectedItems.length}.`);
+
+    const accuracyStats = calculateAccuracyStats(analyzedItems);
+    const rejectionCounts = countRejections(rejectedItems);
+
+    // Add debug logging for item matching
+    console.log(`[DEBUG] Final item names for matching:`);
+    analyzedItems.slice(0, 5).forEach((item, index) => {
+        console.log(`  ${index + 1}. Server: "${item.marketHashName}" | Wear: "${item.wear}" | Profit: ${formatPrice(parseFloat(item.profitAmount), currency)} | Accuracy: ${item.pricingAccuracy.accuracy}%`);
+    });
+
+    return {
+        analyzedItems,
+        rejectedItems,
+        summary: {
+            totalProcessed: items.length,
+            appId,
+            currency,
+            profile: settings.profile || null,
+            modelVersion: resolvePricingParameters(settings).parameters.model.version,
+            profitableFound: analyzedItems.length,
+            rejectedFound: rejectedItems.length,
+            rejectionCounts,
+            appliedFilters: describeAppliedFilters(settings, rejectionCounts),
+            specialHandling: listSpecialHandling(rejectedItems),
+            uniqueItemsChecked: uniqueNames.length,
+            marketDataFound: Object.keys(allMarketData).length,
+            salesDataFound: Object.keys(allSalesData).length,
+            strategy: 'Smart multi-timeframe pricing with sales data analysis',
+            timeframe: 'Dynamic (24h, 7d, 30d, 90d)',
+            algorithm: 'Enhanced smart pricing v2.0'
+        },
+        accuracyStats: accuracyStats
+    };
+}
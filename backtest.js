@@ -0,0 +1,257 @@
+// Offline backtesting harness - replays recorded /items and /sales/history payloads through
+// the same per-item analysis as /analyze-prices and simulates a buy-and-list policy.
+//
+// Usage: node backtest.js [fixture.json] [--verbose] (defaults to fixtures/backtest-sample.json)
+// (MODEL_CONFIG_FILE / MODEL_VERSION select the pricing model config, as for the server)
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import {
+    normalizeItemName,
+    resolvePricingParameters,
+    analyzeItem,
+    calculateAccuracyStats
+} from './pricing-engine.js';
+import { resolveFilterRules } from './filter-rules.js';
+import { countRejections } from './analysis-pipeline.js';
+import { resolveItemName } from './item-attributes.js';
+import { calculateFees } from './fee-schedule.js';
+import { lookupAppliedItems } from './sticker-pricing.js';
+import { loadModelConfigFile, setActiveModelVersion } from './model-config.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Replayed when no fixture is given (npm run backtest)
+const DEFAULT_FIXTURE = fileURLToPath(new URL('./fixtures/backtest-sample.json', import.meta.url));
+
+export const DEFAULT_BACKTEST_POLICY = {
+    buyRecommendations: ['STRONG_BUY', 'BUY'], // Which recommendations we would actually buy
+    maxHoldDays: 7,                            // Give up on a listing after this long
+    maxPositionsPerItem: 1                     // Don't stack the same item within one decision
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * /items payload (array) → lookup by market_hash_name, same shape as fetchAllSkinportItems
+ */
+function toMarketLookup(itemsPayload = []) {
+    const lookup = {};
+    itemsPayload.forEach(item => {
+        if (item && item.market_hash_name) {
+            lookup[item.market_hash_name] = {
+                market_hash_name: item.market_hash_name,
+                min_price: item.min_price,
+                max_price: item.max_price,
+                mean_price: item.mean_price,
+                median_price: item.median_price,
+                quantity: item.quantity
+            };
+        }
+    });
+    return lookup;
+}
+
+/**
+ * /sales/history payload (array) → lookup by market_hash_name, same shape as fetchSalesHistoryBatch
+ */
+function toSalesLookup(salesPayload = []) {
+    const lookup = {};
+    salesPayload.forEach(item => {
+        if (item && item.market_hash_name) {
+            lookup[item.market_hash_name] = item;
+        }
+    });
+    return lookup;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * First later snapshot whose last-24h sales reached our list price (that's when we'd have sold)
+ */
+function findFill(position, snapshots, buyIndex, maxHoldMs) {
+    for (let i = buyIndex + 1; i < snapshots.length; i++) {
+        const snapshot = snapshots[i];
+        if (snapshot.time - snapshots[buyIndex].time > maxHoldMs) break;
+
+        const sales = snapshot.sales[position.marketHashName]?.last_24_hours;
+        if (sales && sales.volume > 0 && sales.max >= position.listPrice) {
+            return snapshot;
+        }
+    }
+    return null;
+}
+
+/**
+ * Run a backtest over a fixture:
+ * {
+ *   settings: { ...same as /analyze-prices },
+ *   policy: { buyRecommendations, maxHoldDays, maxPositionsPerItem },
+ *   snapshots: [{ takenAt, items: [/items], salesHistory: [/sales/history], listings: [{ name, price }] }]
+ * }
+ * Listings of a snapshot are analyzed against that snapshot's market data; bought items are
+ * listed at grossAchievablePrice and filled by the first later snapshot whose sales reach it.
+ */
+export function runBacktest(fixture) {
+    const settings = fixture.settings || {};
+    const policy = { ...DEFAULT_BACKTEST_POLICY, ...(fixture.policy || {}) };
+    const maxHoldMs = policy.maxHoldDays * 24 * HOUR_MS;
+
+    if (!Array.isArray(fixture.snapshots) || fixture.snapshots.length === 0) {
+        throw new Error('Fixture must contain a non-empty snapshots array');
+    }
+
+    const pricing = resolvePricingParameters(settings);
+    const errors = [...resolveFilterRules(settings).errors, ...pricing.errors];
+    if (errors.length > 0) {
+        throw new Error(`Invalid settings: ${errors.join('; ')}`);
+    }
+    const { feeSchedule, model } = pricing.parameters;
+
+    const snapshots = fixture.snapshots
+        .map(snapshot => ({
+            time: new Date(snapshot.takenAt).getTime(),
+            takenAt: snapshot.takenAt,
+            market: toMarketLookup(snapshot.items),
+            sales: toSalesLookup(snapshot.salesHistory),
+            listings: snapshot.listings || []
+        }))
+        .sort((a, b) => a.time - b.time);
+
+    if (snapshots.some(snapshot => Number.isNaN(snapshot.time))) {
+        throw new Error('Every snapshot needs a valid takenAt timestamp');
+    }
+
+    const trades = [];
+    const analyzedItems = [];
+    const rejectedItems = [];
+    let candidates = 0;
+
+    snapshots.forEach((snapshot, index) => {
+        if (snapshot.listings.length === 0) return;
+        candidates += snapshot.listings.length;
+
+        const boughtThisRound = new Map();
+        snapshot.listings.forEach(listing => {
+            const itemName = resolveItemName(listing);
+            const result = analyzeItem(listing, snapshot.market[itemName], snapshot.sales[itemName], settings, lookupAppliedItems(listing, snapshot.market, snapshot.sales));
+            if (!result.accepted) {
+                rejectedItems.push(result.rejection);
+                return;
+            }
+            const analyzedItem = result.item;
+            analyzedItems.push(analyzedItem);
+
+            if (!policy.buyRecommendations.includes(analyzedItem.recommendation)) return;
+
+            const marketHashName = normalizeItemName(analyzedItem.name);
+            const held = boughtThisRound.get(marketHashName) || 0;
+            if (held >= policy.maxPositionsPerItem) return;
+            boughtThisRound.set(marketHashName, held + 1);
+
+            const position = {
+                marketHashName,
+                boughtAt: snapshot.takenAt,
+                buyPrice: parseFloat(analyzedItem.skinportPrice),
+                listPrice: parseFloat(analyzedItem.grossAchievablePrice),
+                expectedProfit: parseFloat(analyzedItem.profitAmount),
+                recommendation: analyzedItem.recommendation,
+                confidence: analyzedItem.confidence,
+                pricingStrategy: analyzedItem.pricingStrategy
+            };
+
+            const fill = findFill(position, snapshots, index, maxHoldMs);
+            if (fill) {
+                const netProceeds = calculateFees(position.listPrice, feeSchedule).netPrice;
+                trades.push({
+                    ...position,
+                    status: 'FILLED',
+                    soldAt: fill.takenAt,
+                    hoursToSell: round2((fill.time - snapshot.time) / HOUR_MS),
+                    profit: round2(netProceeds - position.buyPrice)
+                });
+            } else {
+                // Unfilled positions are liquidated at the cheapest listing of the last snapshot we saw
+                const lastSnapshot = snapshots[snapshots.length - 1];
+                const liquidationPrice = lastSnapshot.market[marketHashName]?.min_price ?? null;
+                trades.push({
+                    ...position,
+                    status: 'UNFILLED',
+                    soldAt: null,
+                    hoursToSell: null,
+                    liquidationPrice,
+                    profit: liquidationPrice !== null ? round2(calculateFees(liquidationPrice, feeSchedule).netPrice - position.buyPrice) : round2(-position.buyPrice)
+                });
+            }
+        });
+    });
+
+    const filled = trades.filter(trade => trade.status === 'FILLED');
+    const unfilled = trades.filter(trade => trade.status === 'UNFILLED');
+    const invested = trades.reduce((sum, trade) => sum + trade.buyPrice, 0);
+    const realizedProfit = filled.reduce((sum, trade) => sum + trade.profit, 0);
+    const liquidationProfit = unfilled.reduce((sum, trade) => sum + trade.profit, 0);
+    const hoursToSell = filled.map(trade => trade.hoursToSell);
+
+    const byRecommendation = {};
+    trades.forEach(trade => {
+        const group = byRecommendation[trade.recommendation] || (byRecommendation[trade.recommendation] = { bought: 0, filled: 0, profit: 0 });
+        group.bought++;
+        if (trade.status === 'FILLED') group.filled++;
+        group.profit = round2(group.profit + trade.profit);
+    });
+    Object.values(byRecommendation).forEach(group => {
+        group.fillRate = Math.round((group.filled / group.bought) * 1000) / 10;
+    });
+
+    return {
+        policy,
+        modelVersion: model.version,
+        snapshots: snapshots.length,
+        candidatesAnalyzed: candidates,
+        recommended: analyzedItems.length,
+        rejectionCounts: countRejections(rejectedItems),
+        bought: trades.length,
+        filled: filled.length,
+        fillRate: trades.length > 0 ? Math.round((filled.length / trades.length) * 1000) / 10 : 0,
+        averageHoursToSell: hoursToSell.length > 0 ? round2(hoursToSell.reduce((a, b) => a + b, 0) / hoursToSell.length) : null,
+        medianHoursToSell: hoursToSell.length > 0 ? round2(median(hoursToSell)) : null,
+        invested: round2(invested),
+        realizedProfit: round2(realizedProfit),
+        liquidationProfit: round2(liquidationProfit),
+        totalProfit: round2(realizedProfit + liquidationProfit),
+        roi: invested > 0 ? round2(((realizedProfit + liquidationProfit) / invested) * 100) : 0,
+        byRecommendation,
+        accuracyStats: calculateAccuracyStats(analyzedItems),
+        trades
+    };
+}
+
+// CLI entry point: node backtest.js [fixture.json] [--verbose]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const fixturePath = args.find(arg => !arg.startsWith('--')) || DEFAULT_FIXTURE;
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+    // The pricing engine logs every step; keep the report readable unless asked otherwise
+    const log = console.log;
+    if (!args.includes('--verbose')) {
+        console.log = () => {};
+    }
+    if (process.env.MODEL_CONFIG_FILE) {
+        loadModelConfigFile(process.env.MODEL_CONFIG_FILE, { activeVersion: process.env.MODEL_VERSION });
+    } else if (process.env.MODEL_VERSION && !setActiveModelVersion(process.env.MODEL_VERSION)) {
+        console.error(`Unknown MODEL_VERSION ${process.env.MODEL_VERSION}`);
+        process.exit(1);
+    }
+    const report = runBacktest(fixture);
+    console.log = log;
+
+    console.log(JSON.stringify(report, null, 2));
+}
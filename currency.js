@@ -0,0 +1,140 @@
+// Currencies - formatting prices in the requested currency and converting amounts through a local
+// FX table. Amounts defined by the app itself (model thresholds, preset fee schedules) are in
+// BASE_CURRENCY and get converted; amounts sent with a request are in the request's currency.
+import fs from 'fs';
+
+export const BASE_CURRENCY = 'EUR';
+
+// Currencies Skinport accepts for /items and /sales/history
+export const SUPPORTED_CURRENCIES = ['AUD', 'BRL', 'CAD', 'CHF', 'CNY', 'CZK', 'DKK', 'EUR', 'GBP', 'HRK', 'NOK', 'PLN', 'RUB', 'SEK', 'TRY', 'USD'];
+
+// Units per 1 EUR. Rough reference rates only - supply current ones with FX_RATES_FILE.
+export const DEFAULT_FX_RATES = Object.freeze({
+    EUR: 1,
+    AUD: 1.65,
+    BRL: 5.9,
+    CAD: 1.47,
+    CHF: 0.95,
+    CNY: 7.8,
+    CZK: 25.2,
+    DKK: 7.46,
+    GBP: 0.85,
+    HRK: 7.53,
+    NOK: 11.6,
+    PLN: 4.3,
+    RUB: 98,
+    SEK: 11.4,
+    TRY: 36,
+    USD: 1.08
+});
+
+// Symbols written in front of the amount; other currencies get their code after it
+const CURRENCY_SYMBOLS = { EUR: '€', USD: '$', GBP: '£', AUD: 'A$', CAD: 'C$', BRL: 'R$', CNY: '¥', TRY: '₺' };
+
+let fxTable = { rates: DEFAULT_FX_RATES, source: 'built-in', loadedAt: new Date() };
+
+/**
+ * Upper-cased currency code, or null when Skinport doesn't support it
+ */
+export function normalizeCurrency(value) {
+    const code = String(value ?? '').trim().toUpperCase();
+    return SUPPORTED_CURRENCIES.includes(code) ? code : null;
+}
+
+/**
+ * Check a rate table ({ CODE: units per 1 EUR }). Returns { errors, rates } - missing currencies
+ * keep their current rate.
+ */
+export function validateFxRates(rates) {
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+        return { errors: ['FX rates must be an object of { CURRENCY: units per 1 EUR }'], rates: null };
+    }
+
+    const errors = [];
+    Object.entries(rates).forEach(([code, rate]) => {
+        if (!SUPPORTED_CURRENCIES.includes(code)) errors.push(`Unsupported currency in FX rates: ${code}`);
+        else if (typeof rate !== 'number' || !(rate > 0)) errors.push(`FX rate for ${code} must be a positive number`);
+    });
+    if (rates[BASE_CURRENCY] !== undefined && rates[BASE_CURRENCY] !== 1) {
+        errors.push(`FX rates are per 1 ${BASE_CURRENCY}, so ${BASE_CURRENCY} must be 1`);
+    }
+
+    return { errors, rates: errors.length > 0 ? null : { ...fxTable.rates, ...rates } };
+}
+
+export function getFxRates() {
+    return { base: BASE_CURRENCY, rates: fxTable.rates, source: fxTable.source, loadedAt: fxTable.loadedAt.toISOString() };
+}
+
+export function setFxRates(rates, source = 'api') {
+    const validated = validateFxRates(rates);
+    if (validated.rates) {
+        fxTable = { rates: Object.freeze(validated.rates), source, loadedAt: new Date() };
+        console.log(`[FX] Using ${Object.keys(validated.rates).length} rates (${source})`);
+    }
+    return validated.errors;
+}
+
+/**
+ * Load the FX table from a JSON file ({ rates: { USD: 1.08, ... } } or the rates object itself)
+ */
+export function loadFxRatesFile(filePath) {
+    const contents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const errors = setFxRates(contents.rates || contents, `file:${filePath}`);
+    if (errors.length > 0) {
+        throw new Error(`Invalid FX rates in ${filePath}: ${errors.join('; ')}`);
+    }
+}
+
+/**
+ * Units of `to` per unit of `from`, null when the table has no rate for either
+ */
+export function getFxRate(from, to) {
+    if (from === to) return 1;
+    const fromRate = fxTable.rates[from];
+    const toRate = fxTable.rates[to];
+    return fromRate && toRate ? toRate / fromRate : null;
+}
+
+export function convertAmount(amount, from, to) {
+    if (amount === null || amount === undefined) return amount;
+    const rate = getFxRate(from, to);
+    return rate === null ? null : amount * rate;
+}
+
+/**
+ * Price for display: "€11.50", "$12.40", "129.90 SEK"
+ */
+export function formatPrice(amount, currency = BASE_CURRENCY) {
+    const symbol = CURRENCY_SYMBOLS[currency];
+    return symbol ? `${symbol}${amount.toFixed(2)}` : `${amount.toFixed(2)} ${currency}`;
+}
+
+/**
+ * Compare one item's catalogue entries across currencies (`entries` maps currency → /items entry).
+ * Every price is converted into `targetCurrency`; `impliedRate` is the exchange rate the two Skinport
+ * prices imply and `deviation` how far (%) that is from the FX table - large deviations mean a
+ * stale FX table, a stale cache, or a real price difference between the currency markets.
+ */
+export function crossCheckPrices(entries, targetCurrency = BASE_CURRENCY) {
+    const reference = entries[targetCurrency];
+    const round2 = (value) => value === null || value === undefined ? null : Math.round(value * 100) / 100;
+
+    return Object.entries(entries).map(([currency, entry]) => {
+        const rate = getFxRate(currency, targetCurrency);
+        const converted = (field) => typeof entry[field] === 'number' && rate !== null ? round2(entry[field] * rate) : null;
+        const impliedRate = reference && reference.min_price && entry.min_price ? reference.min_price / entry.min_price : null;
+
+        return {
+            currency,
+            min_price: entry.min_price ?? null,
+            median_price: entry.median_price ?? null,
+            quantity: entry.quantity ?? null,
+            [`min_price_${targetCurrency}`]: converted('min_price'),
+            [`median_price_${targetCurrency}`]: converted('median_price'),
+            fxRate: rate,
+            impliedRate: impliedRate !== null ? Math.round(impliedRate * 10000) / 10000 : null,
+            deviation: impliedRate !== null && rate ? round2(((impliedRate / rate) - 1) * 100) : null
+        };
+    });
+}
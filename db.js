@@ -0,0 +1,415 @@
+// Persistence layer for Skinport Tracker - MongoDB with an in-memory stand-in
+import { MongoClient, ObjectId } from 'mongodb';
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const MONGODB_DB_NAME = process.env.MONGODB_DB_NAME || 'skinport_tracker';
+
+// Connection attempts before startup fails when MONGODB_URI is set (never falls back to memory)
+const MONGODB_CONNECT_ATTEMPTS = parseInt(process.env.MONGODB_CONNECT_ATTEMPTS || '5', 10);
+const MONGODB_RETRY_DELAY_MS = 3000;
+
+// The in-memory stand-in keeps at most this many documents per collection (oldest dropped first)
+const MEMORY_COLLECTION_MAX_DOCS = parseInt(process.env.MEMORY_COLLECTION_MAX_DOCS || '100000', 10);
+
+let client = null;
+let database = null;
+let backend = 'none';
+
+/**
+ * Read a (possibly dotted) field path from a document
+ */
+function getPath(doc, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+/**
+ * Write a (possibly dotted) field path on a document, creating intermediate objects
+ */
+function setPath(doc, path, value) {
+    const keys = path.split('.');
+    let target = doc;
+    for (let i = 0; i < keys.length - 1; i++) {
+        if (target[keys[i]] == null || typeof target[keys[i]] !== 'object') {
+            target[keys[i]] = {};
+        }
+        target = target[keys[i]];
+    }
+    target[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Remove a (possibly dotted) field path from a document
+ */
+function unsetPath(doc, path) {
+    const keys = path.split('.');
+    const parent = keys.length > 1 ? getPath(doc, keys.slice(0, -1).join('.')) : doc;
+    if (parent && typeof parent === 'object') {
+        delete parent[keys[keys.length - 1]];
+    }
+}
+
+/**
+ * Comparable primitive for a stored value (ObjectIds and Dates compare by content)
+ */
+function comparable(value) {
+    if (value instanceof ObjectId) return value.toHexString();
+    if (value instanceof Date) return value.getTime();
+    return value;
+}
+
+function valuesEqual(a, b) {
+    // Like MongoDB, null matches missing fields
+    if (b === null) return a === null || a === undefined;
+    if (Array.isArray(a) && !Array.isArray(b)) {
+        return a.some(entry => valuesEqual(entry, b));
+    }
+    return comparable(a) === comparable(b);
+}
+
+/**
+ * Evaluate a single field condition ({ $gte: 5 } or a plain value) against a value
+ */
+function matchesCondition(value, condition) {
+    const isOperatorObject = condition !== null &&
+        typeof condition === 'object' &&
+        !(condition instanceof Date) &&
+        !(condition instanceof ObjectId) &&
+        !Array.isArray(condition) &&
+        Object.keys(condition).some(key => key.startsWith('$'));
+
+    if (!isOperatorObject) {
+        return valuesEqual(value, condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case '$eq': return valuesEqual(value, operand);
+            case '$ne': return !valuesEqual(value, operand);
+            case '$gt': return value != null && comparable(value) > comparable(operand);
+            case '$gte': return value != null && comparable(value) >= comparable(operand);
+            case '$lt': return value != null && comparable(value) < comparable(operand);
+            case '$lte': return value != null && comparable(value) <= comparable(operand);
+            case '$in': return operand.some(candidate => valuesEqual(value, candidate));
+            case '$nin': return !operand.some(candidate => valuesEqual(value, candidate));
+            case '$exists': return (value !== undefined) === Boolean(operand);
+            default:
+                throw new Error(`Unsupported query operator in memory store: ${operator}`);
+        }
+    });
+}
+
+/**
+ * Evaluate a MongoDB-style filter against a document (subset of the query language)
+ */
+function matchesFilter(doc, filter = {}) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$and') return condition.every(sub => matchesFilter(doc, sub));
+        if (key === '$or') return condition.some(sub => matchesFilter(doc, sub));
+        return matchesCondition(getPath(doc, key), condition);
+    });
+}
+
+function compareBySort(sortSpec) {
+    const entries = Object.entries(sortSpec || {});
+    return (a, b) => {
+        for (const [path, direction] of entries) {
+            const left = comparable(getPath(a, path));
+            const right = comparable(getPath(b, path));
+            if (left === right) continue;
+            if (left === undefined || left === null) return -direction;
+            if (right === undefined || right === null) return direction;
+            return left < right ? -direction : direction;
+        }
+        return 0;
+    };
+}
+
+/**
+ * Apply a MongoDB-style update document ($set, $inc, $push, ...) to a document in place
+ */
+function applyUpdate(doc, update, isInsert = false) {
+    for (const [operator, fields] of Object.entries(update)) {
+        for (const [path, value] of Object.entries(fields)) {
+            switch (operator) {
+                case '$set':
+                    setPath(doc, path, value);
+                    break;
+                case '$setOnInsert':
+                    if (isInsert) setPath(doc, path, value);
+                    break;
+                case '$unset':
+                    unsetPath(doc, path);
+                    break;
+                case '$inc':
+                    setPath(doc, path, (getPath(doc, path) || 0) + value);
+                    break;
+                case '$push': {
+                    const current = getPath(doc, path) || [];
+                    const additions = value && value.$each ? value.$each : [value];
+                    let next = current.concat(additions);
+                    if (value && typeof value.$slice === 'number') {
+                        next = value.$slice < 0 ? next.slice(value.$slice) : next.slice(0, value.$slice);
+                    }
+                    setPath(doc, path, next);
+                    break;
+                }
+                default:
+                    throw new Error(`Unsupported update operator in memory store: ${operator}`);
+            }
+        }
+    }
+    return doc;
+}
+
+/**
+ * Seed an upserted document with the equality fields of its filter
+ */
+function documentFromFilter(filter) {
+    const doc = {};
+    for (const [key, condition] of Object.entries(filter)) {
+        if (key.startsWith('$')) continue;
+        if (condition !== null && typeof condition === 'object' && !(condition instanceof Date) &&
+            !(condition instanceof ObjectId) && Object.keys(condition).some(k => k.startsWith('$'))) {
+            if ('$eq' in condition) setPath(doc, key, condition.$eq);
+            continue;
+        }
+        setPath(doc, key, condition);
+    }
+    return doc;
+}
+
+/**
+ * Deep copy a stored value so callers can't mutate the store (keeps ObjectIds and Dates intact)
+ */
+function clone(value) {
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof ObjectId) return new ObjectId(value.toHexString());
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Array.isArray(value)) return value.map(clone);
+    const copy = {};
+    for (const [key, entry] of Object.entries(value)) {
+        copy[key] = clone(entry);
+    }
+    return copy;
+}
+
+class MemoryCursor {
+    constructor(docs) {
+        this.docs = docs;
+        this.sortSpec = null;
+        this.skipCount = 0;
+        this.limitCount = 0;
+    }
+
+    sort(spec) {
+        this.sortSpec = spec;
+        return this;
+    }
+
+    skip(count) {
+        this.skipCount = count;
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    async toArray() {
+        let results = [...this.docs];
+        if (this.sortSpec) results.sort(compareBySort(this.sortSpec));
+        if (this.skipCount) results = results.slice(this.skipCount);
+        if (this.limitCount) results = results.slice(0, this.limitCount);
+        return results.map(clone);
+    }
+}
+
+/**
+ * Minimal in-process implementation of the MongoDB collection API used by this server
+ */
+class MemoryCollection {
+    constructor(name) {
+        this.collectionName = name;
+        this.docs = [];
+    }
+
+    enforceCapacity() {
+        if (this.docs.length > MEMORY_COLLECTION_MAX_DOCS) {
+            this.docs.splice(0, this.docs.length - MEMORY_COLLECTION_MAX_DOCS);
+        }
+    }
+
+    async createIndex(keys) {
+        return Object.keys(keys).join('_');
+    }
+
+    async insertOne(doc) {
+        const stored = clone({ _id: new ObjectId(), ...doc });
+        this.docs.push(stored);
+        this.enforceCapacity();
+        doc._id = stored._id;
+        return { acknowledged: true, insertedId: stored._id };
+    }
+
+    async insertMany(docs) {
+        const insertedIds = {};
+        docs.forEach((doc, index) => {
+            const stored = clone({ _id: new ObjectId(), ...doc });
+            this.docs.push(stored);
+            doc._id = stored._id;
+            insertedIds[index] = stored._id;
+        });
+        this.enforceCapacity();
+        return { acknowledged: true, insertedCount: docs.length, insertedIds };
+    }
+
+    find(filter = {}) {
+        return new MemoryCursor(this.docs.filter(doc => matchesFilter(doc, filter)));
+    }
+
+    async findOne(filter = {}, options = {}) {
+        const [doc] = await this.find(filter).sort(options.sort).limit(1).toArray();
+        return doc || null;
+    }
+
+    async countDocuments(filter = {}) {
+        return this.docs.filter(doc => matchesFilter(doc, filter)).length;
+    }
+
+    locate(filter, sort) {
+        const matches = this.docs.filter(doc => matchesFilter(doc, filter));
+        if (sort) matches.sort(compareBySort(sort));
+        return matches[0] || null;
+    }
+
+    async updateOne(filter, update, options = {}) {
+        const target = this.locate(filter, options.sort);
+        if (target) {
+            applyUpdate(target, update);
+            return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedId: null };
+        }
+        if (options.upsert) {
+            const doc = applyUpdate({ _id: new ObjectId(), ...documentFromFilter(filter) }, update, true);
+            this.docs.push(doc);
+            this.enforceCapacity();
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedId: doc._id };
+        }
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedId: null };
+    }
+
+    async updateMany(filter, update) {
+        const matches = this.docs.filter(doc => matchesFilter(doc, filter));
+        matches.forEach(doc => applyUpdate(doc, update));
+        return { acknowledged: true, matchedCount: matches.length, modifiedCount: matches.length };
+    }
+
+    async findOneAndUpdate(filter, update, options = {}) {
+        const target = this.locate(filter, options.sort);
+        const returnAfter = options.returnDocument === 'after';
+        if (target) {
+            const before = clone(target);
+            applyUpdate(target, update);
+            return returnAfter ? clone(target) : before;
+        }
+        if (options.upsert) {
+            const doc = applyUpdate({ _id: new ObjectId(), ...documentFromFilter(filter) }, update, true);
+            this.docs.push(doc);
+            this.enforceCapacity();
+            return returnAfter ? clone(doc) : null;
+        }
+        return null;
+    }
+
+    async deleteOne(filter) {
+        const index = this.docs.findIndex(doc => matchesFilter(doc, filter));
+        if (index === -1) return { acknowledged: true, deletedCount: 0 };
+        this.docs.splice(index, 1);
+        return { acknowledged: true, deletedCount: 1 };
+    }
+
+    async deleteMany(filter = {}) {
+        const before = this.docs.length;
+        this.docs = this.docs.filter(doc => !matchesFilter(doc, filter));
+        return { acknowledged: true, deletedCount: before - this.docs.length };
+    }
+}
+
+class MemoryDatabase {
+    constructor() {
+        this.collections = new Map();
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new MemoryCollection(name));
+        }
+        return this.collections.get(name);
+    }
+}
+
+/**
+ * Connect to MongoDB when MONGODB_URI is set, otherwise use the in-memory stand-in. A configured
+ * MongoDB that stays unreachable after MONGODB_CONNECT_ATTEMPTS fails startup - falling back to
+ * memory would silently lose everything written until the next restart.
+ */
+export async function connectDatabase() {
+    if (database) return database;
+
+    if (!MONGODB_URI) {
+        console.log(`[Database] MONGODB_URI not set - using in-memory store (data is lost on restart)`);
+        database = new MemoryDatabase();
+        backend = 'memory';
+        return database;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            client = new MongoClient(MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+            await client.connect();
+            database = client.db(MONGODB_DB_NAME);
+            backend = 'mongodb';
+            console.log(`[Database] Connected to MongoDB database "${MONGODB_DB_NAME}"`);
+            return database;
+        } catch (error) {
+            await client?.close().catch(() => {});
+            client = null;
+            if (attempt >= MONGODB_CONNECT_ATTEMPTS) {
+                throw new Error(`MongoDB connection failed after ${attempt} attempts: ${error.message}`, { cause: error });
+            }
+            console.error(`[Database] MongoDB connection failed (attempt ${attempt}/${MONGODB_CONNECT_ATTEMPTS}): ${error.message} - retrying in ${MONGODB_RETRY_DELAY_MS / 1000}s`);
+            await new Promise(resolve => setTimeout(resolve, MONGODB_RETRY_DELAY_MS));
+        }
+    }
+}
+
+/**
+ * Get a collection from the active database. Without MONGODB_URI the in-memory stand-in is created
+ * on first use; with it, connectDatabase() must have run.
+ */
+export function getCollection(name) {
+    if (!database) {
+        if (MONGODB_URI) {
+            throw new Error('Database not connected yet - call connectDatabase() first');
+        }
+        database = new MemoryDatabase();
+        backend = 'memory';
+    }
+    return database.collection(name);
+}
+
+export function getDatabaseStatus() {
+    return {
+        backend,
+        databaseName: backend === 'mongodb' ? MONGODB_DB_NAME : null,
+        connected: database !== null
+    };
+}
+
+
+/**
+ * Convert a route parameter to an ObjectId, or null if it isn't a valid id
+ */
+export function toObjectId(id) {
+    return typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id) ? new ObjectId(id) : null;
+}
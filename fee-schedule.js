@@ -0,0 +1,183 @@
+// Marketplace fee schedules - what selling an item really costs: a sale fee that can depend on the
+// sale price (tiers), a minimum fee per sale, and the cost of withdrawing the proceeds.
+// The default reproduces the flat 8% Skinport seller fee the pricing engine always used.
+import { BASE_CURRENCY, normalizeCurrency } from './currency.js';
+
+export const DEFAULT_FEE_SCHEDULE = Object.freeze({
+    name: 'skinport',
+    currency: BASE_CURRENCY,              // Currency of the amounts below (converted for other request currencies)
+    tiers: [{ below: null, rate: 0.08 }], // Sale fee by sale price, first tier with price < below applies (below: null for the last)
+    minimumFee: 0,                        // Charged instead when the percentage fee is lower
+    withdrawal: { rate: 0, fixed: 0 }     // Cost of cashing out, charged on the proceeds of each sale
+});
+
+// Schedules that settings can reference by name
+export const FEE_SCHEDULE_PRESETS = {
+    [DEFAULT_FEE_SCHEDULE.name]: DEFAULT_FEE_SCHEDULE
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const isFraction = (value) => typeof value === 'number' && value >= 0 && value < 1;
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+function flatSchedule(rate) {
+    return { ...DEFAULT_FEE_SCHEDULE, name: `flat-${parseFloat((rate * 100).toFixed(4))}%`, tiers: [{ below: null, rate }] };
+}
+
+/**
+ * Fee schedule from a settings value: a preset name, a flat rate (e.g. 0.08), or a schedule object
+ * ({ name, currency, tiers | rate, minimumFee, withdrawal }) whose missing fields come from the default.
+ * A schedule object without `currency` is in the currency of the request using it.
+ * Returns { errors, schedule }.
+ */
+export function resolveFeeSchedule(value, path = 'feeSchedule') {
+    if (value === undefined || value === null) {
+        return { errors: [], schedule: DEFAULT_FEE_SCHEDULE };
+    }
+
+    if (typeof value === 'number' || (typeof value === 'string' && /^\d+([.,]\d+)?$/.test(value.trim()))) {
+        const rate = typeof value === 'number' ? value : parseFloat(value.replace(',', '.'));
+        return isFraction(rate)
+            ? { errors: [], schedule: flatSchedule(rate) }
+            : { errors: [`${path} must be a fraction between 0 and 1 (e.g. 0.08)`], schedule: null };
+    }
+
+    if (typeof value === 'string') {
+        const preset = FEE_SCHEDULE_PRESETS[value];
+        return preset
+            ? { errors: [], schedule: preset }
+            : { errors: [`${path}: unknown fee schedule "${value}" (available: ${Object.keys(FEE_SCHEDULE_PRESETS).join(', ')})`], schedule: null };
+    }
+
+    if (!isPlainObject(value)) {
+        return { errors: [`${path} must be a preset name, a rate or a schedule object`], schedule: null };
+    }
+
+    const errors = [];
+    Object.keys(value).forEach(key => {
+        if (!['name', 'currency', 'tiers', 'rate', 'minimumFee', 'withdrawal'].includes(key)) errors.push(`Unknown fee schedule field: ${path}.${key}`);
+    });
+
+    let tiers = DEFAULT_FEE_SCHEDULE.tiers;
+    if (value.tiers !== undefined && value.rate !== undefined) {
+        errors.push(`${path}: use either rate or tiers`);
+    } else if (value.rate !== undefined) {
+        if (isFraction(value.rate)) tiers = [{ below: null, rate: value.rate }];
+        else errors.push(`${path}.rate must be a fraction between 0 and 1 (e.g. 0.08)`);
+    } else if (value.tiers !== undefined) {
+        const valid = Array.isArray(value.tiers) && value.tiers.length > 0 && value.tiers.every((tier, index) =>
+            isPlainObject(tier) && isFraction(tier.rate) &&
+            (index === value.tiers.length - 1
+                ? tier.below === null || tier.below === undefined
+                : isAmount(tier.below) && tier.below > 0 && (index === 0 || tier.below > value.tiers[index - 1].below)));
+        if (valid) tiers = value.tiers.map(tier => ({ below: tier.below ?? null, rate: tier.rate }));
+        else errors.push(`${path}.tiers must be a non-empty array of { below, rate } with ascending below and below: null for the last tier`);
+    }
+
+    const currency = value.currency === undefined ? null : normalizeCurrency(value.currency);
+    if (value.currency !== undefined && !currency) errors.push(`${path}.currency: unsupported currency "${value.currency}"`);
+
+    const minimumFee = value.minimumFee ?? DEFAULT_FEE_SCHEDULE.minimumFee;
+    if (!isAmount(minimumFee)) errors.push(`${path}.minimumFee must be a non-negative number`);
+
+    const withdrawal = { ...DEFAULT_FEE_SCHEDULE.withdrawal, ...(isPlainObject(value.withdrawal) ? value.withdrawal : {}) };
+    if (value.withdrawal !== undefined && !isPlainObject(value.withdrawal)) errors.push(`${path}.withdrawal must be an object ({ rate, fixed })`);
+    if (!isFraction(withdrawal.rate)) errors.push(`${path}.withdrawal.rate must be a fraction between 0 and 1`);
+    if (!isAmount(withdrawal.fixed)) errors.push(`${path}.withdrawal.fixed must be a non-negative number`);
+
+    if (errors.length > 0) {
+        return { errors, schedule: null };
+    }
+    return {
+        errors,
+        schedule: { name: value.name ? String(value.name) : 'custom', currency, tiers, minimumFee, withdrawal: { rate: withdrawal.rate, fixed: withdrawal.fixed } }
+    };
+}
+
+/**
+ * The schedule with its amounts (tier bounds, minimum fee, fixed withdrawal cost) converted
+ * into another currency at `fxRate` units per unit of the schedule's currency
+ */
+export function convertFeeSchedule(schedule, fxRate, currency) {
+    return {
+        ...schedule,
+        currency,
+        tiers: schedule.tiers.map(tier => ({ below: tier.below === null ? null : tier.below * fxRate, rate: tier.rate })),
+        minimumFee: schedule.minimumFee * fxRate,
+        withdrawal: { rate: schedule.withdrawal.rate, fixed: schedule.withdrawal.fixed * fxRate }
+    };
+}
+
+function findTier(grossPrice, schedule) {
+    return schedule.tiers.find(tier => tier.below === null || grossPrice < tier.below) || schedule.tiers[schedule.tiers.length - 1];
+}
+
+/**
+ * Fees for selling at `grossPrice`: { grossPrice, rate, saleFee, minimumFeeApplied, withdrawalFee, totalFee, netPrice }
+ */
+export function calculateFees(grossPrice, schedule = DEFAULT_FEE_SCHEDULE) {
+    const { rate } = findTier(grossPrice, schedule);
+    const percentageFee = grossPrice * rate;
+    const minimumFeeApplied = percentageFee < schedule.minimumFee;
+    const saleFee = minimumFeeApplied ? schedule.minimumFee : percentageFee;
+    const proceeds = minimumFeeApplied ? grossPrice - saleFee : grossPrice * (1 - rate);
+
+    const { rate: withdrawalRate, fixed } = schedule.withdrawal;
+    const withdrawalFee = proceeds > 0 && (withdrawalRate > 0 || fixed > 0) ? proceeds * withdrawalRate + fixed : 0;
+
+    return {
+        grossPrice,
+        rate,
+        saleFee,
+        minimumFeeApplied,
+        withdrawalFee,
+        totalFee: saleFee + withdrawalFee,
+        netPrice: withdrawalFee > 0 ? proceeds - withdrawalFee : proceeds
+    };
+}
+
+/**
+ * Lowest sale price that leaves `netPrice` after all fees (the inverse of calculateFees)
+ */
+export function grossPriceForNet(netPrice, schedule = DEFAULT_FEE_SCHEDULE) {
+    const { rate: withdrawalRate, fixed } = schedule.withdrawal;
+    const proceeds = withdrawalRate > 0 || fixed > 0 ? (netPrice + fixed) / (1 - withdrawalRate) : netPrice;
+
+    const candidates = [];
+    schedule.tiers.forEach((tier, index) => {
+        const lower = index === 0 ? 0 : schedule.tiers[index - 1].below;
+        const upper = tier.below ?? Infinity;
+        const inTier = (gross) => gross >= lower && gross < upper;
+
+        const percentageGross = proceeds / (1 - tier.rate);
+        if (inTier(percentageGross) && percentageGross * tier.rate >= schedule.minimumFee) candidates.push(percentageGross);
+
+        const minimumFeeGross = proceeds + schedule.minimumFee;
+        if (inTier(minimumFeeGross) && minimumFeeGross * tier.rate < schedule.minimumFee) candidates.push(minimumFeeGross);
+
+        // A cheaper tier can start above the price we'd need in the previous one
+        if (index > 0 && calculateFees(lower, schedule).netPrice >= netPrice) candidates.push(lower);
+    });
+
+    return candidates.length > 0 ? Math.min(...candidates) : proceeds / (1 - schedule.tiers[schedule.tiers.length - 1].rate);
+}
+
+/**
+ * Per-item fee breakdown for API responses, rounded to cents
+ */
+export function describeFees(fees, schedule) {
+    return {
+        schedule: schedule.name,
+        rate: fees.rate,
+        saleFee: round2(fees.saleFee),
+        minimumFeeApplied: fees.minimumFeeApplied,
+        withdrawalFee: round2(fees.withdrawalFee),
+        totalFee: round2(fees.totalFee),
+        netPrice: round2(fees.netPrice)
+    };
+}
@@ -0,0 +1,280 @@
+// Filter rules for /analyze-prices - which items are worth analyzing at all.
+// Defaults reproduce the filters that used to be hard-coded in the pricing engine;
+// `settings.filters` overrides them rule by rule.
+import { DEFAULT_APP_ID, getGame } from './games.js';
+
+export const WEAR_CONDITIONS = {
+    FN: 'Factory New',
+    MW: 'Minimal Wear',
+    FT: 'Field-Tested',
+    WW: 'Well-Worn',
+    BS: 'Battle-Scarred'
+};
+
+export const ITEM_TYPES = ['knife', 'gloves', 'sticker', 'case', 'key', 'skin', 'other'];
+
+export const DEFAULT_FILTER_RULES = {
+    excludedWear: ['BS'],        // Battle-Scarred sells slowly
+    itemTypes: [],               // Only these item types (empty = all)
+    excludedItemTypes: [],
+    minPrice: null,              // Buy price band
+    maxPrice: null,
+    minVolume: 0,                // Sales in the timeframe used for pricing
+    minVelocity: 0.01,           // Sales per listing per day - below this the market is oversaturated
+    maxListings: null,           // Listing competition (current quantity on Skinport)
+    maxBuyToMedianRatio: 1.05,   // Never buy above 105% of the 7-day sales median
+    includePatterns: [],         // Name must match at least one (case-insensitive, `*` and `?` wildcards)
+    excludePatterns: []          // Name must match none
+};
+
+// Rejection reason reported when an item fails each rule
+export const RULE_REJECTION_REASONS = {
+    excludedWear: 'EXCLUDED_WEAR',
+    itemTypes: 'ITEM_TYPE_NOT_SELECTED',
+    excludedItemTypes: 'EXCLUDED_ITEM_TYPE',
+    minPrice: 'BELOW_PRICE_BAND',
+    maxPrice: 'ABOVE_PRICE_BAND',
+    minVolume: 'LOW_SALES_VOLUME',
+    minVelocity: 'LOW_VELOCITY',
+    maxListings: 'TOO_MANY_LISTINGS',
+    maxBuyToMedianRatio: 'ABOVE_7D_MEDIAN',
+    includePatterns: 'NAME_NOT_INCLUDED',
+    excludePatterns: 'NAME_EXCLUDED'
+};
+
+// Longest name pattern accepted
+export const MAX_PATTERN_LENGTH = 100;
+
+// Compiled rules per settings object, so analyzeItem() doesn't re-parse them for every item
+const resolvedRules = new WeakMap();
+
+/**
+ * Item type from a market_hash_name (knives, gloves, stickers and skins only exist for CS2)
+ */
+export function classifyItemType(itemName, appId = DEFAULT_APP_ID) {
+    if (appId !== DEFAULT_APP_ID) {
+        if (/ Key$/.test(itemName)) return 'key';
+        if (/ (Case|Crate|Chest)$/.test(itemName)) return 'case';
+        return 'other';
+    }
+    if (itemName.startsWith('Sticker |')) return 'sticker';
+    if (/Gloves|Hand Wraps/.test(itemName) && itemName.startsWith('★')) return 'gloves';
+    if (itemName.startsWith('★')) return 'knife';
+    if (/ Key$/.test(itemName)) return 'key';
+    if (/ Case$/.test(itemName)) return 'case';
+    if (itemName.includes(' | ')) return 'skin';
+    return 'other';
+}
+
+/**
+ * Wear code (FN/MW/FT/WW/BS) from a market_hash_name, null for items without wear
+ */
+export function getWearCode(itemName) {
+    const entry = Object.entries(WEAR_CONDITIONS).find(([, label]) => itemName.includes(`(${label})`));
+    return entry ? entry[0] : null;
+}
+
+/**
+ * Wear code from a code or label ("FT", "Field-Tested"), null when unrecognized
+ */
+export function toWearCode(value) {
+    const text = String(value).trim();
+    const upper = text.toUpperCase();
+    if (WEAR_CONDITIONS[upper]) return upper;
+    const entry = Object.entries(WEAR_CONDITIONS).find(([, label]) => label.toLowerCase() === text.toLowerCase());
+    return entry ? entry[0] : null;
+}
+
+/**
+ * Whether `text` contains a match for the glob `pattern` (`*` any run of characters, `?` exactly one).
+ * Greedy matching that only ever backtracks to the last `*`, so it stays O(text x pattern) for any input.
+ */
+function globContains(pattern, text) {
+    for (let start = 0; start <= text.length; start++) {
+        let t = start;
+        let p = 0;
+        let starP = -1;
+        let starT = 0;
+        while (p < pattern.length) {
+            if (t < text.length && (pattern[p] === '?' || pattern[p] === text[t])) {
+                t++;
+                p++;
+            } else if (pattern[p] === '*') {
+                starP = p++;
+                starT = t;
+            } else if (starP !== -1 && starT < text.length) {
+                p = starP + 1;
+                t = ++starT;
+            } else {
+                break;
+            }
+        }
+        if (p === pattern.length) return true;
+        // A pattern starting with `*` already tried every start position
+        if (pattern[0] === '*') return false;
+    }
+    return false;
+}
+
+/**
+ * Case-insensitive name matcher ({ source, test(name) }) for an include/exclude pattern
+ */
+export function compileNamePattern(pattern) {
+    const lowered = pattern.toLowerCase();
+    return { source: pattern, test: name => globContains(lowered, name.toLowerCase()) };
+}
+
+function parseOptionalNumber(value, rule, errors, { min = 0 } = {}) {
+    if (value === null || value === undefined || value === '') return null;
+    const parsed = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+    if (!Number.isFinite(parsed) || parsed < min) {
+        errors.push(`filters.${rule} must be a number >= ${min}`);
+        return null;
+    }
+    return parsed;
+}
+
+function parseList(value, rule, errors) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) {
+        errors.push(`filters.${rule} must be an array`);
+        return [];
+    }
+    return value;
+}
+
+/**
+ * Merge `settings.filters` over the defaults and validate it.
+ * Returns { errors, rules, sources } - sources says per rule whether the value came from the
+ * request ('settings') or the defaults ('default').
+ */
+export function resolveFilterRules(settings = {}) {
+    // Only objects can be cached (and hold filters) - anything else gets the defaults and an error
+    if (settings === null || typeof settings !== 'object') {
+        const resolved = resolveFilterRules({});
+        return { ...resolved, errors: ['settings must be an object', ...resolved.errors] };
+    }
+    if (resolvedRules.has(settings)) return resolvedRules.get(settings);
+
+    const overrides = settings.filters || {};
+    const errors = [];
+    const sources = {};
+    const merged = {};
+    Object.keys(DEFAULT_FILTER_RULES).forEach(rule => {
+        const overridden = overrides[rule] !== undefined;
+        merged[rule] = overridden ? overrides[rule] : DEFAULT_FILTER_RULES[rule];
+        sources[rule] = overridden ? 'settings' : 'default';
+    });
+
+    Object.keys(overrides).forEach(rule => {
+        if (!(rule in DEFAULT_FILTER_RULES)) errors.push(`Unknown filter rule: ${rule}`);
+    });
+
+    const toWearCodes = (rule) => parseList(merged[rule], rule, errors).map(value => {
+        const code = toWearCode(value);
+        if (!code) errors.push(`filters.${rule}: unknown wear condition "${value}"`);
+        return code;
+    }).filter(Boolean);
+
+    const toItemTypes = (rule) => parseList(merged[rule], rule, errors).map(value => String(value).toLowerCase()).filter(type => {
+        if (ITEM_TYPES.includes(type)) return true;
+        errors.push(`filters.${rule}: unknown item type "${type}" (expected one of ${ITEM_TYPES.join(', ')})`);
+        return false;
+    });
+
+    const toPatterns = (rule) => parseList(merged[rule], rule, errors).map(pattern => {
+        if (typeof pattern !== 'string' || pattern.trim() === '' || pattern.length > MAX_PATTERN_LENGTH) {
+            errors.push(`filters.${rule}: pattern must be a non-empty string of at most ${MAX_PATTERN_LENGTH} characters`);
+            return null;
+        }
+        return compileNamePattern(pattern);
+    }).filter(Boolean);
+
+    const rules = {
+        excludedWear: toWearCodes('excludedWear'),
+        itemTypes: toItemTypes('itemTypes'),
+        excludedItemTypes: toItemTypes('excludedItemTypes'),
+        minPrice: parseOptionalNumber(merged.minPrice, 'minPrice', errors),
+        maxPrice: parseOptionalNumber(merged.maxPrice, 'maxPrice', errors),
+        minVolume: parseOptionalNumber(merged.minVolume, 'minVolume', errors) ?? 0,
+        minVelocity: parseOptionalNumber(merged.minVelocity, 'minVelocity', errors) ?? 0,
+        maxListings: parseOptionalNumber(merged.maxListings, 'maxListings', errors),
+        maxBuyToMedianRatio: parseOptionalNumber(merged.maxBuyToMedianRatio, 'maxBuyToMedianRatio', errors, { min: 0.01 }),
+        includePatterns: toPatterns('includePatterns'),
+        excludePatterns: toPatterns('excludePatterns')
+    };
+
+    if (rules.minPrice !== null && rules.maxPrice !== null && rules.minPrice > rules.maxPrice) {
+        errors.push('filters.minPrice must not be above filters.maxPrice');
+    }
+
+    const resolved = { errors, rules, sources };
+    resolvedRules.set(settings, resolved);
+    return resolved;
+}
+
+/**
+ * Rules that only need the item itself (name and buy price), checked before any market data.
+ * Wear rules are skipped for games without wear. Returns null when the item passes, otherwise
+ * { reason, message, details }.
+ */
+export function checkItemRules(itemName, buyPrice, rules, appId = DEFAULT_APP_ID) {
+    const wear = getGame(appId)?.hasWear ? getWearCode(itemName) : null;
+    if (wear && rules.excludedWear.includes(wear)) {
+        return { reason: RULE_REJECTION_REASONS.excludedWear, message: `${WEAR_CONDITIONS[wear]} items are excluded`, details: { wear, excludedWear: rules.excludedWear } };
+    }
+
+    const itemType = classifyItemType(itemName, appId);
+    if (rules.itemTypes.length > 0 && !rules.itemTypes.includes(itemType)) {
+        return { reason: RULE_REJECTION_REASONS.itemTypes, message: `Item type ${itemType} not in ${rules.itemTypes.join(', ')}`, details: { itemType, itemTypes: rules.itemTypes } };
+    }
+    if (rules.excludedItemTypes.includes(itemType)) {
+        return { reason: RULE_REJECTION_REASONS.excludedItemTypes, message: `Item type ${itemType} is excluded`, details: { itemType, excludedItemTypes: rules.excludedItemTypes } };
+    }
+
+    if (rules.minPrice !== null && buyPrice < rules.minPrice) {
+        return { reason: RULE_REJECTION_REASONS.minPrice, message: `Buy price ${buyPrice} below ${rules.minPrice}`, details: { buyPrice, minPrice: rules.minPrice } };
+    }
+    if (rules.maxPrice !== null && buyPrice > rules.maxPrice) {
+        return { reason: RULE_REJECTION_REASONS.maxPrice, message: `Buy price ${buyPrice} above ${rules.maxPrice}`, details: { buyPrice, maxPrice: rules.maxPrice } };
+    }
+
+    if (rules.includePatterns.length > 0 && !rules.includePatterns.some(pattern => pattern.test(itemName))) {
+        return { reason: RULE_REJECTION_REASONS.includePatterns, message: 'Name matches no include pattern', details: { includePatterns: rules.includePatterns.map(pattern => pattern.source) } };
+    }
+    const excludedBy = rules.excludePatterns.find(pattern => pattern.test(itemName));
+    if (excludedBy) {
+        return { reason: RULE_REJECTION_REASONS.excludePatterns, message: `Name matches exclude pattern ${excludedBy.source}`, details: { pattern: excludedBy.source } };
+    }
+
+    return null;
+}
+
+/**
+ * Every rule in effect for a run, with where its value came from and how many items it rejected
+ * (`rejectionCounts` as produced by countRejections)
+ */
+export function describeAppliedFilters(settings, rejectionCounts = {}) {
+    const { rules, sources } = resolveFilterRules(settings);
+    const applied = Object.entries(rules).map(([rule, value]) => ({
+        rule,
+        value: Array.isArray(value) ? value.map(entry => entry?.source ?? entry) : value,
+        source: sources[rule],
+        rejectionReason: RULE_REJECTION_REASONS[rule],
+        rejected: rejectionCounts[RULE_REJECTION_REASONS[rule]] || 0
+    }));
+
+    // The user's profit minimum is a filter too, it just predates the rule system
+    applied.push({
+        rule: 'minProfit',
+        value: {
+            minProfitAmount: parseFloat(settings.minProfitAmount || 0),
+            minProfitPercentage: parseFloat(settings.minProfitPercentage || 0)
+        },
+        source: settings.minProfitAmount !== undefined || settings.minProfitPercentage !== undefined ? 'settings' : 'default',
+        rejectionReason: 'BELOW_USER_MINIMUM',
+        rejected: rejectionCounts.BELOW_USER_MINIMUM || 0
+    });
+
+    return applied;
+}
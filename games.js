@@ -0,0 +1,34 @@
+// Games Skinport lists items for. Every Skinport call, cache key and stored document carries the
+// game's app_id; wear, float and sticker logic only exists for CS2.
+
+export const DEFAULT_APP_ID = 730;
+
+export const GAMES = {
+    730: { appId: 730, key: 'cs2', name: 'Counter-Strike 2', hasWear: true, hasFloat: true, hasStickers: true },
+    570: { appId: 570, key: 'dota2', name: 'Dota 2', hasWear: false, hasFloat: false, hasStickers: false },
+    252490: { appId: 252490, key: 'rust', name: 'Rust', hasWear: false, hasFloat: false, hasStickers: false },
+    440: { appId: 440, key: 'tf2', name: 'Team Fortress 2', hasWear: false, hasFloat: false, hasStickers: false }
+};
+
+/**
+ * app_id from a settings value or route parameter - the numeric app_id or the game key ('cs2',
+ * 'dota2', 'rust', 'tf2'). Returns null for games Skinport doesn't list.
+ */
+export function resolveAppId(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_APP_ID;
+    const text = String(value).trim().toLowerCase();
+    const game = GAMES[text] || Object.values(GAMES).find(candidate => candidate.key === text || (text === 'csgo' && candidate.appId === 730));
+    return game ? game.appId : null;
+}
+
+export function getGame(appId = DEFAULT_APP_ID) {
+    return GAMES[appId] || null;
+}
+
+/**
+ * Stored-document filter for a game. Documents written before games were tracked have no
+ * app_id and belong to CS2.
+ */
+export function appIdFilter(appId = DEFAULT_APP_ID) {
+    return appId === DEFAULT_APP_ID ? { $in: [appId, null] } : appId;
+}
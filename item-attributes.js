@@ -0,0 +1,181 @@
+// Item payload attributes - the clean market_hash_name of a scraped item and its float, wear and
+// per-skin float range. Scraped names can carry a float ("... (Field-Tested) 0.1534") or lack the
+// wear; everything that batches, caches or looks up items uses the name derived here.
+import fs from 'fs';
+import { WEAR_CONDITIONS, getWearCode, toWearCode } from './filter-rules.js';
+
+// Float range of each wear condition (the game's fixed boundaries)
+export const WEAR_FLOAT_RANGES = {
+    FN: { min: 0.00, max: 0.07 },
+    MW: { min: 0.07, max: 0.15 },
+    FT: { min: 0.15, max: 0.38 },
+    WW: { min: 0.38, max: 0.45 },
+    BS: { min: 0.45, max: 1.00 }
+};
+
+// Float range per skin (StatTrak™/Souvenir and wear stripped) where it isn't the full 0-1 -
+// skins missing here are assumed to cover every wear. SKIN_FLOAT_RANGES_FILE adds more.
+export const DEFAULT_SKIN_FLOAT_RANGES = Object.freeze({
+    'AK-47 | Redline': { min: 0.10, max: 0.70 },
+    'AK-47 | Asiimov': { min: 0.05, max: 0.70 },
+    'AK-47 | Fire Serpent': { min: 0.06, max: 0.76 },
+    'AK-47 | Vulcan': { min: 0.00, max: 0.90 },
+    'AWP | Asiimov': { min: 0.18, max: 1.00 },
+    'AWP | Dragon Lore': { min: 0.00, max: 0.70 },
+    'M4A4 | Asiimov': { min: 0.18, max: 1.00 },
+    'M4A4 | Howl': { min: 0.00, max: 0.40 },
+    'Glock-18 | Fade': { min: 0.00, max: 0.08 },
+    'Desert Eagle | Blaze': { min: 0.00, max: 0.08 },
+    '★ Karambit | Doppler': { min: 0.00, max: 0.08 },
+    '★ Karambit | Gamma Doppler': { min: 0.00, max: 0.08 },
+    '★ Karambit | Fade': { min: 0.00, max: 0.08 }
+});
+
+// Items whose names have " | " but no wear
+const UNWEARABLE_PREFIXES = ['Sticker | ', 'Charm | ', 'Patch | ', 'Graffiti | ', 'Sealed Graffiti | ', 'Music Kit | '];
+
+let skinFloatRanges = { ...DEFAULT_SKIN_FLOAT_RANGES };
+
+/**
+ * Normalize item names for consistent matching between server and content script
+ */
+export function normalizeItemName(name) {
+    if (!name) return null;
+
+    return name.trim()
+        // Normalize StatTrak symbol
+        .replace(/StatTrak™?/g, 'StatTrak™')
+        // Normalize knife star symbol
+        .replace(/★/g, '★')
+        // Normalize spaces
+        .replace(/\s+/g, ' ')
+        // Remove any trailing/leading spaces
+        .trim();
+}
+
+/**
+ * Skin name without StatTrak™/Souvenir and wear ("AK-47 | Redline")
+ */
+export function getSkinName(itemName) {
+    return itemName
+        .replace(/StatTrak™ |Souvenir /g, '')
+        .replace(/ \((Factory New|Minimal Wear|Field-Tested|Well-Worn|Battle-Scarred)\)$/, '')
+        .trim();
+}
+
+/**
+ * Check a skin float range table ({ "AK-47 | Redline": { min, max } }). Returns { errors, ranges }.
+ */
+export function validateSkinFloatRanges(ranges) {
+    if (!ranges || typeof ranges !== 'object' || Array.isArray(ranges)) {
+        return { errors: ['Skin float ranges must be an object of { skin: { min, max } }'], ranges: null };
+    }
+
+    const errors = [];
+    Object.entries(ranges).forEach(([skin, range]) => {
+        const valid = range && typeof range.min === 'number' && typeof range.max === 'number' && range.min >= 0 && range.max <= 1 && range.min < range.max;
+        if (!valid) errors.push(`Float range of ${skin} must be { min, max } with 0 <= min < max <= 1`);
+    });
+    return { errors, ranges: errors.length > 0 ? null : ranges };
+}
+
+/**
+ * Add skin float ranges from a JSON file ({ "AK-47 | Redline": { "min": 0.1, "max": 0.7 }, ... })
+ */
+export function loadSkinFloatRangesFile(filePath) {
+    const { errors, ranges } = validateSkinFloatRanges(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    if (errors.length > 0) {
+        throw new Error(`Invalid skin float ranges in ${filePath}: ${errors.join('; ')}`);
+    }
+    skinFloatRanges = { ...skinFloatRanges, ...ranges };
+    console.log(`[Float] Loaded float ranges for ${Object.keys(ranges).length} skins from ${filePath}`);
+}
+
+export function getSkinFloatRange(skinName) {
+    return skinFloatRanges[skinName] || null;
+}
+
+/**
+ * Wear condition a float value falls into
+ */
+export function wearForFloat(floatValue) {
+    return Object.keys(WEAR_FLOAT_RANGES).find(wear => floatValue < WEAR_FLOAT_RANGES[wear].max) || 'BS';
+}
+
+function parseFloatValue(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const parsed = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+    return Number.isFinite(parsed) ? parsed : NaN;
+}
+
+// A float scraped into the end of the name: "... (Field-Tested) 0.1534", "... - Float: 0.1534"
+const TRAILING_FLOAT = /\s*(?:[-|,]\s*)?(?:float:?\s*)?\b([01]\.\d+)\s*$/i;
+
+/**
+ * Clean market_hash_name, wear and float of an item payload. `floatValue` and `wear` (code or
+ * label) are explicit fields; a float at the end of a legacy scraped name is used when `floatValue`
+ * is missing and removed from the name either way. A name without wear gets the wear of the
+ * fields (or of the float). Returns { errors, marketHashName, skin, wear, floatValue, floatSource, floatRange }
+ * where floatRange is the skin's own float range (null when it covers every wear).
+ */
+export function resolveItemAttributes(item) {
+    const errors = [];
+    let name = normalizeItemName(item.marketHashName || item.name);
+    if (!name) {
+        return { errors, marketHashName: null, skin: null, wear: null, floatValue: null, floatSource: null, floatRange: null };
+    }
+
+    let floatValue = null;
+    let floatSource = null;
+    const trailingFloat = name.match(TRAILING_FLOAT);
+    if (trailingFloat && name.length > trailingFloat[0].length) {
+        name = name.slice(0, -trailingFloat[0].length).trim();
+        floatValue = parseFloat(trailingFloat[1]);
+        floatSource = 'name';
+    }
+
+    const explicitFloat = parseFloatValue(item.floatValue);
+    if (explicitFloat !== undefined) {
+        if (!(explicitFloat >= 0 && explicitFloat <= 1)) errors.push('floatValue must be between 0 and 1');
+        floatValue = explicitFloat;
+        floatSource = 'field';
+    }
+
+    const nameWear = getWearCode(name);
+    const fieldWear = item.wear === undefined || item.wear === null || item.wear === '' ? null : toWearCode(item.wear);
+    if (item.wear !== undefined && item.wear !== null && item.wear !== '' && !fieldWear) {
+        errors.push(`Unknown wear: ${item.wear} (${Object.keys(WEAR_CONDITIONS).join(', ')})`);
+    } else if (nameWear && fieldWear && nameWear !== fieldWear) {
+        errors.push(`wear ${fieldWear} does not match the ${WEAR_CONDITIONS[nameWear]} name`);
+    }
+
+    const validFloat = floatValue !== null && floatValue >= 0 && floatValue <= 1;
+    const wear = nameWear || fieldWear || (validFloat ? wearForFloat(floatValue) : null);
+    const skin = getSkinName(name);
+    const floatRange = getSkinFloatRange(skin);
+
+    if (validFloat && wear) {
+        const wearRange = WEAR_FLOAT_RANGES[wear];
+        if (floatValue < wearRange.min || floatValue > wearRange.max) {
+            errors.push(`floatValue ${floatValue} is outside the ${WEAR_CONDITIONS[wear]} range (${wearRange.min}-${wearRange.max})`);
+        }
+    }
+    if (validFloat && floatRange && (floatValue < floatRange.min || floatValue > floatRange.max)) {
+        errors.push(`floatValue ${floatValue} is outside the float range of ${skin} (${floatRange.min}-${floatRange.max})`);
+    }
+    if (wear && floatRange && (WEAR_FLOAT_RANGES[wear].max <= floatRange.min || WEAR_FLOAT_RANGES[wear].min >= floatRange.max)) {
+        errors.push(`${skin} does not exist in ${WEAR_CONDITIONS[wear]}`);
+    }
+
+    const wearable = name.includes(' | ') && !UNWEARABLE_PREFIXES.some(prefix => name.startsWith(prefix));
+    const marketHashName = !nameWear && wear && wearable ? `${name} (${WEAR_CONDITIONS[wear]})` : name;
+
+    return { errors, marketHashName, skin, wear, floatValue, floatSource, floatRange };
+}
+
+/**
+ * Clean market_hash_name of an item payload (see resolveItemAttributes)
+ */
+export function resolveItemName(item) {
+    return resolveItemAttributes(item).marketHashName;
+}
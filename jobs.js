@@ -0,0 +1,162 @@
+// Asynchronous analysis jobs - long /analyze-prices runs that outlive the HTTP request
+import { randomUUID } from 'crypto';
+import { SkinportError } from './skinport-client.js';
+
+const ACTIVE_STATUSES = new Set(['queued', 'running', 'cancelling']);
+
+/**
+ * Create an in-process job registry.
+ * `runAnalysis(items, settings, hooks)` is the analysis pipeline; `estimateRemainingMs(batches)`
+ * turns the number of outstanding sales history batches into an ETA using the rate limiter.
+ * Finished jobs are kept for `retentionMs` so clients can still collect the result.
+ */
+export function createJobManager({ runAnalysis, estimateRemainingMs, retentionMs = 60 * 60 * 1000 }) {
+    const jobs = new Map();
+
+    const pruneTimer = setInterval(() => {
+        const cutoff = Date.now() - retentionMs;
+        for (const [id, job] of jobs) {
+            if (!ACTIVE_STATUSES.has(job.status) && job.finishedAt && job.finishedAt.getTime() < cutoff) {
+                jobs.delete(id);
+            }
+        }
+    }, Math.min(retentionMs, 5 * 60 * 1000));
+    pruneTimer.unref();
+
+    function handleProgress(job, event) {
+        switch (event.type) {
+            case 'batches_planned':
+                job.progress.totalBatches = event.totalBatches;
+                job.progress.uniqueItems = event.uniqueItems;
+                break;
+            case 'batch_start':
+                job.progress.currentBatch = event.batch;
+                break;
+            case 'batch_complete':
+                job.progress.completedBatches = event.batch;
+                job.rateLimitWait = null;
+                break;
+            case 'rate_limit_wait':
+                job.rateLimitWait = { waitMs: event.waitMs, resumeAt: event.resumeAt, queuePosition: event.position ?? null };
+                break;
+        }
+    }
+
+    async function execute(job, items, settings) {
+        job.status = 'running';
+        job.startedAt = new Date();
+
+        try {
+            const result = await runAnalysis(items, settings, {
+                signal: job.controller.signal,
+                onProgress: event => handleProgress(job, event),
+                onItem: analyzedItem => job.partialResults.push(analyzedItem)
+            });
+            job.result = result;
+            job.status = 'completed';
+            console.log(`[Jobs] ${job.id} completed: ${result.analyzedItems.length} profitable items`);
+        } catch (error) {
+            if (job.controller.signal.aborted) {
+                job.status = 'cancelled';
+                console.log(`[Jobs] ${job.id} cancelled after ${job.progress.completedBatches}/${job.progress.totalBatches ?? '?'} batches`);
+            } else {
+                job.status = 'failed';
+                job.error = error.message;
+                job.upstreamError = error instanceof SkinportError ? error.toJSON() : null;
+                console.error(`[Jobs] ${job.id} failed: ${error}`);
+            }
+        } finally {
+            job.finishedAt = new Date();
+            job.rateLimitWait = null;
+        }
+    }
+
+    /**
+     * Register a job and start it in the background (returns immediately)
+     */
+    function createJob(items, settings) {
+        const job = {
+            id: randomUUID(),
+            status: 'queued',
+            createdAt: new Date(),
+            startedAt: null,
+            finishedAt: null,
+            totalItems: items.length,
+            progress: {
+                totalBatches: null,
+                uniqueItems: null,
+                currentBatch: 0,
+                completedBatches: 0
+            },
+            rateLimitWait: null,
+            partialResults: [],
+            result: null,
+            error: null,
+            upstreamError: null,
+            controller: new AbortController()
+        };
+
+        jobs.set(job.id, job);
+        console.log(`[Jobs] ${job.id} created for ${items.length} items`);
+        execute(job, items, settings);
+        return job;
+    }
+
+    function getJob(id) {
+        return jobs.get(id) || null;
+    }
+
+    /**
+     * Cancel an active job. Returns false if the job had already finished.
+     */
+    function cancelJob(id) {
+        const job = jobs.get(id);
+        if (!job || !ACTIVE_STATUSES.has(job.status)) return false;
+        job.status = 'cancelling';
+        job.controller.abort();
+        return true;
+    }
+
+    function estimateEta(job) {
+        if (!ACTIVE_STATUSES.has(job.status)) return null;
+        if (job.progress.totalBatches === null) return null;
+
+        const remainingBatches = job.progress.totalBatches - job.progress.completedBatches;
+        const rateLimitRemainingMs = job.rateLimitWait
+            ? Math.max(0, new Date(job.rateLimitWait.resumeAt).getTime() - Date.now())
+            : 0;
+        const remainingMs = Math.max(estimateRemainingMs(remainingBatches), rateLimitRemainingMs);
+        return {
+            remainingMs,
+            estimatedCompletionAt: new Date(Date.now() + remainingMs).toISOString()
+        };
+    }
+
+    /**
+     * Client-facing view of a job
+     */
+    function describeJob(job) {
+        const totalBatches = job.progress.totalBatches;
+        return {
+            id: job.id,
+            status: job.status,
+            createdAt: job.createdAt.toISOString(),
+            startedAt: job.startedAt ? job.startedAt.toISOString() : null,
+            finishedAt: job.finishedAt ? job.finishedAt.toISOString() : null,
+            totalItems: job.totalItems,
+            progress: {
+                ...job.progress,
+                percent: totalBatches ? Math.round((job.progress.completedBatches / totalBatches) * 100) : 0,
+                itemsFound: job.partialResults.length
+            },
+            rateLimitWait: job.rateLimitWait,
+            eta: estimateEta(job),
+            partialResults: job.status === 'completed' ? undefined : job.partialResults,
+            result: job.result,
+            error: job.error,
+            upstreamError: job.upstreamError
+        };
+    }
+
+    return { createJob, getJob, cancelJob, describeJob };
+}
@@ -0,0 +1,248 @@
+// Stored market snapshots and sales history (outlives the NodeCache TTL and server restarts).
+// Market snapshots are stored as changes: a snapshot run records when a catalogue was seen, and an item
+// document is only written when its prices or quantity differ from the last one stored for it.
+import { getCollection } from './db.js';
+import { DEFAULT_APP_ID, appIdFilter } from './games.js';
+
+const MARKET_SNAPSHOTS = 'market_snapshots';
+const SNAPSHOT_RUNS = 'market_snapshot_runs';
+const SALES_HISTORY = 'sales_history';
+
+// How long stored snapshots are kept by MongoDB's TTL index (default 90 days)
+const HISTORY_RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS || '90', 10);
+
+// Every item is written again at least this often, so retention never expires the last state of an unchanged item
+const FULL_SNAPSHOT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const SNAPSHOT_FIELDS = ['min_price', 'max_price', 'mean_price', 'median_price', 'quantity'];
+
+// Per game and currency: the values last written for each item and when every item was last written
+const storedState = new Map();
+
+/**
+ * Create the lookup and retention indexes for the history collections
+ */
+export async function ensureHistoryIndexes() {
+    const expireAfterSeconds = HISTORY_RETENTION_DAYS * 24 * 60 * 60;
+
+    try {
+        const snapshots = getCollection(MARKET_SNAPSHOTS);
+        await snapshots.createIndex({ market_hash_name: 1, currency: 1, app_id: 1, snapshotAt: -1 });
+        await snapshots.createIndex({ snapshotAt: 1 }, { expireAfterSeconds });
+
+        const runs = getCollection(SNAPSHOT_RUNS);
+        await runs.createIndex({ currency: 1, app_id: 1, snapshotAt: -1 });
+        await runs.createIndex({ snapshotAt: 1 }, { expireAfterSeconds });
+
+        const salesHistory = getCollection(SALES_HISTORY);
+        await salesHistory.createIndex({ market_hash_name: 1, currency: 1, app_id: 1, fetchedAt: -1 });
+        await salesHistory.createIndex({ fetchedAt: 1 }, { expireAfterSeconds });
+    } catch (error) {
+        console.error(`[History] Failed to create indexes: ${error.message}`);
+    }
+}
+
+const snapshotValues = item => SNAPSHOT_FIELDS.map(field => item[field] ?? null).join('|');
+
+/**
+ * Store one /items response (already converted to a market_hash_name lookup) as a snapshot run plus
+ * the items whose values changed since they were last stored. An item missing from the response is
+ * stored once as unlisted (null prices, quantity 0). The first snapshot after a start, and one a day
+ * after that, stores every item. Returns the number of item documents written.
+ */
+export async function recordMarketSnapshot(itemsLookup, currency, appId = DEFAULT_APP_ID, snapshotAt = new Date()) {
+    const stateKey = `${appId}|${currency}`;
+    const state = storedState.get(stateKey) || { values: new Map(), fullAt: null };
+    const full = state.fullAt === null || snapshotAt - state.fullAt >= FULL_SNAPSHOT_INTERVAL_MS;
+
+    const unlisted = [...state.values.keys()]
+        .filter(name => !itemsLookup[name])
+        .map(name => ({ market_hash_name: name, quantity: 0 }));
+    const items = [...Object.values(itemsLookup), ...unlisted];
+    if (items.length === 0) return 0;
+
+    const documents = items
+        .filter(item => full || state.values.get(item.market_hash_name) !== snapshotValues(item))
+        .map(item => ({
+            market_hash_name: item.market_hash_name,
+            currency: currency,
+            app_id: appId,
+            min_price: item.min_price ?? null,
+            max_price: item.max_price ?? null,
+            mean_price: item.mean_price ?? null,
+            median_price: item.median_price ?? null,
+            quantity: item.quantity,
+            snapshotAt: snapshotAt
+        }));
+
+    if (documents.length > 0) {
+        await getCollection(MARKET_SNAPSHOTS).insertMany(documents, { ordered: false });
+    }
+    await getCollection(SNAPSHOT_RUNS).insertOne({ currency, app_id: appId, snapshotAt, items: items.length, changed: documents.length, full });
+
+    documents.forEach(document => state.values.set(document.market_hash_name, snapshotValues(document)));
+    unlisted.forEach(item => state.values.delete(item.market_hash_name));
+    if (full) state.fullAt = snapshotAt;
+    storedState.set(stateKey, state);
+
+    console.log(`[History] Stored market snapshot: ${documents.length}/${items.length} items ${full ? '(full)' : 'changed'} (${currency}, app ${appId})`);
+    return documents.length;
+}
+
+/**
+ * Store one /sales/history batch response (market_hash_name lookup) with its fetch time
+ */
+export async function recordSalesHistory(batchData, currency, appId = DEFAULT_APP_ID, fetchedAt = new Date()) {
+    const documents = Object.values(batchData).map(item => ({
+        market_hash_name: item.market_hash_name,
+        currency: item.currency || currency,
+        app_id: appId,
+        last_24_hours: item.last_24_hours || null,
+        last_7_days: item.last_7_days || null,
+        last_30_days: item.last_30_days || null,
+        last_90_days: item.last_90_days || null,
+        fetchedAt: fetchedAt
+    }));
+
+    if (documents.length === 0) return 0;
+
+    await getCollection(SALES_HISTORY).insertMany(documents, { ordered: false });
+    console.log(`[History] Stored sales history: ${documents.length} items (${currency}, app ${appId})`);
+    return documents.length;
+}
+
+const INTERVAL_UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+};
+
+// Upper bound on buckets per history response to keep responses chart-sized
+export const MAX_HISTORY_BUCKETS = 2000;
+
+/**
+ * Parse an interval string like "15m", "1h" or "1d" into milliseconds (null if invalid)
+ */
+export function parseInterval(interval) {
+    const match = /^(\d+)\s*([mhd])$/i.exec(String(interval || '').trim());
+    if (!match) return null;
+    const amount = parseInt(match[1], 10);
+    return amount > 0 ? amount * INTERVAL_UNITS[match[2].toLowerCase()] : null;
+}
+
+/**
+ * Open/high/low/close of a series of numbers (nulls ignored)
+ */
+function ohlc(values) {
+    const present = values.filter(value => typeof value === 'number' && !Number.isNaN(value));
+    if (present.length === 0) return null;
+    return {
+        open: present[0],
+        high: Math.max(...present),
+        low: Math.min(...present),
+        close: present[present.length - 1]
+    };
+}
+
+/**
+ * An item's stored values as of `at`: its last change at or before that time (null if none)
+ */
+async function marketStateAt(marketHashName, currency, appId, at) {
+    return getCollection(MARKET_SNAPSHOTS).findOne(
+        { market_hash_name: marketHashName, currency, app_id: appIdFilter(appId), snapshotAt: { $lte: at } },
+        { sort: { snapshotAt: -1 } }
+    );
+}
+
+/**
+ * One item's values in every snapshot run between `from` and `to` (changes carried forward), oldest first
+ */
+export async function getItemSnapshots(marketHashName, currency, appId, from, to) {
+    const runs = await getCollection(SNAPSHOT_RUNS)
+        .find({ currency, app_id: appIdFilter(appId), snapshotAt: { $gte: from, $lte: to } })
+        .sort({ snapshotAt: 1 })
+        .toArray();
+    if (runs.length === 0) return [];
+
+    const changes = await getCollection(MARKET_SNAPSHOTS)
+        .find({ market_hash_name: marketHashName, currency, app_id: appIdFilter(appId), snapshotAt: { $gte: from, $lte: to } })
+        .sort({ snapshotAt: 1 })
+        .toArray();
+    let current = await marketStateAt(marketHashName, currency, appId, new Date(from.getTime() - 1));
+
+    const snapshots = [];
+    let next = 0;
+    runs.forEach(run => {
+        while (next < changes.length && changes[next].snapshotAt <= run.snapshotAt) {
+            current = changes[next++];
+        }
+        if (current) snapshots.push({ ...current, snapshotAt: run.snapshotAt });
+    });
+    return snapshots;
+}
+
+/**
+ * Build a downsampled price/quantity time series for one item from stored market snapshots
+ */
+export async function getPriceHistory({ marketHashName, currency, appId = DEFAULT_APP_ID, from, to, intervalMs }) {
+    const snapshots = await getItemSnapshots(marketHashName, currency, appId, from, to);
+
+    // Group snapshots into fixed buckets aligned to the interval
+    const buckets = new Map();
+    snapshots.forEach(snapshot => {
+        const time = new Date(snapshot.snapshotAt).getTime();
+        const bucketStart = Math.floor(time / intervalMs) * intervalMs;
+        if (!buckets.has(bucketStart)) {
+            buckets.set(bucketStart, []);
+        }
+        buckets.get(bucketStart).push(snapshot);
+    });
+
+    const series = [...buckets.entries()].map(([bucketStart, entries]) => ({
+        start: new Date(bucketStart).toISOString(),
+        end: new Date(bucketStart + intervalMs).toISOString(),
+        samples: entries.length,
+        minPrice: ohlc(entries.map(entry => entry.min_price)),
+        medianPrice: ohlc(entries.map(entry => entry.median_price)),
+        meanPrice: ohlc(entries.map(entry => entry.mean_price)),
+        quantity: ohlc(entries.map(entry => entry.quantity))
+    }));
+
+    return {
+        snapshotCount: snapshots.length,
+        series
+    };
+}
+
+/**
+ * Most recent stored sales history for an item, optionally only if fetched at or after `since`
+ */
+export async function getLatestSalesHistory(marketHashName, currency, since = null, appId = DEFAULT_APP_ID) {
+    const filter = { market_hash_name: marketHashName, currency, app_id: appIdFilter(appId) };
+    if (since) filter.fetchedAt = { $gte: since };
+    return getCollection(SALES_HISTORY).findOne(filter, { sort: { fetchedAt: -1 } });
+}
+
+/**
+ * Stored sales history for an item fetched between `from` and `to`, newest first
+ */
+export async function getSalesHistoryBetween(marketHashName, currency, from, to, appId = DEFAULT_APP_ID) {
+    return getCollection(SALES_HISTORY)
+        .find({ market_hash_name: marketHashName, currency, app_id: appIdFilter(appId), fetchedAt: { $gte: from, $lte: to } })
+        .sort({ fetchedAt: -1 })
+        .toArray();
+}
+
+/**
+ * An item in the most recent stored market snapshot, optionally only if taken at or after `since`
+ * (`snapshotAt` is the snapshot's time, `changedAt` when the item last changed)
+ */
+export async function getLatestMarketSnapshot(marketHashName, currency, since = null, appId = DEFAULT_APP_ID) {
+    const filter = { currency, app_id: appIdFilter(appId) };
+    if (since) filter.snapshotAt = { $gte: since };
+    const run = await getCollection(SNAPSHOT_RUNS).findOne(filter, { sort: { snapshotAt: -1 } });
+    if (!run) return null;
+
+    const state = await marketStateAt(marketHashName, currency, appId, run.snapshotAt);
+    return state ? { ...state, snapshotAt: run.snapshotAt, changedAt: state.snapshotAt } : null;
+}
@@ -0,0 +1,197 @@
+// A/B comparison of two pricing models - both analyze the same items against a single fetch of
+// Skinport data, so every difference in the result comes from the models and not the market.
+import { analyzeItem, resolvePricingParameters } from './pricing-engine.js';
+import { fetchAnalysisData, countRejections } from './analysis-pipeline.js';
+import { lookupAppliedItems } from './sticker-pricing.js';
+import { resolveItemName } from './item-attributes.js';
+
+export const COMPARISON_ARMS = ['baseline', 'candidate'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Settings for one arm of a comparison. `model` is a registered version, an inline model definition
+ * (missing parameters come from its `extends` or the built-in model) or undefined for the request's
+ * own model. Invalid models surface through resolvePricingParameters like any other settings error.
+ */
+export function resolveComparisonSettings(settings, model, arm) {
+    if (model === undefined || model === null) {
+        return { ...settings };
+    }
+    if (typeof model === 'string') {
+        return { ...settings, modelVersion: model, modelConfig: undefined };
+    }
+    if (typeof model === 'object' && !Array.isArray(model)) {
+        return { ...settings, modelConfig: { version: arm, ...model } };
+    }
+    return { ...settings, modelConfig: model };
+}
+
+/**
+ * Validate a comparison request's arms ({ baseline, candidate } - only the candidate is required).
+ * Returns { errors, values: { baseline, candidate } } with the settings of each arm.
+ */
+export function validateComparison(body, settings) {
+    const errors = [];
+    const values = {};
+
+    if (body.candidate === undefined || body.candidate === null) {
+        errors.push('candidate is required (a model version or an inline model config)');
+    }
+
+    COMPARISON_ARMS.forEach(arm => {
+        values[arm] = resolveComparisonSettings(settings, body[arm], arm);
+        errors.push(...resolvePricingParameters(values[arm]).errors.map(error => `${arm}: ${error}`));
+    });
+
+    return { errors: [...new Set(errors)], values };
+}
+
+/**
+ * The parts of an analyzeItem() result that are compared
+ */
+function describeOutcome(result) {
+    if (!result.accepted) {
+        return {
+            kept: false,
+            rejectionReason: result.rejection.reason,
+            rejectionMessage: result.rejection.message,
+            achievablePrice: null,
+            grossAchievablePrice: null,
+            profitAmount: null,
+            profitPercentage: null,
+            confidence: null,
+            confidenceScore: null,
+            recommendation: null,
+            pricingStrategy: null
+        };
+    }
+
+    const { item } = result;
+    return {
+        kept: true,
+        rejectionReason: null,
+        rejectionMessage: null,
+        achievablePrice: parseFloat(item.achievablePrice),
+        grossAchievablePrice: parseFloat(item.grossAchievablePrice),
+        profitAmount: parseFloat(item.profitAmount),
+        profitPercentage: parseFloat(item.profitPercentage),
+        confidence: item.confidence,
+        confidenceScore: item.confidenceScore,
+        recommendation: item.recommendation,
+        pricingStrategy: item.pricingStrategy
+    };
+}
+
+const difference = (before, after) => before !== null && after !== null ? round2(after - before) : null;
+
+function diffItem(item, baseline, candidate) {
+    const changes = ['kept', 'recommendation', 'confidence', 'grossAchievablePrice', 'profitAmount']
+        .filter(field => baseline[field] !== candidate[field]);
+
+    return {
+        name: resolveItemName(item) || null,
+        buyPrice: item.price || item.skinportPrice || null,
+        changed: changes.length > 0,
+        changes,
+        baseline,
+        candidate,
+        delta: {
+            achievablePrice: difference(baseline.achievablePrice, candidate.achievablePrice),
+            grossAchievablePrice: difference(baseline.grossAchievablePrice, candidate.grossAchievablePrice),
+            profitAmount: difference(baseline.profitAmount, candidate.profitAmount),
+            profitPercentage: difference(baseline.profitPercentage, candidate.profitPercentage),
+            confidenceScore: difference(baseline.confidenceScore, candidate.confidenceScore)
+        }
+    };
+}
+
+function countBy(values) {
+    const counts = {};
+    values.forEach(value => {
+        counts[value] = (counts[value] || 0) + 1;
+    });
+    return counts;
+}
+
+function summarizeArm(settings, outcomes, rejections) {
+    const kept = outcomes.filter(outcome => outcome.kept);
+    const totalProfit = kept.reduce((sum, outcome) => sum + outcome.profitAmount, 0);
+    const averageProfitPercentage = kept.length > 0
+        ? kept.reduce((sum, outcome) => sum + outcome.profitPercentage, 0) / kept.length
+        : 0;
+
+    return {
+        modelVersion: resolvePricingParameters(settings).parameters.model.version,
+        kept: kept.length,
+        filtered: outcomes.length - kept.length,
+        totalProfit: round2(totalProfit),
+        averageProfitPercentage: round2(averageProfitPercentage),
+        recommendations: countBy(kept.map(outcome => outcome.recommendation)),
+        confidence: countBy(kept.map(outcome => outcome.confidence)),
+        rejectionCounts: countRejections(rejections)
+    };
+}
+
+/**
+ * Analyze `items` with both arms' settings against the same market data and diff every item.
+ * `dataSource` is the same as for runPriceAnalysis; the data is fetched once for both arms.
+ * Returns { summary, items } - items in request order, each with both outcomes and their deltas.
+ */
+export async function runModelComparison(items, arms, dataSource, { signal, onProgress = () => {} } = {}) {
+    const { game, currency } = resolvePricingParameters(arms.baseline).parameters;
+    const { uniqueNames, marketLookup, salesLookup } = await fetchAnalysisData(items, currency, dataSource, { appId: game.appId, signal, onProgress });
+
+    const outcomes = { baseline: [], candidate: [] };
+    const rejections = { baseline: [], candidate: [] };
+    const diffs = items.map(item => {
+        const itemName = resolveItemName(item);
+        const marketData = itemName ? marketLookup[itemName] : undefined;
+        const salesData = itemName ? salesLookup[itemName] : undefined;
+        const appliedData = lookupAppliedItems(item, marketLookup, salesLookup);
+
+        const [baseline, candidate] = COMPARISON_ARMS.map(arm => {
+            const result = analyzeItem(item, marketData, salesData, arms[arm], appliedData);
+            if (!result.accepted) rejections[arm].push(result.rejection);
+            const outcome = describeOutcome(result);
+            outcomes[arm].push(outcome);
+            return outcome;
+        });
+        return diffItem(item, baseline, candidate);
+    });
+
+    const baselineSummary = summarizeArm(arms.baseline, outcomes.baseline, rejections.baseline);
+    const candidateSummary = summarizeArm(arms.candidate, outcomes.candidate, rejections.candidate);
+    const recommendationsChanged = diffs.filter(diff => diff.changes.includes('recommendation'));
+    const pricesChanged = diffs.filter(diff => diff.delta.grossAchievablePrice !== null && diff.delta.grossAchievablePrice !== 0);
+
+    console.log(`[Compare] ${baselineSummary.modelVersion} vs ${candidateSummary.modelVersion}: ${diffs.filter(diff => diff.changed).length}/${items.length} items changed`);
+
+    return {
+        summary: {
+            totalProcessed: items.length,
+            appId: game.appId,
+            currency,
+            uniqueItemsChecked: uniqueNames.length,
+            marketDataFound: Object.keys(marketLookup).length,
+            salesDataFound: Object.keys(salesLookup).length,
+            baseline: baselineSummary,
+            candidate: candidateSummary,
+            delta: {
+                kept: candidateSummary.kept - baselineSummary.kept,
+                totalProfit: round2(candidateSummary.totalProfit - baselineSummary.totalProfit),
+                averageProfitPercentage: round2(candidateSummary.averageProfitPercentage - baselineSummary.averageProfitPercentage),
+                itemsChanged: diffs.filter(diff => diff.changed).length,
+                newlyKept: diffs.filter(diff => !diff.baseline.kept && diff.candidate.kept).length,
+                newlyFiltered: diffs.filter(diff => diff.baseline.kept && !diff.candidate.kept).length,
+                recommendationChanged: recommendationsChanged.length,
+                confidenceChanged: diffs.filter(diff => diff.changes.includes('confidence')).length,
+                priceUp: pricesChanged.filter(diff => diff.delta.grossAchievablePrice > 0).length,
+                priceDown: pricesChanged.filter(diff => diff.delta.grossAchievablePrice < 0).length
+            },
+            recommendationTransitions: countBy(recommendationsChanged.map(diff =>
+                `${diff.baseline.recommendation || 'FILTERED'} -> ${diff.candidate.recommendation || 'FILTERED'}`))
+        },
+        items: diffs
+    };
+}
@@ -0,0 +1,328 @@
+// Versioned pricing model configuration - every tunable number of the pricing engine.
+// Configs are registered by version (built-in, MODEL_CONFIG_FILE or the /model-configs endpoint - those are
+// stored in MongoDB and registered again on startup); one version is active and each analyzed item reports
+// the version that priced it. The version activated through the API is stored as well.
+import fs from 'fs';
+import { getCollection } from './db.js';
+
+const MODEL_CONFIGS = 'model_configs';
+// The document in MODEL_CONFIGS that holds the version activated through the API (not a config, so it
+// has no `version` of its own)
+const ACTIVE_VERSION_ID = 'active-version';
+
+export const DEFAULT_MODEL_CONFIG = Object.freeze({
+    version: '2.0.0',
+    description: 'Enhanced smart pricing v2.0 (original hard-coded parameters)',
+
+    // Timeframe selection: minimum sales for each window to be used for pricing (in priority order)
+    timeframeMinVolume: { '7d': 1, '24h': 3, '30d': 5, '90d': 8 },
+
+    // Trend detection: median change (%) that counts as RISING/FALLING
+    trendThresholds: {
+        shortTerm: 8,   // 24h vs 7d median
+        longTerm: 10    // 7d vs 30d median (when there is no 24h data)
+    },
+
+    // Gap between buy price and cheapest tradeable listing (% of buy price) per gap category
+    gapThresholds: { HUGE_GAP: 50, LARGE_GAP: 25, MEDIUM_GAP: 10, SMALL_GAP: 3 },
+
+    // Undercut below the cheapest tradeable listing per gap category
+    undercuts: { HUGE_GAP: 0.15, LARGE_GAP: 0.08, MEDIUM_GAP: 0.05, SMALL_GAP: 0.03, TINY_GAP: 0.01 },
+
+    // Minimum margin we need on top of the fee, by buy price (in EUR - converted through the FX table for other currencies)
+    minProfitMargins: [
+        { below: 20, margin: 0.08 },
+        { below: 100, margin: 0.06 },
+        { below: null, margin: 0.05 }
+    ],
+
+    salesPricing: {
+        rejectAboveMedian: 1.10,        // Reject when the minimum profitable price exceeds this × recent median
+        medianCap: 1.05,                // Never list above this × recent sales median
+        salesMaxCap: 0.98,              // List at this × highest sale when above it
+        tightRangeRatio: 0.1,           // Sales range below this × median counts as tight → price at median
+        targetPercentile: 0.30,         // Otherwise price at this percentile of the sales range
+        conservativeMedianFactor: 0.95, // Fallback without a usable sales range
+        fallbackMedianFactor: 0.90      // Fallback without a usable timeframe
+    },
+
+    // Multipliers applied to the list price for the detected sales trend
+    trendAdjustments: { RISING: 1.02, FALLING: 0.98 },
+
+    // List price adjustments by sales velocity (sales per listing per day)
+    velocityAdjustments: {
+        lowBelow: 0.03,
+        lowMultiplier: 0.97,
+        excellentFrom: 0.1,
+        excellentMultiplier: 1.01
+    },
+
+    // Float value ranges per wear condition (premium = best floats of the range)
+    floatRanges: {
+        FN: { min: 0.00, max: 0.07, optimal: 0.00, premium: 0.01 },
+        MW: { min: 0.07, max: 0.15, optimal: 0.07, premium: 0.08 },
+        FT: { min: 0.15, max: 0.38, optimal: 0.15, premium: 0.20 },
+        WW: { min: 0.38, max: 0.45, optimal: 0.38, premium: 0.40 },
+        BS: { min: 0.45, max: 1.00, optimal: 0.45, premium: 0.50 }
+    },
+
+    // Upper bound of each float tier as position within the wear range (0 = best float)
+    floatTierPositions: { EXCELLENT: 0.15, GOOD: 0.3, AVERAGE_GOOD: 0.5, AVERAGE: 0.7, BELOW_AVERAGE: 0.85 },
+
+    // Price multiplier per float tier and wear condition
+    floatMultipliers: {
+        PREMIUM: { FN: 1.08, MW: 1.06, FT: 1.05, WW: 1.03, BS: 1.02 },
+        EXCELLENT: { FN: 1.05, MW: 1.04, FT: 1.03, WW: 1.02, BS: 1.015 },
+        GOOD: { FN: 1.04, MW: 1.03, FT: 1.02, WW: 1.015, BS: 1.01 },
+        AVERAGE_GOOD: { FN: 1.02, MW: 1.015, FT: 1.01, WW: 1.005, BS: 1.005 },
+        BELOW_AVERAGE: { FN: 0.98, MW: 0.985, FT: 0.99, WW: 0.995, BS: 0.995 },
+        POOR: { FN: 0.96, MW: 0.97, FT: 0.98, WW: 0.985, BS: 0.99 }
+    },
+
+    // Float tier estimated from the listing's position in the market price range (no explicit float)
+    floatEstimation: {
+        premiumFrom: 0.8,
+        premiumDamping: 0.7,
+        goodFrom: 0.6,
+        goodDamping: 0.8,
+        poorBelow: 0.2,
+        poorAmplification: 1.2
+    },
+
+    // Phase and fade pricing relative to the median shared by all phases/fades of a skin (pattern-pricing.js)
+    patternPricing: {
+        dopplerPhases: { 'Phase 1': 0.93, 'Phase 2': 1.12, 'Phase 3': 0.92, 'Phase 4': 1.08 },
+        gammaDopplerPhases: { 'Phase 1': 0.97, 'Phase 2': 1.04, 'Phase 3': 0.95, 'Phase 4': 1.04 },
+        fade: { baselinePercentage: 90, premiumPerPercent: 0.015, discountPerPercent: 0.01 },
+        confidencePenalty: 0.25         // Taken off the combined score when a phase/fade multiplier was applied
+    },
+
+    // Premium of applied stickers and charms as a share of their own price (sticker-pricing.js)
+    stickerPricing: {
+        overpayRate: 0.08,              // Intact sticker
+        charmOverpayRate: 0.15,         // Charm
+        scrapedMultiplier: 0.1,         // Any scrape leaves only this share of a sticker's overpay
+        matchingSetMultiplier: 1.5,     // Four or more identical intact stickers
+        minValue: 1                     // Stickers/charms cheaper than this (in EUR) add nothing
+    },
+
+    // Minimum combined (volume + accuracy + velocity) score, out of 4, per confidence level
+    confidenceCutoffs: { HIGH: 3.5, MEDIUM: 2.5, LOW: 1.5 },
+
+    // Minimum profit percentage per recommendation and confidence level
+    recommendationCutoffs: {
+        strongBuyHigh: 3,
+        buyHigh: 1.5,
+        buyMedium: 4,
+        considerMedium: 2,
+        consider: 0.8
+    }
+});
+
+const registry = new Map([[DEFAULT_MODEL_CONFIG.version, { config: DEFAULT_MODEL_CONFIG, source: 'built-in', registeredAt: new Date() }]]);
+let activeVersion = DEFAULT_MODEL_CONFIG.version;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * `overrides` deep-merged over `base`, reporting keys and values that don't fit the base's shape
+ */
+export function mergeModelValues(base, overrides, path, errors) {
+    if (!isPlainObject(overrides)) {
+        errors.push(`${path} must be an object`);
+        return base;
+    }
+
+    const merged = { ...base };
+    Object.entries(overrides).forEach(([key, value]) => {
+        const keyPath = `${path}.${key}`;
+        if (!(key in base)) {
+            errors.push(`Unknown model parameter: ${keyPath}`);
+        } else if (isPlainObject(base[key])) {
+            merged[key] = mergeModelValues(base[key], value, keyPath, errors);
+        } else if (key === 'minProfitMargins') {
+            if (!Array.isArray(value) || value.length === 0 || value.some(band => !isPlainObject(band) || typeof band.margin !== 'number' || (band.below !== null && typeof band.below !== 'number'))) {
+                errors.push(`${keyPath} must be a non-empty array of { below, margin } (below: null for the last band)`);
+            } else {
+                merged[key] = value;
+            }
+        } else if (typeof base[key] === 'number') {
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                errors.push(`${keyPath} must be a non-negative number`);
+            } else {
+                merged[key] = value;
+            }
+        } else {
+            merged[key] = String(value);
+        }
+    });
+    return merged;
+}
+
+/**
+ * Build a complete model config from a (possibly partial) definition. Missing parameters come from
+ * `definition.extends` (a registered version) or the built-in default. Returns { errors, config }.
+ */
+export function buildModelConfig(definition) {
+    const errors = [];
+    if (!isPlainObject(definition)) {
+        return { errors: ['Model config must be an object'], config: null };
+    }
+    if (typeof definition.version !== 'string' || definition.version.trim().length === 0) {
+        errors.push('version is required');
+    }
+
+    const baseVersion = definition.extends || DEFAULT_MODEL_CONFIG.version;
+    const base = getModelConfig(baseVersion);
+    if (!base) {
+        errors.push(`Unknown base model version: ${baseVersion}`);
+        return { errors, config: null };
+    }
+
+    const { extends: _extends, ...parameters } = definition;
+    const config = mergeModelValues(base, parameters, 'model', errors);
+    Object.values(config.undercuts).forEach(value => {
+        if (value >= 1) errors.push('model.undercuts must be fractions below 1 (e.g. 0.05 for 5%)');
+    });
+    config.description = definition.description || `Based on ${baseVersion}`;
+    return { errors: [...new Set(errors)], config: errors.length > 0 ? null : Object.freeze(config) };
+}
+
+/**
+ * Register a model config under its version. Versions are immutable so that reports keep
+ * meaning the same thing. Returns { errors, config, duplicate }.
+ */
+export function registerModelConfig(definition, { source = 'api' } = {}) {
+    const { errors, config } = buildModelConfig(definition);
+    if (errors.length > 0) {
+        return { errors, config: null };
+    }
+    if (registry.has(config.version)) {
+        return { errors: [`Model version ${config.version} is already registered`], config: null, duplicate: true };
+    }
+
+    registry.set(config.version, { config, source, registeredAt: new Date() });
+    console.log(`[Model] Registered model ${config.version} (${source})`);
+    return { errors: [], config };
+}
+
+/**
+ * Register a model config and store it so that it is registered again after a restart (profiles
+ * and reports may name its version). Returns { errors, config, duplicate } like registerModelConfig.
+ */
+export async function createModelConfig(definition) {
+    const { errors, config } = buildModelConfig(definition);
+    if (errors.length > 0) {
+        return { errors, config: null };
+    }
+    const collection = getCollection(MODEL_CONFIGS);
+    if (registry.has(config.version) || await collection.findOne({ version: config.version })) {
+        return { errors: [`Model version ${config.version} is already registered`], config: null, duplicate: true };
+    }
+
+    await collection.insertOne({ version: config.version, config, registeredAt: new Date() });
+    return registerModelConfig(config);
+}
+
+/**
+ * Register the configs stored by createModelConfig (in registration order) and re-activate the version
+ * stored by activateModelVersion. A stored version that is already registered (e.g. by MODEL_CONFIG_FILE)
+ * is skipped. Returns how many were registered.
+ */
+export async function loadStoredModelConfigs() {
+    let stored;
+    try {
+        const collection = getCollection(MODEL_CONFIGS);
+        await collection.createIndex({ version: 1 }, { unique: true });
+        stored = await collection.find({}).sort({ registeredAt: 1 }).toArray();
+    } catch (error) {
+        console.error(`[Model] Failed to load stored model configs: ${error.message}`);
+        return 0;
+    }
+
+    let registered = 0;
+    stored.filter(document => document._id !== ACTIVE_VERSION_ID).forEach(({ version, config }) => {
+        if (registry.has(version)) {
+            console.log(`[Model] Stored model ${version} skipped - version already registered`);
+            return;
+        }
+        const { errors } = registerModelConfig(config);
+        if (errors.length > 0) {
+            console.error(`[Model] Stored model ${version} is invalid: ${errors.join('; ')}`);
+            return;
+        }
+        registered++;
+    });
+
+    const active = stored.find(document => document._id === ACTIVE_VERSION_ID);
+    if (active && !setActiveModelVersion(active.activeVersion)) {
+        console.error(`[Model] Stored active model ${active.activeVersion} is not registered - keeping ${activeVersion}`);
+    }
+    return registered;
+}
+
+export function getModelConfig(version) {
+    return registry.get(version)?.config || null;
+}
+
+export function getActiveModelConfig() {
+    return registry.get(activeVersion).config;
+}
+
+export function setActiveModelVersion(version) {
+    if (!registry.has(version)) return false;
+    activeVersion = version;
+    console.log(`[Model] Active model is now ${version}`);
+    return true;
+}
+
+/**
+ * Switch the active model and store the choice so that it survives a restart (MODEL_VERSION still
+ * wins at startup). Returns false when the version is not registered.
+ */
+export async function activateModelVersion(version) {
+    if (!registry.has(version)) return false;
+    await getCollection(MODEL_CONFIGS).updateOne(
+        { _id: ACTIVE_VERSION_ID },
+        { $set: { activeVersion: version, activatedAt: new Date() } },
+        { upsert: true }
+    );
+    return setActiveModelVersion(version);
+}
+
+export function listModelConfigs() {
+    return {
+        active: activeVersion,
+        versions: [...registry.values()].map(({ config, source, registeredAt }) => ({
+            version: config.version,
+            description: config.description,
+            source,
+            registeredAt: registeredAt.toISOString()
+        }))
+    };
+}
+
+/**
+ * Load model configs from a JSON file holding one config or an array of them.
+ * The last config in the file becomes active unless `activeVersion` names another one.
+ */
+export function loadModelConfigFile(filePath, { activeVersion: requestedVersion } = {}) {
+    const contents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const definitions = Array.isArray(contents) ? contents : [contents];
+
+    let lastVersion = null;
+    definitions.forEach(definition => {
+        const { errors, config } = registerModelConfig(definition, { source: `file:${filePath}` });
+        if (errors.length > 0) {
+            throw new Error(`Invalid model config in ${filePath}: ${errors.join('; ')}`);
+        }
+        lastVersion = config.version;
+    });
+
+    const version = requestedVersion || lastVersion;
+    if (version && !setActiveModelVersion(version)) {
+        throw new Error(`Model version ${version} is not registered`);
+    }
+}
@@ -0,0 +1,503 @@
+// Deal notifications - tells configured channels (webhook, Discord, Slack, email, file) about the
+// STRONG_BUYs an analysis run finds, with per-channel templates, throttling and quiet hours
+import fs from 'fs';
+import path from 'path';
+import { getCollection } from './db.js';
+import { postWebhook, checkWebhookUrl, webhookFetch } from './alerts.js';
+import { sendMail, isValidEmailAddress } from './smtp.js';
+import { formatPrice } from './currency.js';
+import { getGame } from './games.js';
+
+const CHANNELS = 'notification_channels';
+const NOTIFICATIONS = 'notifications';
+const CHANNEL_NAME_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+const FILE_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const REDACTED = '********';
+
+export const NOTIFICATION_CHANNEL_TYPES = ['webhook', 'discord', 'slack', 'smtp', 'file'];
+
+// Recommendations a channel can subscribe to (analyzeItem's recommendation levels)
+export const NOTIFIABLE_RECOMMENDATIONS = ['STRONG_BUY', 'BUY', 'CONSIDER', 'HOLD'];
+
+// Why a deal was not sent to a channel
+export const SUPPRESSION_REASONS = {
+    QUIET_HOURS: 'QUIET_HOURS',         // Inside the channel's quiet hours
+    RATE_LIMITED: 'RATE_LIMITED',       // throttle.maxPerHour already reached
+    ITEM_COOLDOWN: 'ITEM_COOLDOWN'      // Same item sent within throttle.itemCooldownMinutes
+};
+
+export const DEFAULT_TEMPLATE = Object.freeze({
+    title: '{{recommendation}}: {{name}}',
+    body: 'Buy at {{buyPrice}}, list at {{listPrice}} for {{profit}} ({{profitPercentage}}%) profit - {{confidence}} confidence, {{timeEstimate}}'
+});
+
+// Placeholders a template can use ({{name}})
+export const TEMPLATE_FIELDS = [
+    'name', 'recommendation', 'confidence', 'buyPrice', 'listPrice', 'netPrice', 'profit',
+    'profitPercentage', 'timeEstimate', 'trend', 'currency', 'appId', 'game', 'source'
+];
+
+const DEFAULT_THROTTLE = Object.freeze({ maxPerHour: 20, itemCooldownMinutes: 60 });
+
+// Discord embed colour per recommendation
+const EMBED_COLORS = { STRONG_BUY: 0x2ecc71, BUY: 0x27ae60, CONSIDER: 0xf39c12, HOLD: 0x95a5a6 };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export async function ensureNotificationIndexes() {
+    try {
+        await getCollection(CHANNELS).createIndex({ name: 1 }, { unique: true });
+        await getCollection(NOTIFICATIONS).createIndex({ channel: 1, createdAt: -1 });
+    } catch (error) {
+        console.error(`[Notify] Failed to create indexes: ${error.message}`);
+    }
+}
+
+function validateUrl(url, field, errors) {
+    const problem = typeof url === 'string' ? checkWebhookUrl(url) : 'must be an http(s) URL';
+    if (problem) errors.push(`${field} ${problem}`);
+}
+
+/**
+ * Check a channel's type-specific `config`. `current` is the stored config (a redacted password keeps it).
+ */
+function validateChannelConfig(type, config, current) {
+    const errors = [];
+    if (type === 'file') {
+        if (config === undefined || config === null) return { errors, value: { file: null } };
+        if (!isPlainObject(config)) return { errors: ['config must be an object'], value: null };
+        if (config.file !== undefined && config.file !== null && !FILE_NAME_PATTERN.test(String(config.file))) {
+            errors.push('config.file must be a file name (letters, digits, ".", "-" and "_") - it is written to NOTIFICATIONS_DIR');
+        }
+        return { errors, value: { file: config.file ?? null } };
+    }
+
+    if (!isPlainObject(config)) {
+        return { errors: [`config is required for ${type} channels`], value: null };
+    }
+
+    if (type !== 'smtp') {
+        validateUrl(config.url, 'config.url', errors);
+        return { errors, value: { url: config.url } };
+    }
+
+    const value = {
+        host: config.host,
+        port: config.port === undefined ? (config.secure ? 465 : 587) : Number(config.port),
+        secure: config.secure === true,
+        startTls: config.startTls !== false,
+        username: config.username ?? null,
+        password: config.password === REDACTED ? current?.password ?? null : config.password ?? null,
+        from: config.from,
+        to: Array.isArray(config.to) ? config.to : [config.to]
+    };
+    if (typeof value.host !== 'string' || value.host.trim().length === 0) errors.push('config.host is required');
+    if (!Number.isInteger(value.port) || value.port < 1 || value.port > 65535) errors.push('config.port must be a port number');
+    if (!isValidEmailAddress(value.from)) errors.push('config.from must be an email address');
+    if (value.to.length === 0 || value.to.some(address => !isValidEmailAddress(address))) {
+        errors.push('config.to must be an email address or an array of them');
+    }
+    if (value.username !== null && typeof value.username !== 'string') errors.push('config.username must be a string');
+    return { errors, value };
+}
+
+function validateTemplate(template) {
+    if (!isPlainObject(template)) {
+        return { errors: ['template must be { title, body }'], value: null };
+    }
+
+    const errors = [];
+    const value = { ...DEFAULT_TEMPLATE };
+    ['title', 'body'].forEach(part => {
+        if (template[part] === undefined) return;
+        if (typeof template[part] !== 'string' || template[part].trim().length === 0) {
+            errors.push(`template.${part} must be a non-empty string`);
+            return;
+        }
+        const unknown = [...template[part].matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+            .map(match => match[1])
+            .filter(field => !TEMPLATE_FIELDS.includes(field));
+        if (unknown.length > 0) {
+            errors.push(`template.${part} uses unknown fields: ${unknown.join(', ')} (available: ${TEMPLATE_FIELDS.join(', ')})`);
+        }
+        value[part] = template[part];
+    });
+    return { errors, value };
+}
+
+function validateQuietHours(quietHours) {
+    if (quietHours === null) return { errors: [], value: null };
+    if (!isPlainObject(quietHours) || !TIME_PATTERN.test(quietHours.start) || !TIME_PATTERN.test(quietHours.end)) {
+        return { errors: ['quietHours must be { start: "HH:MM", end: "HH:MM", timezone } or null'], value: null };
+    }
+
+    const timezone = quietHours.timezone || 'UTC';
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    } catch {
+        return { errors: [`Unknown quietHours.timezone: ${timezone}`], value: null };
+    }
+    return { errors: [], value: { start: quietHours.start, end: quietHours.end, timezone } };
+}
+
+function validateThrottle(throttle) {
+    if (!isPlainObject(throttle)) {
+        return { errors: ['throttle must be { maxPerHour, itemCooldownMinutes }'], value: null };
+    }
+
+    const errors = [];
+    const value = { ...DEFAULT_THROTTLE };
+    if (throttle.maxPerHour !== undefined) {
+        const maxPerHour = Number(throttle.maxPerHour);
+        if (!Number.isInteger(maxPerHour) || maxPerHour < 1) errors.push('throttle.maxPerHour must be a positive integer');
+        else value.maxPerHour = maxPerHour;
+    }
+    if (throttle.itemCooldownMinutes !== undefined) {
+        const itemCooldownMinutes = Number(throttle.itemCooldownMinutes);
+        if (!(itemCooldownMinutes >= 0)) errors.push('throttle.itemCooldownMinutes must be zero or a positive number');
+        else value.itemCooldownMinutes = itemCooldownMinutes;
+    }
+    return { errors, value };
+}
+
+/**
+ * Validate a notification channel payload ({ name, type, config, recommendations, minProfitPercentage,
+ * template, throttle, quietHours, enabled }). With `partial` the name and type are taken from the
+ * stored channel (`current`) and only the fields present are checked. Returns { errors, values }.
+ */
+export function validateChannel(body, { partial = false, current = null } = {}) {
+    const errors = [];
+    const values = {};
+
+    if (!partial) {
+        if (typeof body.name !== 'string' || !CHANNEL_NAME_PATTERN.test(body.name)) {
+            errors.push('name is required (letters, digits, "-" and "_", up to 50 characters)');
+        } else {
+            values.name = body.name;
+        }
+        if (!NOTIFICATION_CHANNEL_TYPES.includes(body.type)) {
+            errors.push(`type must be one of ${NOTIFICATION_CHANNEL_TYPES.join(', ')}`);
+        } else {
+            values.type = body.type;
+        }
+    } else if (body.type !== undefined && body.type !== current.type) {
+        errors.push('type cannot be changed (delete and recreate the channel)');
+    }
+
+    const type = partial ? current.type : values.type;
+    if (type && (body.config !== undefined || !partial)) {
+        const { errors: configErrors, value } = validateChannelConfig(type, body.config, current?.config);
+        errors.push(...configErrors);
+        values.config = value;
+    }
+
+    if (body.recommendations !== undefined) {
+        const recommendations = Array.isArray(body.recommendations) ? body.recommendations.map(value => String(value).toUpperCase()) : [];
+        if (recommendations.length === 0 || recommendations.some(value => !NOTIFIABLE_RECOMMENDATIONS.includes(value))) {
+            errors.push(`recommendations must be a non-empty array of ${NOTIFIABLE_RECOMMENDATIONS.join(', ')}`);
+        } else {
+            values.recommendations = [...new Set(recommendations)];
+        }
+    } else if (!partial) {
+        values.recommendations = ['STRONG_BUY'];
+    }
+
+    if (body.minProfitPercentage !== undefined) {
+        const minProfitPercentage = Number(body.minProfitPercentage);
+        if (!Number.isFinite(minProfitPercentage)) errors.push('minProfitPercentage must be a number');
+        else values.minProfitPercentage = minProfitPercentage;
+    } else if (!partial) {
+        values.minProfitPercentage = 0;
+    }
+
+    const groups = [
+        ['template', validateTemplate, { ...DEFAULT_TEMPLATE }],
+        ['throttle', validateThrottle, { ...DEFAULT_THROTTLE }],
+        ['quietHours', validateQuietHours, null]
+    ];
+    groups.forEach(([key, validate, defaultValue]) => {
+        if (body[key] !== undefined) {
+            const { errors: groupErrors, value } = validate(body[key]);
+            errors.push(...groupErrors);
+            values[key] = value;
+        } else if (!partial) {
+            values[key] = defaultValue;
+        }
+    });
+
+    if (body.enabled !== undefined) {
+        values.enabled = body.enabled !== false && body.enabled !== 'false';
+    } else if (!partial) {
+        values.enabled = true;
+    }
+
+    return { errors, values };
+}
+
+/**
+ * A channel as returned by the API (SMTP password redacted)
+ */
+export function publicChannel(channel) {
+    if (!channel || !channel.config?.password) return channel;
+    return { ...channel, config: { ...channel.config, password: REDACTED } };
+}
+
+export async function listChannels() {
+    return getCollection(CHANNELS).find({}).sort({ name: 1 }).toArray();
+}
+
+export async function getChannel(name) {
+    return getCollection(CHANNELS).findOne({ name });
+}
+
+/**
+ * Store a new channel. Returns null if the name is already taken.
+ */
+export async function createChannel(values) {
+    const collection = getCollection(CHANNELS);
+    if (await collection.findOne({ name: values.name })) {
+        return null;
+    }
+
+    const now = new Date();
+    const channel = { ...values, createdAt: now, updatedAt: now };
+    await collection.insertOne(channel);
+    console.log(`[Notify] Created ${channel.type} channel "${channel.name}"`);
+    return channel;
+}
+
+export async function updateChannel(name, values) {
+    return getCollection(CHANNELS).findOneAndUpdate(
+        { name },
+        { $set: { ...values, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+}
+
+export async function deleteChannel(name) {
+    const result = await getCollection(CHANNELS).deleteOne({ name });
+    return result.deletedCount === 1;
+}
+
+/**
+ * Notification log (sent, failed and suppressed deals), newest first
+ */
+export async function listNotifications({ channel, status, limit = 50 } = {}) {
+    const filter = {};
+    if (channel) filter.channel = channel;
+    if (status) filter.status = status;
+    return getCollection(NOTIFICATIONS).find(filter).sort({ createdAt: -1 }).limit(limit).toArray();
+}
+
+/**
+ * Fill a template's {{field}} placeholders from `context` (unknown fields are left as they are)
+ */
+export function renderTemplate(template, context) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, field) =>
+        context[field] === undefined || context[field] === null ? placeholder : String(context[field]));
+}
+
+/**
+ * Template fields of an analyzed item
+ */
+export function templateContext(item, { currency, appId, source }) {
+    return {
+        name: item.name,
+        recommendation: item.recommendation,
+        confidence: item.confidence,
+        buyPrice: formatPrice(parseFloat(item.skinportPrice), currency),
+        listPrice: formatPrice(parseFloat(item.grossAchievablePrice), currency),
+        netPrice: formatPrice(parseFloat(item.achievablePrice), currency),
+        profit: formatPrice(parseFloat(item.profitAmount), currency),
+        profitPercentage: item.profitPercentage,
+        timeEstimate: item.timeEstimate,
+        trend: item.trend,
+        currency,
+        appId,
+        game: getGame(appId).name,
+        source
+    };
+}
+
+function minutesOfDay(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Whether `date` falls inside quiet hours ({ start, end, timezone } - may wrap past midnight)
+ */
+export function isQuietTime(quietHours, date = new Date()) {
+    if (!quietHours) return false;
+
+    const localTime = new Intl.DateTimeFormat('en-GB', { timeZone: quietHours.timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(date);
+    const now = minutesOfDay(localTime);
+    const start = minutesOfDay(quietHours.start);
+    const end = minutesOfDay(quietHours.end);
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Create the notifier. Throttling state lives in memory (a restart forgets what was sent when).
+ * `notificationsDir` is where file channels write their JSON lines.
+ */
+export function createNotifier({ delay, notificationsDir, fetchImpl = webhookFetch, sendMailImpl = sendMail }) {
+    // channel name → { sentAt: [timestamps], lastSentByItem: Map }
+    const throttleState = new Map();
+    let lastRunAt = null;
+    let lastResult = null;
+
+    function throttleFor(channelName) {
+        if (!throttleState.has(channelName)) {
+            throttleState.set(channelName, { sentAt: [], lastSentByItem: new Map() });
+        }
+        return throttleState.get(channelName);
+    }
+
+    /**
+     * Why a deal can't go to a channel right now (null when it can)
+     */
+    function suppressionReason(channel, itemKey, now) {
+        if (isQuietTime(channel.quietHours, now)) return SUPPRESSION_REASONS.QUIET_HOURS;
+
+        const state = throttleFor(channel.name);
+        state.sentAt = state.sentAt.filter(sentAt => now - sentAt < HOUR_MS);
+        if (state.sentAt.length >= channel.throttle.maxPerHour) return SUPPRESSION_REASONS.RATE_LIMITED;
+
+        const lastSent = state.lastSentByItem.get(itemKey);
+        if (lastSent && now - lastSent < channel.throttle.itemCooldownMinutes * 60 * 1000) return SUPPRESSION_REASONS.ITEM_COOLDOWN;
+        return null;
+    }
+
+    /**
+     * Deliver one rendered message through a channel. Returns { status, attempts, lastError }.
+     */
+    async function send(channel, { title, body, context }) {
+        const webhookOptions = { fetchImpl, delay };
+        switch (channel.type) {
+            case 'webhook':
+                return postWebhook(channel.config.url, { event: 'deal', title, message: body, item: context }, webhookOptions);
+            case 'discord':
+                return postWebhook(channel.config.url, {
+                    username: 'Skinport Tracker',
+                    content: title,
+                    embeds: [{ title: context.name, description: body, color: EMBED_COLORS[context.recommendation], timestamp: new Date().toISOString() }]
+                }, webhookOptions);
+            case 'slack':
+                return postWebhook(channel.config.url, { text: `*${title}*\n${body}` }, webhookOptions);
+            case 'smtp':
+                try {
+                    await sendMailImpl({ ...channel.config, subject: title, text: body });
+                    return { status: 'SENT', attempts: 1, lastError: null };
+                } catch (error) {
+                    return { status: 'FAILED', attempts: 1, lastError: error.message };
+                }
+            default: {
+                console.log(`[Notify] ${channel.name}: ${title} - ${body}`);
+                if (channel.config?.file) {
+                    await fs.promises.mkdir(notificationsDir, { recursive: true });
+                    await fs.promises.appendFile(path.join(notificationsDir, channel.config.file), `${JSON.stringify({ sentAt: new Date().toISOString(), channel: channel.name, title, body, item: context })}\n`);
+                }
+                return { status: 'SENT', attempts: 1, lastError: null };
+            }
+        }
+    }
+
+    async function deliver(channel, message) {
+        let delivery;
+        try {
+            delivery = await send(channel, message);
+        } catch (error) {
+            delivery = { status: 'FAILED', attempts: 1, lastError: error.message };
+        }
+        // Webhook deliveries report DELIVERED - every channel logs SENT
+        return { ...delivery, status: delivery.status === 'FAILED' ? 'FAILED' : 'SENT' };
+    }
+
+    /**
+     * Notify every enabled channel about the analyzed items matching its recommendations and minimum
+     * profit. Deals in quiet hours or over a channel's throttle are logged as SUPPRESSED instead.
+     * Deliveries run concurrently, so a channel whose endpoint is down (webhook retries take ~40s)
+     * doesn't hold back the other deals and channels.
+     */
+    async function notifyRecommendations(analyzedItems, { currency, appId, source = 'analyze' }) {
+        const result = { channels: 0, sent: 0, failed: 0, suppressed: 0 };
+        const channels = await getCollection(CHANNELS).find({ enabled: true }).toArray();
+        const deliveries = [];
+
+        for (const channel of channels) {
+            const deals = analyzedItems.filter(item =>
+                channel.recommendations.includes(item.recommendation) &&
+                parseFloat(item.profitPercentage) >= channel.minProfitPercentage);
+            if (deals.length === 0) continue;
+            result.channels++;
+
+            for (const item of deals) {
+                const now = new Date();
+                const itemKey = `${appId}|${currency}|${item.name}`;
+                const context = templateContext(item, { currency, appId, source });
+                const title = renderTemplate(channel.template.title, context);
+                const body = renderTemplate(channel.template.body, context);
+                const entry = { channel: channel.name, type: channel.type, marketHashName: item.name, recommendation: item.recommendation, currency, appId, source, title, createdAt: now };
+
+                // Throttling is decided up front, before any delivery is awaited
+                const reason = suppressionReason(channel, itemKey, now);
+                if (reason) {
+                    result.suppressed++;
+                    deliveries.push(getCollection(NOTIFICATIONS).insertOne({ ...entry, status: 'SUPPRESSED', reason, attempts: 0, lastError: null }));
+                    continue;
+                }
+
+                // Failed sends count against the throttle too, so a broken endpoint isn't hammered
+                const state = throttleFor(channel.name);
+                state.sentAt.push(now);
+                state.lastSentByItem.set(itemKey, now);
+
+                deliveries.push(deliver(channel, { title, body, context }).then(async delivery => {
+                    if (delivery.status === 'SENT') {
+                        result.sent++;
+                    } else {
+                        result.failed++;
+                        console.error(`[Notify] ${channel.name} failed to send ${item.name}: ${delivery.lastError}`);
+                    }
+                    await getCollection(NOTIFICATIONS).insertOne({ ...entry, status: delivery.status, reason: null, attempts: delivery.attempts, lastError: delivery.lastError });
+                }));
+            }
+        }
+
+        await Promise.all(deliveries);
+
+        if (result.sent + result.failed + result.suppressed > 0) {
+            console.log(`[Notify] ${result.sent} sent, ${result.failed} failed, ${result.suppressed} suppressed (${source}, ${currency})`);
+        }
+        lastRunAt = new Date().toISOString();
+        lastResult = result;
+        return result;
+    }
+
+    /**
+     * Send a sample deal through a channel, ignoring quiet hours and throttling
+     */
+    async function sendTest(channel) {
+        const context = Object.fromEntries(TEMPLATE_FIELDS.map(field => [field, `<${field}>`]));
+        Object.assign(context, { name: 'Test item', recommendation: 'STRONG_BUY', source: 'test' });
+        const message = {
+            title: renderTemplate(channel.template.title, context),
+            body: renderTemplate(channel.template.body, context),
+            context
+        };
+        const { status, attempts, lastError } = await deliver(channel, message);
+        return { status, attempts, lastError, title: message.title, body: message.body };
+    }
+
+    function getStatus() {
+        return { lastRunAt, lastResult };
+    }
+
+    return { notifyRecommendations, sendTest, getStatus };
+}
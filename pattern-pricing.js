@@ -0,0 +1,199 @@
+// Phase, fade and pattern pricing. All Doppler phases, every Fade percentage and every Case Hardened
+// pattern of a skin share one market_hash_name, so its /items and /sales/history prices are a blend of
+// all of them. Items that carry their phase or pattern are priced against an adjusted copy of that
+// blend; rare patterns (Ruby, Sapphire, blue gems, ...) are flagged instead of priced like the median.
+import { getSkinName } from './item-attributes.js';
+
+// Finishes whose price depends on the phase or pattern more than on the wear
+export const PATTERN_FINISHES = ['Doppler', 'Gamma Doppler', 'Fade', 'Case Hardened'];
+
+// Phases of each finish (paint index → phase for the finish ids inspect links and float APIs report)
+export const DOPPLER_PHASES = {
+    Doppler: {
+        phases: ['Phase 1', 'Phase 2', 'Phase 3', 'Phase 4', 'Ruby', 'Sapphire', 'Black Pearl'],
+        rare: ['Ruby', 'Sapphire', 'Black Pearl'],
+        paintIndexes: {
+            415: 'Ruby', 416: 'Sapphire', 417: 'Black Pearl',
+            418: 'Phase 1', 419: 'Phase 2', 420: 'Phase 3', 421: 'Phase 4',
+            617: 'Black Pearl', 618: 'Phase 2', 619: 'Sapphire',
+            852: 'Phase 1', 853: 'Phase 2', 854: 'Phase 3', 855: 'Phase 4'
+        }
+    },
+    'Gamma Doppler': {
+        phases: ['Phase 1', 'Phase 2', 'Phase 3', 'Phase 4', 'Emerald'],
+        rare: ['Emerald'],
+        paintIndexes: {
+            568: 'Emerald', 569: 'Phase 1', 570: 'Phase 2', 571: 'Phase 3', 572: 'Phase 4'
+        }
+    }
+};
+
+// Best-known blue gem seeds per Case Hardened skin (StatTrak™/Souvenir and wear stripped) - not exhaustive
+export const BLUE_GEM_SEEDS = {
+    'AK-47 | Case Hardened': [151, 179, 321, 387, 555, 661, 670, 955],
+    'Five-SeveN | Case Hardened': [278, 363, 690, 868, 872],
+    '★ Karambit | Case Hardened': [269, 387, 442, 463, 853]
+};
+
+const MAX_PAINT_SEED = 1000;
+
+/**
+ * Skin name without StatTrak™/Souvenir and wear ("★ Karambit | Doppler") and its pattern finish
+ * (one of PATTERN_FINISHES, null for skins priced by wear alone)
+ */
+export function getPatternFinish(itemName) {
+    const skin = getSkinName(itemName);
+    const finish = skin.split(' | ')[1] || '';
+    return { skin, finish: PATTERN_FINISHES.includes(finish) ? finish : null };
+}
+
+/**
+ * Phase name from a payload value: "Phase 2", "p2", 2, "ruby", "Black Pearl"... null when unrecognized
+ */
+export function parsePhase(value, finish) {
+    const { phases } = DOPPLER_PHASES[finish];
+    const text = String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+    const phaseNumber = text.match(/^(?:phase ?|p)?([1-4])$/);
+    if (phaseNumber) return `Phase ${phaseNumber[1]}`;
+    return phases.find(phase => phase.toLowerCase() === text) || null;
+}
+
+function parseInteger(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const parsed = typeof value === 'number' ? value : Number(String(value).trim());
+    return Number.isInteger(parsed) ? parsed : NaN;
+}
+
+function parsePercentage(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const parsed = typeof value === 'number' ? value : parseFloat(String(value).replace('%', '').replace(',', '.'));
+    return Number.isFinite(parsed) ? parsed : NaN;
+}
+
+/**
+ * Validate the pattern fields of an item payload ({ phase, paintSeed, patternIndex, fadePercentage })
+ * against its finish. `patternIndex` is the finish's paint index (e.g. 419 for Doppler Phase 2).
+ * Returns { errors, values }.
+ */
+export function validatePatternFields(item, finish) {
+    const errors = [];
+    const values = { phase: null, paintSeed: null, patternIndex: null, fadePercentage: null };
+    const phased = Boolean(DOPPLER_PHASES[finish]);
+
+    const paintSeed = parseInteger(item.paintSeed);
+    if (paintSeed !== undefined) {
+        if (!(paintSeed >= 0 && paintSeed <= MAX_PAINT_SEED)) errors.push(`paintSeed must be an integer between 0 and ${MAX_PAINT_SEED}`);
+        else values.paintSeed = paintSeed;
+    }
+
+    const patternIndex = parseInteger(item.patternIndex);
+    if (patternIndex !== undefined) {
+        if (!(patternIndex >= 0)) errors.push('patternIndex must be a non-negative integer');
+        else values.patternIndex = patternIndex;
+    }
+
+    if (item.phase !== undefined && item.phase !== null && item.phase !== '') {
+        const phase = phased ? parsePhase(item.phase, finish) : null;
+        if (!phased) errors.push('phase only applies to Doppler and Gamma Doppler skins');
+        else if (!phase) errors.push(`Unknown ${finish} phase: ${item.phase} (${DOPPLER_PHASES[finish].phases.join(', ')})`);
+        else values.phase = phase;
+    }
+
+    if (phased && values.patternIndex !== null) {
+        const indexPhase = DOPPLER_PHASES[finish].paintIndexes[values.patternIndex];
+        if (!indexPhase) errors.push(`patternIndex ${values.patternIndex} is not a ${finish} paint index`);
+        else if (values.phase && values.phase !== indexPhase) errors.push(`phase ${values.phase} does not match patternIndex ${values.patternIndex} (${indexPhase})`);
+        else values.phase = indexPhase;
+    }
+
+    const fadePercentage = parsePercentage(item.fadePercentage);
+    if (fadePercentage !== undefined) {
+        if (finish !== 'Fade') errors.push('fadePercentage only applies to Fade skins');
+        else if (!(fadePercentage >= 0 && fadePercentage <= 100)) errors.push('fadePercentage must be between 0 and 100');
+        else values.fadePercentage = fadePercentage;
+    }
+
+    return { errors, values };
+}
+
+function fadeMultiplier(fadePercentage, fade) {
+    return fadePercentage >= fade.baselinePercentage
+        ? 1 + (fadePercentage - fade.baselinePercentage) * fade.premiumPerPercent
+        : Math.max(0, 1 - (fade.baselinePercentage - fadePercentage) * fade.discountPerPercent);
+}
+
+/**
+ * Pattern analysis of one item: { errors, pattern } where pattern is null for skins without a pattern
+ * finish, otherwise { skin, finish, phase, paintSeed, patternIndex, fadePercentage, rarity,
+ * specialHandling, multiplier, confidencePenalty, analysis }. `multiplier` is the item's price
+ * relative to the shared market_hash_name; specialHandling marks patterns the median says nothing about.
+ */
+export function analyzePattern(itemName, item, model) {
+    const { skin, finish } = getPatternFinish(itemName);
+    const { errors, values } = validatePatternFields(item, finish);
+    if (errors.length > 0 || !finish) {
+        return { errors, pattern: null };
+    }
+
+    const { patternPricing } = model;
+    let multiplier = 1;
+    let rarity = null;
+    let analysis;
+
+    if (DOPPLER_PHASES[finish]) {
+        if (!values.phase) {
+            analysis = `${finish} phase unknown - priced against the median shared by all phases`;
+        } else if (DOPPLER_PHASES[finish].rare.includes(values.phase)) {
+            rarity = values.phase.toUpperCase().replace(/ /g, '_');
+            analysis = `${values.phase} ${finish} - trades far above the shared median, price manually`;
+        } else {
+            multiplier = patternPricing[finish === 'Doppler' ? 'dopplerPhases' : 'gammaDopplerPhases'][values.phase] ?? 1;
+            analysis = `${finish} ${values.phase} - ${multiplier}x the median shared by all phases`;
+        }
+    } else if (finish === 'Fade') {
+        if (values.fadePercentage === null) {
+            analysis = 'Fade percentage unknown - priced against the median shared by all fades';
+        } else {
+            multiplier = parseFloat(fadeMultiplier(values.fadePercentage, patternPricing.fade).toFixed(4));
+            analysis = `${values.fadePercentage}% fade - ${multiplier}x the median (baseline ${patternPricing.fade.baselinePercentage}%)`;
+        }
+    } else if (values.paintSeed === null) {
+        analysis = 'Case Hardened pattern unknown - priced against the median shared by all patterns';
+    } else if ((BLUE_GEM_SEEDS[skin] || []).includes(values.paintSeed)) {
+        rarity = 'BLUE_GEM';
+        analysis = `Blue gem seed ${values.paintSeed} - trades far above the shared median, price manually`;
+    } else {
+        analysis = `Case Hardened seed ${values.paintSeed} - no known premium, priced at the shared median`;
+    }
+
+    return {
+        errors: [],
+        pattern: {
+            skin,
+            finish,
+            ...values,
+            rarity,
+            specialHandling: rarity !== null,
+            multiplier,
+            confidencePenalty: multiplier !== 1 ? patternPricing.confidencePenalty : 0,
+            analysis
+        }
+    };
+}
+
+/**
+ * /sales/history entry with every price scaled by `multiplier` (volumes unchanged) - the sales of the
+ * shared market_hash_name as they would look for one phase or fade
+ */
+export function scaleSalesHistory(salesData, multiplier) {
+    const scaled = { ...salesData };
+    ['last_24_hours', 'last_7_days', 'last_30_days', 'last_90_days'].forEach(period => {
+        const data = salesData[period];
+        if (!data) return;
+        scaled[period] = { ...data };
+        ['min', 'max', 'avg', 'median'].forEach(field => {
+            if (typeof data[field] === 'number') scaled[period][field] = data[field] * multiplier;
+        });
+    });
+    return scaled;
+}
@@ -0,0 +1,159 @@
+// Background market poller - keeps the /items and watch-set sales history caches warm
+import fs from 'fs';
+import { DEFAULT_APP_ID } from './games.js';
+
+/**
+ * Read the watch set from POLLER_WATCHLIST (semicolon/newline separated) and POLLER_WATCHLIST_FILE (JSON array)
+ */
+export function loadWatchlist(env = process.env) {
+    const names = [];
+
+    if (env.POLLER_WATCHLIST) {
+        names.push(...env.POLLER_WATCHLIST.split(/[;\n]/));
+    }
+
+    if (env.POLLER_WATCHLIST_FILE) {
+        try {
+            const fileNames = JSON.parse(fs.readFileSync(env.POLLER_WATCHLIST_FILE, 'utf8'));
+            if (Array.isArray(fileNames)) {
+                names.push(...fileNames);
+            } else {
+                console.error(`[Poller] ${env.POLLER_WATCHLIST_FILE} must contain a JSON array of market hash names`);
+            }
+        } catch (error) {
+            console.error(`[Poller] Failed to read watchlist file ${env.POLLER_WATCHLIST_FILE}: ${error.message}`);
+        }
+    }
+
+    return [...new Set(names.map(name => String(name).trim()).filter(name => name.length > 0))];
+}
+
+/**
+ * Create a poller that refreshes the catalogue and the watch set on a fixed schedule.
+ * Every request goes through the shared rate limiter, and a poll only spends a request
+ * while `hasHeadroom()` (async) says the slots reserved for user-driven calls stay free.
+ * `getExtraWatchlist()` adds names to the watch set at the start of each sales history round (e.g. alert rules).
+ */
+export function createMarketPoller({
+    fetchAllItems,
+    fetchSalesHistoryBatch,
+    createBatches,
+    hasHeadroom,
+    enabled = false,
+    intervalMs = 4 * 60 * 1000,
+    currencies = ['EUR'],
+    appId = DEFAULT_APP_ID,
+    watchlist = [],
+    getExtraWatchlist = async () => []
+}) {
+    let timer = null;
+    let running = false;
+    let nextRunAt = null;
+    let lastRunAt = null;
+    let lastRunDurationMs = null;
+    let lastResult = null;
+    let lastError = null;
+
+    // Batches deferred for lack of headroom are retried first on the next run
+    let pendingBatches = [];
+
+    async function runOnce() {
+        if (running) {
+            console.log(`[Poller] Previous run still in progress - skipping`);
+            return lastResult;
+        }
+
+        running = true;
+        const startedAt = Date.now();
+        const result = {
+            catalogueRefreshed: [],
+            catalogueDeferred: [],
+            batchesFetched: 0,
+            batchesDeferred: 0
+        };
+
+        try {
+            for (const currency of currencies) {
+                if (!await hasHeadroom()) {
+                    result.catalogueDeferred.push(currency);
+                    continue;
+                }
+                await fetchAllItems(currency, { forceRefresh: true, appId });
+                result.catalogueRefreshed.push(currency);
+            }
+
+            if (pendingBatches.length === 0) {
+                const watchSet = [...new Set([...watchlist, ...await getExtraWatchlist()])];
+                pendingBatches = watchSet.length === 0 ? [] : currencies.flatMap(currency =>
+                    createBatches(watchSet).map(names => ({ names, currency }))
+                );
+            }
+
+            while (pendingBatches.length > 0 && await hasHeadroom()) {
+                const batch = pendingBatches.shift();
+                await fetchSalesHistoryBatch(batch.names, batch.currency, { forceRefresh: true, appId });
+                result.batchesFetched++;
+            }
+            result.batchesDeferred = pendingBatches.length;
+
+            lastError = null;
+            console.log(`[Poller] Run complete: catalogue ${result.catalogueRefreshed.join(',') || 'none'}, ${result.batchesFetched} sales batches fetched, ${result.batchesDeferred} deferred`);
+        } catch (error) {
+            lastError = error.message;
+            console.error(`[Poller] Run failed: ${error.message}`);
+        } finally {
+            running = false;
+            lastRunAt = new Date(startedAt).toISOString();
+            lastRunDurationMs = Date.now() - startedAt;
+            lastResult = result;
+        }
+
+        return result;
+    }
+
+    function scheduleNext(delayMs) {
+        nextRunAt = new Date(Date.now() + delayMs).toISOString();
+        timer = setTimeout(async () => {
+            await runOnce();
+            scheduleNext(intervalMs);
+        }, delayMs);
+        timer.unref();
+    }
+
+    function start() {
+        if (!enabled) {
+            console.log(`[Poller] Disabled (set POLLER_ENABLED=true to keep caches warm in the background)`);
+            return;
+        }
+        if (timer) return;
+        console.log(`[Poller] Starting: every ${Math.round(intervalMs / 1000)}s, currencies ${currencies.join(',')}, ${watchlist.length} watched items`);
+        scheduleNext(0);
+    }
+
+    function stop() {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        nextRunAt = null;
+    }
+
+    function getStatus() {
+        return {
+            enabled,
+            running,
+            intervalSeconds: Math.round(intervalMs / 1000),
+            currencies,
+            appId,
+            watchlistSize: watchlist.length,
+            lastRunAt,
+            lastRunDurationMs,
+            nextRunAt,
+            pendingBatches: pendingBatches.length,
+            lastResult,
+            lastError
+        };
+    }
+
+    return { start, stop, runOnce, getStatus };
+}
@@ -0,0 +1,253 @@
+// Portfolio of purchased items - positions, recorded sales and realized P&L
+import { getCollection, toObjectId } from './db.js';
+import { resolveFeeSchedule, convertFeeSchedule, calculateFees } from './fee-schedule.js';
+import { getFxRate, normalizeCurrency, SUPPORTED_CURRENCIES } from './currency.js';
+import { resolveAppId } from './games.js';
+import { resolveItemAttributes } from './item-attributes.js';
+
+const PORTFOLIO = 'portfolio';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function parseNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const parsed = typeof value === 'number' ? value : parseFloat(value.toString().replace(',', '.'));
+    return Number.isFinite(parsed) ? parsed : NaN;
+}
+
+function parseDate(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validate a purchase payload. With `partial` only the fields present are checked (for updates).
+ * Returns { errors, values } where values holds the parsed fields.
+ */
+export function validatePurchase(body, { partial = false } = {}) {
+    const errors = [];
+    const values = {};
+
+    if (body.marketHashName !== undefined || !partial) {
+        if (typeof body.marketHashName !== 'string' || body.marketHashName.trim().length === 0) {
+            errors.push('marketHashName is required');
+        } else {
+            values.marketHashName = body.marketHashName.trim().replace(/\s+/g, ' ');
+        }
+    }
+
+    const purchasePrice = parseNumber(body.purchasePrice);
+    if (purchasePrice !== undefined || !partial) {
+        if (!(purchasePrice > 0)) errors.push('purchasePrice must be a positive number');
+        else values.purchasePrice = purchasePrice;
+    }
+
+    const purchaseFee = parseNumber(body.purchaseFee);
+    if (purchaseFee !== undefined) {
+        if (!(purchaseFee >= 0)) errors.push('purchaseFee must be zero or a positive number');
+        else values.purchaseFee = purchaseFee;
+    } else if (!partial) {
+        values.purchaseFee = 0;
+    }
+
+    const floatValue = parseNumber(body.floatValue);
+    if (floatValue !== undefined) {
+        if (!(floatValue >= 0 && floatValue <= 1)) errors.push('floatValue must be between 0 and 1');
+        else values.floatValue = floatValue;
+    } else if (!partial) {
+        values.floatValue = null;
+    }
+    if (values.marketHashName && typeof values.floatValue === 'number') {
+        errors.push(...resolveItemAttributes(values).errors);
+    }
+
+    const purchasedAt = parseDate(body.purchasedAt);
+    if (purchasedAt === null) errors.push('purchasedAt must be a valid date');
+    else if (purchasedAt !== undefined) values.purchasedAt = purchasedAt;
+    else if (!partial) values.purchasedAt = new Date();
+
+    if (body.currency !== undefined || !partial) {
+        const currency = normalizeCurrency(body.currency ?? 'EUR');
+        if (!currency) errors.push(`currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`);
+        else values.currency = currency;
+    }
+
+    if (body.appId !== undefined || !partial) {
+        const appId = resolveAppId(body.appId);
+        if (appId === null) errors.push(`Unsupported appId: ${body.appId}`);
+        else values.appId = appId;
+    }
+
+    if (body.notes !== undefined) {
+        values.notes = String(body.notes);
+    }
+
+    return { errors, values };
+}
+
+/**
+ * Validate a sale payload ({ salePrice, soldAt, feeSchedule }) - feeSchedule as accepted by
+ * resolveFeeSchedule, the default Skinport schedule when omitted
+ */
+export function validateSale(body) {
+    const errors = [];
+    const salePrice = parseNumber(body.salePrice);
+    if (!(salePrice > 0)) errors.push('salePrice must be a positive number');
+
+    const soldAt = parseDate(body.soldAt);
+    if (soldAt === null) errors.push('soldAt must be a valid date');
+
+    const { errors: feeErrors, schedule: feeSchedule } = resolveFeeSchedule(body.feeSchedule);
+    errors.push(...feeErrors);
+
+    return { errors, values: { salePrice, soldAt: soldAt || new Date(), feeSchedule } };
+}
+
+/**
+ * Realized P&L of selling a position at `salePrice` under a marketplace fee schedule
+ */
+export function calculateRealizedPnl(position, salePrice, feeSchedule) {
+    const costBasis = position.purchasePrice + (position.purchaseFee || 0);
+    const fees = calculateFees(salePrice, feeSchedule);
+    const realizedProfit = fees.netPrice - costBasis;
+
+    return {
+        salePrice: round2(salePrice),
+        saleFee: round2(fees.saleFee),
+        withdrawalFee: round2(fees.withdrawalFee),
+        netProceeds: round2(fees.netPrice),
+        costBasis: round2(costBasis),
+        realizedProfit: round2(realizedProfit),
+        realizedProfitPercentage: round2((realizedProfit / costBasis) * 100)
+    };
+}
+
+export async function createPosition(values) {
+    const now = new Date();
+    const position = {
+        ...values,
+        status: 'open',
+        sale: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    await getCollection(PORTFOLIO).insertOne(position);
+    return position;
+}
+
+export async function listPositions({ status, currency } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (currency) filter.currency = currency;
+    return getCollection(PORTFOLIO).find(filter).sort({ purchasedAt: -1 }).toArray();
+}
+
+export async function getPosition(id) {
+    const _id = toObjectId(id);
+    return _id ? getCollection(PORTFOLIO).findOne({ _id }) : null;
+}
+
+/**
+ * Update a position's fields. `expected` are field values it must still have (null when it doesn't).
+ */
+export async function updatePosition(id, values, expected = {}) {
+    const _id = toObjectId(id);
+    if (!_id) return null;
+    return getCollection(PORTFOLIO).findOneAndUpdate(
+        { _id, ...expected },
+        { $set: { ...values, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+}
+
+export async function deletePosition(id) {
+    const _id = toObjectId(id);
+    if (!_id) return false;
+    const result = await getCollection(PORTFOLIO).deleteOne({ _id });
+    return result.deletedCount === 1;
+}
+
+/**
+ * A sale's fee schedule in the position's currency - fee amounts denominated in another currency
+ * are converted through the FX table. Returns { errors, schedule }.
+ */
+export function resolveSaleFeeSchedule(feeSchedule, currency) {
+    if (!feeSchedule.currency || feeSchedule.currency === currency) {
+        return { errors: [], schedule: feeSchedule };
+    }
+    const feeFxRate = getFxRate(feeSchedule.currency, currency);
+    if (feeFxRate === null) {
+        return { errors: [`No FX rate to convert fee schedule ${feeSchedule.name} from ${feeSchedule.currency}`], schedule: null };
+    }
+    return { errors: [], schedule: convertFeeSchedule(feeSchedule, feeFxRate, currency) };
+}
+
+/**
+ * Mark an open position as sold and store the realized P&L. Returns null when the position
+ * doesn't exist or isn't open (a sale is never overwritten). Throws when the fee schedule
+ * can't be converted into the position's currency (see resolveSaleFeeSchedule).
+ */
+export async function recordSale(id, { salePrice, soldAt, feeSchedule: saleFeeSchedule }) {
+    const position = await getPosition(id);
+    if (!position || position.status !== 'open') return null;
+
+    const { errors, schedule: feeSchedule } = resolveSaleFeeSchedule(saleFeeSchedule, position.currency);
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+
+    const sale = {
+        ...calculateRealizedPnl(position, salePrice, feeSchedule),
+        feeSchedule,
+        soldAt
+    };
+
+    // Only an open position is updated, so two concurrent sales can't both be recorded
+    return getCollection(PORTFOLIO).findOneAndUpdate(
+        { _id: position._id, status: 'open' },
+        { $set: { status: 'sold', sale, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+}
+
+/**
+ * Recompute the realized P&L of a sold position, e.g. after its cost basis was corrected
+ */
+export async function recalculateSale(position) {
+    // Sales recorded before fee schedules only stored a flat feeRate
+    const feeSchedule = position.sale.feeSchedule || resolveFeeSchedule(position.sale.feeRate).schedule;
+    const sale = {
+        ...calculateRealizedPnl(position, position.sale.salePrice, feeSchedule),
+        feeSchedule,
+        soldAt: position.sale.soldAt
+    };
+    return updatePosition(position._id.toHexString(), { sale });
+}
+
+/**
+ * Totals across positions: open exposure and estimated value, realized P&L of sold positions
+ */
+export function summarizePortfolio(positions) {
+    const open = positions.filter(position => position.status === 'open');
+    const sold = positions.filter(position => position.status === 'sold');
+
+    const invested = open.reduce((sum, position) => sum + position.purchasePrice + (position.purchaseFee || 0), 0);
+    const valued = open.filter(position => position.valuation);
+    const estimatedNetValue = valued.reduce((sum, position) => sum + position.valuation.targetNetPrice, 0);
+    const unrealizedProfit = valued.reduce((sum, position) => sum + position.valuation.unrealizedProfit, 0);
+    const realizedProfit = sold.reduce((sum, position) => sum + position.sale.realizedProfit, 0);
+    const soldCostBasis = sold.reduce((sum, position) => sum + position.sale.costBasis, 0);
+
+    return {
+        openPositions: open.length,
+        soldPositions: sold.length,
+        invested: round2(invested),
+        valuedPositions: valued.length,
+        estimatedNetValue: round2(estimatedNetValue),
+        unrealizedProfit: round2(unrealizedProfit),
+        realizedProfit: round2(realizedProfit),
+        realizedProfitPercentage: soldCostBasis > 0 ? round2((realizedProfit / soldCostBasis) * 100) : 0,
+        winningSales: sold.filter(position => position.sale.realizedProfit > 0).length
+    };
+}
@@ -0,0 +1,1539 @@
+// Pricing engine for Skinport Tracker - the per-item analysis behind /analyze-prices
+// (kept free of Express and network code so offline tools like the backtester can use it)
+import { resolveFilterRules, checkItemRules, getWearCode, RULE_REJECTION_REASONS } from './filter-rules.js';
+import { getActiveModelConfig, getModelConfig, buildModelConfig, mergeModelValues } from './model-config.js';
+import { DEFAULT_FEE_SCHEDULE, resolveFeeSchedule, convertFeeSchedule, calculateFees, grossPriceForNet, describeFees } from './fee-schedule.js';
+import { BASE_CURRENCY, SUPPORTED_CURRENCIES, normalizeCurrency, getFxRate, formatPrice } from './currency.js';
+import { DEFAULT_APP_ID, GAMES, resolveAppId, getGame } from './games.js';
+import { analyzePattern, scaleSalesHistory } from './pattern-pricing.js';
+import { analyzeAppliedItems, appliedItemNames } from './sticker-pricing.js';
+import { resolveItemAttributes } from './item-attributes.js';
+
+export { normalizeItemName } from './item-attributes.js';
+
+// Model parameter groups a request (or profile) may override inline
+const MODEL_OVERRIDE_KEYS = ['undercuts', 'confidenceCutoffs', 'recommendationCutoffs'];
+
+// Resolved parameters per settings object - also keeps one model for a whole run
+const resolvedParameters = new WeakMap();
+
+/**
+ * Pricing parameters of a request: the model config (`settings.modelVersion`, an unregistered
+ * definition in `settings.modelConfig`, or the active one) with `settings.undercuts`, `settings.confidenceCutoffs` and `settings.recommendationCutoffs`
+ * applied on top, plus the fee schedule (`settings.feeSchedule`, or a flat `settings.sellerFee` rate).
+ * A model with inline overrides is reported as `<version>+custom`. `currency` is the request currency
+ * and `fxRate` converts the model's absolute thresholds (in BASE_CURRENCY) into it. `game` is the
+ * game of `settings.appId` (CS2 by default).
+ * Returns { errors, parameters: { game, currency, fxRate, feeSchedule, model } }.
+ */
+export function resolvePricingParameters(settings = {}) {
+    // Only objects can be cached (and hold parameters) - anything else gets the defaults and an error
+    if (settings === null || typeof settings !== 'object') {
+        const resolved = resolvePricingParameters({});
+        return { ...resolved, errors: ['settings must be an object', ...resolved.errors] };
+    }
+    if (resolvedParameters.has(settings)) return resolvedParameters.get(settings);
+
+    const errors = [];
+
+    const appId = resolveAppId(settings.appId);
+    if (appId === null) {
+        errors.push(`Unsupported appId: ${settings.appId} (supported: ${Object.values(GAMES).map(game => `${game.appId} ${game.key}`).join(', ')})`);
+    }
+    const game = getGame(appId ?? DEFAULT_APP_ID);
+
+    let currency = BASE_CURRENCY;
+    if (settings.currency !== undefined) {
+        currency = normalizeCurrency(settings.currency) || BASE_CURRENCY;
+        if (!normalizeCurrency(settings.currency)) {
+            errors.push(`Unsupported currency: ${settings.currency} (supported: ${SUPPORTED_CURRENCIES.join(', ')})`);
+        }
+    }
+    const fxRate = getFxRate(BASE_CURRENCY, currency);
+    if (fxRate === null) {
+        errors.push(`No FX rate for ${currency} - add it to the FX table`);
+    }
+
+    let feeSchedule = DEFAULT_FEE_SCHEDULE;
+    if (settings.feeSchedule !== undefined) {
+        const resolved = resolveFeeSchedule(settings.feeSchedule);
+        errors.push(...resolved.errors);
+        feeSchedule = resolved.schedule || feeSchedule;
+    } else if (settings.sellerFee !== undefined) {
+        const sellerFee = settings.sellerFee;
+        const parsedFee = typeof sellerFee === 'number' ? sellerFee : parseFloat(String(sellerFee).replace(',', '.'));
+        if (!(parsedFee >= 0 && parsedFee < 1)) {
+            errors.push('sellerFee must be a fraction between 0 and 1 (e.g. 0.08)');
+        } else {
+            feeSchedule = resolveFeeSchedule(parsedFee).schedule;
+        }
+    }
+    // Preset (and explicitly denominated) schedules are converted into the request currency
+    if (feeSchedule.currency && feeSchedule.currency !== currency) {
+        const feeFxRate = getFxRate(feeSchedule.currency, currency);
+        if (feeFxRate === null) errors.push(`No FX rate to convert fee schedule ${feeSchedule.name} from ${feeSchedule.currency}`);
+        else feeSchedule = convertFeeSchedule(feeSchedule, feeFxRate, currency);
+    }
+
+    let model = getActiveModelConfig();
+    if (settings.modelConfig !== undefined) {
+        const built = buildModelConfig(settings.modelConfig);
+        if (built.config) model = built.config;
+        else errors.push(...built.errors.map(error => `modelConfig: ${error}`));
+    } else if (settings.modelVersion !== undefined) {
+        const requested = getModelConfig(String(settings.modelVersion));
+        if (requested) model = requested;
+        else errors.push(`Unknown model version: ${settings.modelVersion}`);
+    }
+
+    const overrides = {};
+    MODEL_OVERRIDE_KEYS.forEach(key => {
+        if (settings[key] !== undefined) overrides[key] = settings[key];
+    });
+    if (Object.keys(overrides).length > 0) {
+        const merged = mergeModelValues(model, overrides, 'settings', errors);
+        Object.keys(model.undercuts).forEach(key => {
+            if (merged.undercuts[key] >= 1) errors.push(`undercuts.${key} must be a fraction below 1 (e.g. 0.05 for 5%)`);
+        });
+        model = { ...merged, version: `${model.version}+custom` };
+    }
+
+    const resolved = { errors, parameters: { game, currency, fxRate: fxRate ?? 1, feeSchedule, model } };
+    resolvedParameters.set(settings, resolved);
+    return resolved;
+}
+
+// Why analyzeItem() filtered an item out (filter rule reasons come from filter-rules.js)
+export const REJECTION_REASONS = {
+    ...Object.fromEntries(Object.values(RULE_REJECTION_REASONS).map(reason => [reason, reason])),
+    INVALID_ITEM: 'INVALID_ITEM',                           // No name or price, or invalid pattern/sticker fields
+    SPECIAL_HANDLING: 'SPECIAL_HANDLING',                   // Rare phase/pattern the shared median says nothing about
+    NO_MARKET_DATA: 'NO_MARKET_DATA',                       // Not in the /items catalogue
+    NO_SALES_HISTORY: 'NO_SALES_HISTORY',                   // Nothing from /sales/history
+    INVALID_MARKET_PRICE: 'INVALID_MARKET_PRICE',           // Catalogue has no usable min price
+    INSUFFICIENT_SALES_VOLUME: 'INSUFFICIENT_SALES_VOLUME', // No timeframe with enough sales
+    SALES_REALITY_REJECTION: 'SALES_REALITY_REJECTION',     // Smart pricing found no realistic list price
+    NO_SALES_DATA: 'NO_SALES_DATA',                         // Smart pricing had no usable sales prices
+    NO_PROFIT: 'NO_PROFIT',
+    BELOW_USER_MINIMUM: 'BELOW_USER_MINIMUM'                // Below settings.minProfitAmount/minProfitPercentage
+};
+
+function formatPercent(fraction) {
+    return `${parseFloat((fraction * 100).toFixed(2))}%`;
+}
+
+/**
+ * Enhanced Float Value Intelligence - Categorize the item's float value (or estimate its tier) for realistic pricing.
+ * `attributes` are the item's resolveItemAttributes() fields: `floatValue`, `wear` (else taken from the name) and
+ * `floatRange`, the skin's own float range - the tiers are relative to the part of the wear range the skin can have.
+ */
+export function analyzeFloatValue(itemName, currentPrice, marketData = null, model = getActiveModelConfig(), { floatValue = null, wear = null, floatRange = null } = {}) {
+    const hasExplicitFloat = floatValue !== null;
+    const explicitFloatValue = floatValue;
+    const wearCondition = wear || getWearCode(itemName) || 'UNKNOWN';
+    
+    // If no explicit float but we have wear condition and market data, estimate float tier
+    if (!hasExplicitFloat && wearCondition !== 'UNKNOWN' && marketData) {
+        const estimatedFloatAnalysis = estimateFloatFromMarketPosition(currentPrice, marketData, wearCondition, model);
+        return {
+            hasFloat: false,
+            floatValue: null,
+            floatTier: estimatedFloatAnalysis.estimatedTier,
+            floatMultiplier: estimatedFloatAnalysis.multiplier,
+            floatAnalysis: estimatedFloatAnalysis.reasoning,
+            wearCondition: wearCondition,
+            isEstimated: true,
+            confidence: estimatedFloatAnalysis.confidence
+        };
+    }
+    
+    if (!hasExplicitFloat) {
+        return {
+            hasFloat: false,
+            floatValue: null,
+            floatTier: 'UNKNOWN',
+            floatMultiplier: 1.0,
+            floatAnalysis: 'No float value provided',
+            wearCondition: wearCondition,
+            isEstimated: false,
+            confidence: 'NONE'
+        };
+    }
+    
+    // Float ranges for each wear condition
+    const floatRanges = model.floatRanges;
+    const tierPositions = model.floatTierPositions;
+    
+    if (wearCondition === 'UNKNOWN') {
+        return {
+            hasFloat: true,
+            floatValue: explicitFloatValue,
+            floatTier: 'UNKNOWN_WEAR',
+            floatMultiplier: 1.0,
+            floatAnalysis: `Float ${explicitFloatValue} detected but wear condition unknown`,
+            wearCondition: wearCondition,
+            isEstimated: false,
+            confidence: 'LOW'
+        };
+    }
+    
+    // Wear range narrowed to the skin's float range (premium floats shift along with its best end)
+    const wearRanges = floatRanges[wearCondition];
+    const ranges = floatRange ? {
+        min: Math.max(wearRanges.min, floatRange.min),
+        max: Math.min(wearRanges.max, floatRange.max),
+        optimal: Math.max(wearRanges.optimal, floatRange.min),
+        premium: Math.min(wearRanges.premium + Math.max(floatRange.min - wearRanges.min, 0), Math.min(wearRanges.max, floatRange.max))
+    } : wearRanges;
+    
+    // Validate float value is within wear condition range
+    if (explicitFloatValue < ranges.min || explicitFloatValue > ranges.max) {
+        return {
+            hasFloat: true,
+            floatValue: explicitFloatValue,
+            floatTier: 'INVALID_RANGE',
+            floatMultiplier: 1.0,
+            floatAnalysis: `Float ${explicitFloatValue} outside ${wearCondition} range (${ranges.min}-${ranges.max})`,
+            wearCondition: wearCondition,
+            isEstimated: false,
+            confidence: 'ERROR'
+        };
+    }
+    
+    // Calculate float percentile within wear range
+    const range = ranges.max - ranges.min;
+    const floatPosition = range > 0 ? (explicitFloatValue - ranges.min) / range : 0;
+    
+    // Determine float tier and pricing multiplier with market awareness - ENHANCED GRANULARITY
+    let floatTier, floatMultiplier, floatAnalysis;
+    
+    if (explicitFloatValue <= ranges.premium) {
+        // Premium float (top tier within wear condition)
+        floatTier = 'PREMIUM';
+        floatMultiplier = getConservativeFloatMultiplier(wearCondition, 'PREMIUM', model);
+        floatAnalysis = `Premium ${wearCondition} float (${explicitFloatValue}) - conservative ${((floatMultiplier - 1) * 100).toFixed(0)}% adjustment`;
+    } else if (floatPosition <= tierPositions.EXCELLENT) {
+        // Excellent float (top 15% of wear range) - NEW TIER
+        floatTier = 'EXCELLENT';
+        floatMultiplier = getConservativeFloatMultiplier(wearCondition, 'EXCELLENT', model);
+        floatAnalysis = `Excellent ${wearCondition} float (${explicitFloatValue}) - granular ${((floatMultiplier - 1) * 100).toFixed(0)}% adjustment`;
+    } else if (floatPosition <= tierPositions.GOOD) {
+        // Good float (bottom 30% of wear range)
+        floatTier = 'GOOD';
+        floatMultiplier = getConservativeFloatMultiplier(wearCondition, 'GOOD', model);
+        floatAnalysis = `Good ${wearCondition} float (${explicitFloatValue}) - conservative ${((floatMultiplier - 1) * 100).toFixed(0)}% adjustment`;
+    } else if (floatPosition <= tierPositions.AVERAGE_GOOD) {
+        // Average-Good float (30-50% range) - NEW TIER
+        floatTier = 'AVERAGE_GOOD';
+        floatMultiplier = getConservativeFloatMultiplier(wearCondition, 'AVERAGE_GOOD', model);
+        floatAnalysis = `Above-average ${wearCondition} float (${explicitFloatValue}) - slight ${((floatMultiplier - 1) * 100).toFixed(0)}% adjustment`;
+    } else if (floatPosition <= tierPositions.AVERAGE) {
+        // Average float (middle 20% of wear range)
+        floatTier = 'AVERAGE';
+        floatMultiplier = 1.0;
+        floatAnalysis = `Average ${wearCondition} float (${explicitFloatValue}) - standard pricing`;
+    } else if (floatPosition <= tierPositions.BELOW_AVERAGE) {
+        // Below-Average float (70-85% range) - NEW TIER
+        floatTier = 'BELOW_AVERAGE';
+        floatMultiplier = getConservativeFloatMultiplier(wearCondition, 'BELOW_AVERAGE', model);
+        floatAnalysis = `Below-average ${wearCondition} float (${explicitFloatValue}) - minor ${((1 - floatMultiplier) * 100).toFixed(0)}% discount`;
+    } else {
+        // Poor float (top 15% of wear range)
+        floatTier = 'POOR';
+        floatMultiplier = getConservativeFloatMultiplier(wearCondition, 'POOR', model);
+        floatAnalysis = `Poor ${wearCondition} float (${explicitFloatValue}) - conservative ${((1 - floatMultiplier) * 100).toFixed(0)}% discount`;
+    }
+    
+    return {
+        hasFloat: true,
+        floatValue: explicitFloatValue,
+        wearCondition: wearCondition,
+        floatTier: floatTier,
+        floatMultiplier: floatMultiplier,
+        floatPosition: floatPosition,
+        floatAnalysis: floatAnalysis,
+        floatRanges: ranges,
+        isEstimated: false,
+        confidence: 'HIGH'
+    };
+}
+
+/**
+ * Enhanced granular float multipliers for better within-wear-range pricing
+ */
+function getConservativeFloatMultiplier(wearCondition, floatTier, model) {
+    const multipliers = model.floatMultipliers;
+    
+    return multipliers[floatTier]?.[wearCondition] || 1.0;
+}
+
+/**
+ * Estimate float tier from market position when explicit float not available
+ */
+function estimateFloatFromMarketPosition(currentPrice, marketData, wearCondition, model) {
+    const estimation = model.floatEstimation;
+    const medianPrice = marketData.median_price || marketData.median;
+    const minPrice = marketData.min_price || marketData.min;
+    const maxPrice = marketData.max_price || marketData.max;
+    
+    if (!medianPrice || !minPrice || !maxPrice) {
+        return {
+            estimatedTier: 'UNKNOWN',
+            multiplier: 1.0,
+            reasoning: 'Insufficient market data for float estimation',
+            confidence: 'NONE'
+        };
+    }
+    
+    // Calculate price position within market range
+    const priceRange = maxPrice - minPrice;
+    const pricePosition = priceRange > 0 ? (currentPrice - minPrice) / priceRange : 0.5;
+    
+    let estimatedTier, multiplier, reasoning, confidence;
+    
+    if (pricePosition >= estimation.premiumFrom) {
+        // Top 20% of price range - likely premium float
+        estimatedTier = 'PREMIUM_ESTIMATED';
+        multiplier = getConservativeFloatMultiplier(wearCondition, 'PREMIUM', model) * estimation.premiumDamping; // More conservative for estimates
+        reasoning = `Estimated premium float based on price position (top 20% of market range)`;
+        confidence = 'MEDIUM';
+    } else if (pricePosition >= estimation.goodFrom) {
+        // Top 40% of price range - likely good float
+        estimatedTier = 'GOOD_ESTIMATED';
+        multiplier = getConservativeFloatMultiplier(wearCondition, 'GOOD', model) * estimation.goodDamping; // More conservative for estimates
+        reasoning = `Estimated good float based on price position (top 40% of market range)`;
+        confidence = 'MEDIUM';
+    } else if (pricePosition <= estimation.poorBelow) {
+        // Bottom 20% of price range - likely poor float
+        estimatedTier = 'POOR_ESTIMATED';
+        multiplier = getConservativeFloatMultiplier(wearCondition, 'POOR', model) * estimation.poorAmplification; // Larger discount for estimates
+        reasoning = `Estimated poor float based on price position (bottom 20% of market range)`;
+        confidence = 'MEDIUM';
+    } else {
+        // Middle range - assume average float
+        estimatedTier = 'AVERAGE_ESTIMATED';
+        multiplier = 1.0;
+        reasoning = `Estimated average float based on price position (middle of market range)`;
+        confidence = 'LOW';
+    }
+    
+    return { estimatedTier, multiplier, reasoning, confidence };
+}
+
+/**
+ * Multi-timeframe analysis with RECENT-FIRST priority for accurate market pricing
+ */
+export function analyzeMultiTimeframe(salesData, model = getActiveModelConfig(), currency = BASE_CURRENCY) {
+    const minVolume = model.timeframeMinVolume;
+    const timeframes = [];
+    
+    // Check all available timeframes
+    if (salesData.last_24_hours && salesData.last_24_hours.volume > 0) {
+        timeframes.push({
+            period: '24h',
+            data: salesData.last_24_hours,
+            weight: 10, // MUCH higher weight for recent data
+            recency: 1,
+            priorityTier: 1 // Highest priority
+        });
+    }
+    
+    if (salesData.last_7_days && salesData.last_7_days.volume > 0) {
+        timeframes.push({
+            period: '7d',
+            data: salesData.last_7_days,
+            weight: 8, // High weight for weekly data
+            recency: 2,
+            priorityTier: 1 // Highest priority
+        });
+    }
+    
+    if (salesData.last_30_days && salesData.last_30_days.volume > 0) {
+        timeframes.push({
+            period: '30d',
+            data: salesData.last_30_days,
+            weight: 4, // Lower weight for monthly
+            recency: 3,
+            priorityTier: 2 // Medium priority - fallback only
+        });
+    }
+    
+    if (salesData.last_90_days && salesData.last_90_days.volume > 0) {
+        timeframes.push({
+            period: '90d',
+            data: salesData.last_90_days,
+            weight: 1, // Very low weight for quarterly
+            recency: 4,
+            priorityTier: 3 // Low priority - trend analysis only
+        });
+    }
+    
+    if (timeframes.length === 0) {
+        return null;
+    }
+    
+    // REALISTIC TIMEFRAME Selection Logic - Focus on 7d data for better market reality:
+    // 1. Prefer 7d data if volume >= 1 (realistic weekly pattern)
+    // 2. Use 24h if volume >= 3 AND no 7d data (strong daily activity)
+    // 3. Use 30d if volume >= 5 (monthly sample as fallback)
+    // 4. Use 90d as last resort if volume >= 8 (quarterly trend)
+    
+    let bestTimeframe;
+    
+    // PRIORITY: 7d data with ANY meaningful activity (realistic approach)
+    const tf7d = timeframes.find(t => t.period === '7d');
+    if (tf7d && tf7d.data.volume >= minVolume['7d']) {
+        bestTimeframe = tf7d;
+        console.log(`[Timeframe Selection] Using 7d data: ${tf7d.data.volume} sales, ${formatPrice((tf7d.data.median || tf7d.data.avg), currency)} median - WEEKLY REALITY`);
+    }
+    // Second choice: 24h with decent volume (only if no 7d data)
+    else {
+        const tf24h = timeframes.find(t => t.period === '24h');
+        if (tf24h && tf24h.data.volume >= minVolume['24h']) {
+            bestTimeframe = tf24h;
+            console.log(`[Timeframe Selection] Using 24h data: ${tf24h.data.volume} sales, ${formatPrice((tf24h.data.median || tf24h.data.avg), currency)} median - DAILY ACTIVITY`);
+        }
+        // Third choice: 30d with some volume
+        else {
+            const tf30d = timeframes.find(t => t.period === '30d');
+            if (tf30d && tf30d.data.volume >= minVolume['30d']) {
+                bestTimeframe = tf30d;
+                console.log(`[Timeframe Selection] Using 30d data: ${tf30d.data.volume} sales, ${formatPrice((tf30d.data.median || tf30d.data.avg), currency)} median - MONTHLY SAMPLE`);
+            }
+            // Fourth choice: 90d with reasonable volume
+            else {
+                const tf90d = timeframes.find(t => t.period === '90d');
+                if (tf90d && tf90d.data.volume >= minVolume['90d']) {
+                    bestTimeframe = tf90d;
+                    console.log(`[Timeframe Selection] Using 90d data: ${tf90d.data.volume} sales, ${formatPrice((tf90d.data.median || tf90d.data.avg), currency)} median - QUARTERLY TREND`);
+                }
+                // Last resort: Best available with WARNING
+                else {
+                    bestTimeframe = timeframes.reduce((best, current) => {
+                        return current.data.volume > best.data.volume ? current : best;
+                    });
+                    console.log(`[TIMEFRAME WARNING] Using ${bestTimeframe.period} data with LOW VOLUME: ${bestTimeframe.data.volume} sales - PROCEED WITH CAUTION`);
+                }
+            }
+        }
+    }
+    
+    // REALISTIC: Accept items with minimal market data (1+ sales)
+    if (!bestTimeframe || bestTimeframe.data.volume < 1) {
+        console.log(`[INSUFFICIENT DATA REJECTION] Item has ${bestTimeframe?.data.volume || 0} sales in best timeframe - NO MARKET DATA`);
+        return null; // Signal to calling function that this item should be skipped
+    }
+    
+    // Detect price trend using recent vs older data - using median prices for better stability
+    let trend = 'STABLE';
+    const recent24h = timeframes.find(t => t.period === '24h');
+    const recent7d = timeframes.find(t => t.period === '7d');
+    const older30d = timeframes.find(t => t.period === '30d');
+    
+    if (recent24h && recent7d) {
+        const recent24hMedian = recent24h.data.median || recent24h.data.avg;
+        const recent7dMedian = recent7d.data.median || recent7d.data.avg;
+        const priceChange = ((recent24hMedian - recent7dMedian) / recent7dMedian) * 100;
+        if (priceChange > model.trendThresholds.shortTerm) trend = 'RISING';
+        else if (priceChange < -model.trendThresholds.shortTerm) trend = 'FALLING';
+    } else if (recent7d && older30d) {
+        const recent7dMedian = recent7d.data.median || recent7d.data.avg;
+        const older30dMedian = older30d.data.median || older30d.data.avg;
+        const priceChange = ((recent7dMedian - older30dMedian) / older30dMedian) * 100;
+        if (priceChange > model.trendThresholds.longTerm) trend = 'RISING';
+        else if (priceChange < -model.trendThresholds.longTerm) trend = 'FALLING';
+    }
+    
+    return {
+        bestTimeframe,
+        allTimeframes: timeframes,
+        trend,
+        confidence: timeframes.length >= 2 ? 'HIGH' : timeframes.length === 1 ? 'MEDIUM' : 'LOW',
+        recentDataQuality: recent24h ? 'EXCELLENT' : recent7d ? 'GOOD' : 'LIMITED'
+    };
+}
+
+/**
+ * CHEAPEST TRADEABLE Gap Analysis - Analyze the gap between buy price and cheapest tradeable
+ */
+export function analyzeCheapestTradeableGap(buyPrice, cheapestTradeable, model = getActiveModelConfig()) {
+    const thresholds = model.gapThresholds;
+    const gap = cheapestTradeable - buyPrice;
+    const gapPercentage = (gap / buyPrice) * 100;
+    
+    let gapCategory, strategy, description;
+    
+    if (gapPercentage >= thresholds.HUGE_GAP) {
+        gapCategory = 'HUGE_GAP';
+        strategy = 'AGGRESSIVE_UNDERCUT';
+        description = `Huge ${gapPercentage.toFixed(1)}% gap - can undercut aggressively`;
+    } else if (gapPercentage >= thresholds.LARGE_GAP) {
+        gapCategory = 'LARGE_GAP';
+        strategy = 'MODERATE_UNDERCUT';
+        description = `Large ${gapPercentage.toFixed(1)}% gap - moderate undercut recommended`;
+    } else if (gapPercentage >= thresholds.MEDIUM_GAP) {
+        gapCategory = 'MEDIUM_GAP';
+        strategy = 'SMALL_UNDERCUT';
+        description = `Medium ${gapPercentage.toFixed(1)}% gap - small undercut or competitive pricing`;
+    } else if (gapPercentage >= thresholds.SMALL_GAP) {
+        gapCategory = 'SMALL_GAP';
+        strategy = 'MINIMAL_UNDERCUT';
+        description = `Small ${gapPercentage.toFixed(1)}% gap - minimal undercut, rely on market position`;
+    } else {
+        gapCategory = 'TINY_GAP';
+        strategy = 'MATCH_OR_SLIGHT_UNDER';
+        description = `Tiny ${gapPercentage.toFixed(1)}% gap - match cheapest or slight undercut`;
+    }
+    
+    return {
+        gap: gap,
+        gapPercentage: gapPercentage,
+        gapCategory: gapCategory,
+        strategy: strategy,
+        description: description
+    };
+}
+
+/**
+ * SALES-ONLY Smart pricing calculation with CHEAPEST TRADEABLE integration
+ */
+export function calculateSmartAchievablePrice(buyPrice, marketData, multiTimeframeData, currentMinPrice, floatAnalysis = null, parameters = resolvePricingParameters().parameters) {
+    const { currency, fxRate, feeSchedule, model } = parameters;
+    const { undercuts, salesPricing } = model;
+    if (!multiTimeframeData || !multiTimeframeData.bestTimeframe) {
+        // Fallback to conservative sales-based pricing
+        const recent7dData = multiTimeframeData?.allTimeframes?.find(t => t.period === '7d');
+        if (recent7dData) {
+            const conservativePrice = (recent7dData.data.median || recent7dData.data.avg) * salesPricing.fallbackMedianFactor;
+            return {
+                achievablePrice: conservativePrice,
+                confidence: 'LOW',
+                strategy: 'FALLBACK_SALES_CONSERVATIVE',
+                reasoning: `Limited sales data, using conservative 7d median * ${salesPricing.fallbackMedianFactor}`
+            };
+        }
+        
+        return {
+            achievablePrice: 0,
+            confidence: 'REJECTED',
+            strategy: 'NO_SALES_DATA',
+            reasoning: 'No sales data available for pricing'
+        };
+    }
+    
+    const salesData = multiTimeframeData.bestTimeframe.data;
+    const trend = multiTimeframeData.trend;
+    
+    // Calculate various price points from sales data - MEDIAN-FIRST approach
+    const salesMedian = salesData.median || salesData.avg;
+    const salesAvg = salesData.avg; // Keep for comparison only
+    const salesMin = salesData.min;
+    const salesMax = salesData.max;
+    const salesVolume = salesData.volume;
+    
+    // CHEAPEST TRADEABLE ANALYSIS - Core feature integration
+    const cheapestTradeable = currentMinPrice;
+    const gapAnalysis = analyzeCheapestTradeableGap(buyPrice, cheapestTradeable, model);
+    
+    console.log(`[CHEAPEST TRADEABLE] Buy: ${formatPrice(buyPrice, currency)} vs Cheapest: ${formatPrice(cheapestTradeable, currency)} = ${gapAnalysis.description}`);
+    
+    // CRITICAL: Check against RECENT sales medians (24h/7d priority) for better outlier resistance
+    const recentDataQuality = multiTimeframeData.recentDataQuality;
+    const bestPeriod = multiTimeframeData.bestTimeframe.period;
+    
+    // Get most recent median for reality check - MEDIAN-BASED LOGIC
+    const recent24hMedian = multiTimeframeData.allTimeframes.find(t => t.period === '24h')?.data.median || 
+                           multiTimeframeData.allTimeframes.find(t => t.period === '24h')?.data.avg;
+    const recent7dMedian = multiTimeframeData.allTimeframes.find(t => t.period === '7d')?.data.median || 
+                          multiTimeframeData.allTimeframes.find(t => t.period === '7d')?.data.avg;
+    
+    // STEP 1: PROFITABILITY-FIRST ANALYSIS - Calculate what we NEED to make profit
+    // FIX: Use ACTUAL 7d volume, fallback to reasonable estimate based on SELECTED timeframe
+    const actual7dVolume = multiTimeframeData.allTimeframes.find(t => t.period === '7d')?.data.volume || 0;
+    let weeklyVolume;
+    
+    if (actual7dVolume > 0) {
+        weeklyVolume = actual7dVolume;
+    } else if (bestPeriod === '24h') {
+        // Conservative estimate: don't extrapolate 24h to weekly (too unreliable)
+        weeklyVolume = Math.min(salesVolume * 2, salesVolume + 3); // Conservative daily to weekly estimate
+    } else if (bestPeriod === '30d') {
+        weeklyVolume = Math.max(salesVolume / 4, 1); // Monthly to weekly estimate
+    } else if (bestPeriod === '90d') {
+        weeklyVolume = Math.max(salesVolume / 12, 1); // Quarterly to weekly estimate
+    } else {
+        weeklyVolume = Math.max(salesVolume / 4, 1); // Default fallback
+    }
+    
+    console.log(`[Weekly Volume Fix] ${bestPeriod} period with ${salesVolume} sales → estimated weekly: ${weeklyVolume} (actual 7d: ${actual7dVolume})`);
+    
+    // Simplified market analysis - focus on sales data basics
+    const currentMinPrice_val = marketData.min_price;
+    
+    // Simple stability check based on sales data
+    const isStableItem = weeklyVolume >= 3; // Just check for decent volume
+    
+    // Simplified margin system - consistent margins based on price range (8% / 6% / 5% by default,
+    // band limits are in the base currency)
+    const marginBand = model.minProfitMargins.find(band => band.below === null || buyPrice < band.below * fxRate)
+        || model.minProfitMargins[model.minProfitMargins.length - 1];
+    const minProfitMargin = marginBand.margin;
+    
+    // Calculate  Table price (what we MUST get to make profit)
+    const minProfitablePrice = grossPriceForNet(buyPrice * (1 + minProfitMargin), feeSchedule);
+    
+    console.log(`[SALES-ONLY Pricing] ${formatPrice(buyPrice, currency)} item: Need ${formatPrice(minProfitablePrice, currency)} minimum (${(minProfitMargin*100).toFixed(1)}% margin) [${weeklyVolume} sales/week]`);
+    
+    // STEP 2: SALES-ONLY PRICING - Use ONLY actual sales data for pricing
+    let recentSalesMedian = recent24hMedian || recent7dMedian || salesMedian;
+    let selectedPeriod = recent24hMedian ? '24h' : recent7dMedian ? '7d' : bestPeriod;
+    
+    // REALITY CHECK: If minimum profit exceeds recent sales median, reject item
+    if (minProfitablePrice > recentSalesMedian * salesPricing.rejectAboveMedian) {
+        console.log(`[Sales Reality Check] Minimum profit ${formatPrice(minProfitablePrice, currency)} exceeds recent sales median ${formatPrice(recentSalesMedian, currency)} by ${(((minProfitablePrice/recentSalesMedian) - 1) * 100).toFixed(1)}% - REJECTED`);
+        return {
+            achievablePrice: 0,
+            confidence: 'REJECTED',
+            strategy: 'SALES_REALITY_REJECTION',
+            reasoning: `Minimum ${(minProfitMargin*100).toFixed(1)}% margin requires price above recent sales median`,
+            rejectionDetails: {
+                minProfitMargin,
+                minProfitablePrice: parseFloat(minProfitablePrice.toFixed(2)),
+                recentSalesMedian,
+                medianPeriod: selectedPeriod,
+                maxListPrice: parseFloat((recentSalesMedian * salesPricing.rejectAboveMedian).toFixed(2))
+            }
+        };
+    }
+    
+    // SALES-ONLY pricing strategy with CHEAPEST TRADEABLE integration
+    let basePrice;
+    let strategy = 'SALES_CHEAPEST_TRADEABLE_HYBRID';
+    let reasoning;
+    
+    // CHEAPEST TRADEABLE Strategy based on gap analysis
+    if (gapAnalysis.gapCategory === 'HUGE_GAP') {
+        // Huge gap: Aggressive undercut (default 15% below cheapest tradeable)
+        const undercut = cheapestTradeable * (1 - undercuts.HUGE_GAP);
+        basePrice = Math.max(undercut, minProfitablePrice);
+        strategy = 'CHEAPEST_TRADEABLE_AGGRESSIVE';
+        reasoning = `Huge gap pricing: ${formatPercent(undercuts.HUGE_GAP)} under cheapest tradeable (${formatPrice(cheapestTradeable, currency)})`;
+        
+    } else if (gapAnalysis.gapCategory === 'LARGE_GAP') {
+        // Large gap: Moderate undercut (default 8% below cheapest tradeable)
+        const undercut = cheapestTradeable * (1 - undercuts.LARGE_GAP);
+        basePrice = Math.max(undercut, minProfitablePrice);
+        strategy = 'CHEAPEST_TRADEABLE_MODERATE';
+        reasoning = `Large gap pricing: ${formatPercent(undercuts.LARGE_GAP)} under cheapest tradeable (${formatPrice(cheapestTradeable, currency)})`;
+        
+    } else if (gapAnalysis.gapCategory === 'MEDIUM_GAP') {
+        // Medium gap: Small undercut or sales-based pricing
+        const undercut = cheapestTradeable * (1 - undercuts.MEDIUM_GAP); // Default 5% undercut
+        const salesBased = (recentSalesMedian || salesMedian) * (1 - undercuts.MEDIUM_GAP);
+        basePrice = Math.max(Math.min(undercut, salesBased), minProfitablePrice);
+        strategy = 'CHEAPEST_TRADEABLE_SMALL';
+        reasoning = `Medium gap pricing: ${formatPercent(undercuts.MEDIUM_GAP)} under cheapest tradeable or sales median`;
+        
+    } else if (gapAnalysis.gapCategory === 'SMALL_GAP') {
+        // Small gap: Minimal undercut, focus on sales data
+        const undercut = cheapestTradeable * (1 - undercuts.SMALL_GAP); // Default 3% undercut
+        const salesBased = (recentSalesMedian || salesMedian) * (1 - undercuts.SMALL_GAP);
+        basePrice = Math.max(Math.min(undercut, salesBased), minProfitablePrice);
+        strategy = 'CHEAPEST_TRADEABLE_MINIMAL';
+        reasoning = `Small gap pricing: ${formatPercent(undercuts.SMALL_GAP)} under cheapest tradeable or sales data`;
+        
+    } else {
+        // Tiny gap: Match cheapest or slight undercut
+        const undercut = cheapestTradeable * (1 - undercuts.TINY_GAP); // Default 1% undercut
+        const salesBased = recentSalesMedian ? recentSalesMedian : salesMedian;
+        basePrice = Math.max(Math.min(undercut, salesBased), minProfitablePrice);
+        strategy = 'CHEAPEST_TRADEABLE_MATCH';
+        reasoning = `Tiny gap pricing: match or ${formatPercent(undercuts.TINY_GAP)} under cheapest tradeable`;
+    }
+    
+    // REALITY CHECK: Don't exceed sales median by too much
+    if (recentSalesMedian && basePrice > recentSalesMedian * salesPricing.medianCap) {
+        basePrice = recentSalesMedian * salesPricing.medianCap;
+        reasoning += `, capped at ${formatPercent(salesPricing.medianCap)} of sales median (${formatPrice(recentSalesMedian, currency)})`;
+    }
+    if (recentSalesMedian && salesMin && salesMax) {
+        // Position ourselves in the sales range based on market conditions
+        const salesRange = salesMax - salesMin;
+        
+        if (salesRange < recentSalesMedian * salesPricing.tightRangeRatio) {
+            // Tight sales range - price at median
+            basePrice = Math.max(recentSalesMedian, minProfitablePrice);
+            reasoning = `Tight sales range - pricing at median ${formatPrice(recentSalesMedian, currency)}`;
+        } else {
+            // Normal sales range - price in bottom 30% for quick sale
+            const targetPercentile = salesPricing.targetPercentile; // Bottom 30% of sales range by default
+            const targetPrice = salesMin + (salesRange * targetPercentile);
+            basePrice = Math.max(targetPrice, minProfitablePrice);
+            reasoning = `Sales-only pricing at ${(targetPercentile * 100).toFixed(0)}th percentile: ${formatPrice(targetPrice, currency)} (min profit: ${formatPrice(minProfitablePrice, currency)})`;
+        }
+    } else {
+        // Fallback to conservative median pricing
+        basePrice = Math.max(recentSalesMedian * salesPricing.conservativeMedianFactor, minProfitablePrice);
+        reasoning = `Conservative sales median pricing (min profit: ${formatPrice(minProfitablePrice, currency)})`;
+    }
+    
+    // Apply float adjustment if available
+    if (floatAnalysis && floatAnalysis.hasFloat && floatAnalysis.floatMultiplier !== 1.0) {
+        const preFloatPrice = basePrice;
+        basePrice *= floatAnalysis.floatMultiplier;
+        reasoning += `, float-adjusted (${floatAnalysis.floatTier}: ${floatAnalysis.floatMultiplier}x)`;
+        console.log(`[Float Pricing] Applied ${floatAnalysis.floatTier} multiplier: ${formatPrice(preFloatPrice, currency)} → ${formatPrice(basePrice, currency)}`);
+    }
+    
+    // Simple trend adjustment based on sales data
+    if (trend === 'RISING') {
+        basePrice *= model.trendAdjustments.RISING; // Small premium for rising markets
+        reasoning += `, +${formatPercent(model.trendAdjustments.RISING - 1)} for rising sales trend`;
+    } else if (trend === 'FALLING') {
+        basePrice *= model.trendAdjustments.FALLING; // Small discount for falling markets  
+        reasoning += `, -${formatPercent(1 - model.trendAdjustments.FALLING)} for falling sales trend`;
+    }
+    
+    // VELOCITY-BASED PRICING ADJUSTMENT - Key enhancement from enhanced algorithm
+    const currentListings = marketData.quantity || 1;
+    const velocity = salesVolume / (currentListings * 7);
+    
+    const velocityAdjustments = model.velocityAdjustments;
+    
+    if (velocity < velocityAdjustments.lowBelow) {
+        // Low velocity - reduce price for competitiveness (similar to enhanced algorithm)
+        const adjustment = formatPercent(1 - velocityAdjustments.lowMultiplier);
+        basePrice *= velocityAdjustments.lowMultiplier; // 3% reduction for low velocity by default
+        reasoning += `, -${adjustment} for low velocity (${velocity.toFixed(3)})`;
+        console.log(`[Velocity Adjustment] Applied -${adjustment} for low velocity: ${velocity.toFixed(3)}`);
+    } else if (velocity >= velocityAdjustments.excellentFrom) {
+        // Excellent velocity - can maintain higher prices
+        const adjustment = formatPercent(velocityAdjustments.excellentMultiplier - 1);
+        basePrice *= velocityAdjustments.excellentMultiplier; // 1% premium for excellent velocity by default
+        reasoning += `, +${adjustment} for excellent velocity (${velocity.toFixed(3)})`;
+        console.log(`[Velocity Adjustment] Applied +${adjustment} for excellent velocity: ${velocity.toFixed(3)}`);
+    }
+    
+    // Simple confidence based on volume
+    let confidence;
+    if (salesVolume >= 8) {
+        confidence = 'HIGH';
+    } else if (salesVolume >= 4) {
+        confidence = 'MEDIUM';
+    } else if (salesVolume >= 2) {
+        confidence = 'LOW';
+    } else {
+        confidence = 'VERY_LOW';
+    }
+    
+    // CRITICAL: Cap at recent sales maximum (don't exceed what has actually sold)
+    if (basePrice > salesMax) {
+        basePrice = salesMax * salesPricing.salesMaxCap; // 2% below highest sale by default
+        reasoning += `, capped at ${formatPercent(salesPricing.salesMaxCap)} of sales maximum`;
+    }
+    
+    // DOUBLE CHECK: Ensure we don't exceed recent sales median by too much
+    if (recentSalesMedian && basePrice > recentSalesMedian * salesPricing.medianCap) {
+        basePrice = recentSalesMedian * salesPricing.medianCap;
+        reasoning += `, capped at ${formatPercent(salesPricing.medianCap)} of recent sales median`;
+    }
+    
+    // Final profit verification
+    const finalNetPrice = calculateFees(basePrice, feeSchedule).netPrice;
+    const finalProfit = finalNetPrice - buyPrice;
+    const finalMargin = (finalProfit / buyPrice) * 100;
+    
+    console.log(`[SALES-ONLY Final Pricing] ${formatPrice(basePrice, currency)} gross → ${formatPrice(finalNetPrice, currency)} net = ${formatPrice(finalProfit, currency)} profit (${finalMargin.toFixed(1)}%)`);
+
+    return {
+        achievablePrice: basePrice,
+        confidence,
+        strategy,
+        reasoning,
+        salesData: {
+            median: salesMedian, // Primary pricing reference
+            avg: salesAvg,       // Secondary reference for comparison
+            min: salesMin,
+            max: salesMax,
+            volume: salesVolume,
+            weeklyVolume: weeklyVolume
+        },
+        cheapestTradeableData: {
+            price: cheapestTradeable,
+            gap: gapAnalysis.gap,
+            gapPercentage: gapAnalysis.gapPercentage,
+            gapCategory: gapAnalysis.gapCategory,
+            strategy: gapAnalysis.strategy,
+            description: gapAnalysis.description
+        },
+        marketContext: {
+            salesOnlyPricing: true,
+            cheapestTradeableIntegrated: true,
+            trend,
+            isStableItem: isStableItem,
+            minProfitRequired: minProfitablePrice,
+            recentSalesMedian: recentSalesMedian,
+            floatIntelligence: floatAnalysis ? {
+                hasFloat: floatAnalysis.hasFloat,
+                floatValue: floatAnalysis.floatValue,
+                floatTier: floatAnalysis.floatTier,
+                floatMultiplier: floatAnalysis.floatMultiplier,
+                wearCondition: floatAnalysis.wearCondition,
+                isEstimated: floatAnalysis.isEstimated || false,
+                confidence: floatAnalysis.confidence || 'UNKNOWN',
+                analysis: floatAnalysis.floatAnalysis
+            } : null
+        }
+    };
+}
+
+// Function removed - confidence calculation simplified
+
+// WEEKLY FLIP Trading Analysis - 3-7 Day Strategy for Best Accuracy & Sales
+// Functions removed - weekly flip analysis simplified
+
+/**
+ * Calculate pricing algorithm accuracy by comparing recommended prices to actual sales
+ */
+export function calculatePricingAccuracy(recommendedPrice, salesData, timeframeDays = 7, currency = BASE_CURRENCY) {
+    if (!salesData || !recommendedPrice) {
+        return {
+            accuracy: 0,
+            confidence: 'NO_DATA',
+            analysis: 'Insufficient data for accuracy calculation'
+        };
+    }
+
+    // Get the relevant timeframe data
+    let relevantData;
+    if (timeframeDays <= 1 && salesData.last_24_hours) {
+        relevantData = salesData.last_24_hours;
+    } else if (timeframeDays <= 7 && salesData.last_7_days) {
+        relevantData = salesData.last_7_days;
+    } else if (timeframeDays <= 30 && salesData.last_30_days) {
+        relevantData = salesData.last_30_days;
+    } else if (salesData.last_90_days) {
+        relevantData = salesData.last_90_days;
+    } else {
+        return {
+            accuracy: 0,
+            confidence: 'NO_SALES_DATA',
+            analysis: 'No sales data available for accuracy calculation'
+        };
+    }
+
+    if (!relevantData || relevantData.volume === 0) {
+        return {
+            accuracy: 0,
+            confidence: 'NO_VOLUME',
+            analysis: `No sales in ${timeframeDays}d timeframe`
+        };
+    }
+
+    const salesMin = relevantData.min;
+    const salesMax = relevantData.max;
+    const salesAvg = relevantData.avg;           // Keep for comparison
+    const salesMedian = relevantData.median || salesAvg; // Primary reference for accuracy
+    const salesVolume = relevantData.volume;
+
+    // Calculate where our recommended price sits in the sales range - using median as primary reference
+    let accuracyScore = 0;
+    let analysis = '';
+
+    if (recommendedPrice <= salesMax && recommendedPrice >= salesMin) {
+        // Our price is within the actual sales range - good sign
+        const pricePosition = (recommendedPrice - salesMin) / (salesMax - salesMin);
+        
+        // Additional check: How close to median (better outlier resistance)
+        const medianDeviation = Math.abs(recommendedPrice - salesMedian) / salesMedian;
+        
+        if (pricePosition <= 0.2) {
+            // Bottom 20% - very likely to sell quickly
+            accuracyScore = medianDeviation <= 0.1 ? 95 : 90; // Bonus for being close to median
+            analysis = `Excellent: Price in bottom 20% of sales range, ${medianDeviation <= 0.1 ? 'close to median' : 'good positioning'} (${salesVolume} sales, ${timeframeDays}d)`;
+        } else if (pricePosition <= 0.4) {
+            // Bottom 40% - likely to sell
+            accuracyScore = medianDeviation <= 0.15 ? 85 : 80;
+            analysis = `Very Good: Price in bottom 40% of sales range, ${medianDeviation <= 0.15 ? 'near median' : 'acceptable range'} (${salesVolume} sales, ${timeframeDays}d)`;
+        } else if (pricePosition <= 0.6) {
+            // Middle 60% - decent chance
+            accuracyScore = medianDeviation <= 0.1 ? 70 : 65;
+            analysis = `Good: Price in middle of sales range, ${medianDeviation <= 0.1 ? 'aligned with median' : 'moderate positioning'} (${salesVolume} sales, ${timeframeDays}d)`;
+        } else if (pricePosition <= 0.8) {
+            // Top 80% - might take longer
+            accuracyScore = 45;
+            analysis = `Fair: Price in top 40% of sales range (${salesVolume} sales, ${timeframeDays}d)`;
+        } else {
+            // Top 20% - likely too high
+            accuracyScore = 25;
+            analysis = `Poor: Price in top 20% of sales range, likely too high (${salesVolume} sales, ${timeframeDays}d)`;
+        }
+
+        // Adjust for volume (more sales = more confidence)
+        if (salesVolume >= 10) {
+            // High confidence due to good volume
+        } else if (salesVolume >= 5) {
+            accuracyScore *= 0.9; // Slight reduction for medium volume
+        } else if (salesVolume >= 2) {
+            accuracyScore *= 0.8; // Moderate reduction for low volume
+        } else {
+            accuracyScore *= 0.6; // Significant reduction for very low volume
+        }
+
+    } else if (recommendedPrice < salesMin) {
+        // Our price is below the minimum sale - likely to sell but maybe too cheap
+        const discountPercent = ((salesMin - recommendedPrice) / salesMin) * 100;
+        if (discountPercent <= 5) {
+            accuracyScore = 95;
+            analysis = `Excellent: Price ${discountPercent.toFixed(1)}% below recent minimum - likely quick sale`;
+        } else if (discountPercent <= 10) {
+            accuracyScore = 85;
+            analysis = `Very Good: Price ${discountPercent.toFixed(1)}% below recent minimum - very likely to sell`;
+        } else {
+            accuracyScore = 70;
+            analysis = `Good but cheap: Price ${discountPercent.toFixed(1)}% below recent minimum - leaving money on table`;
+        }
+    } else {
+        // Our price is above the maximum sale - likely too high
+        const premiumPercent = ((recommendedPrice - salesMax) / salesMax) * 100;
+        if (premiumPercent <= 5) {
+            accuracyScore = 35;
+            analysis = `Risky: Price ${premiumPercent.toFixed(1)}% above recent maximum - may not sell`;
+        } else if (premiumPercent <= 10) {
+            accuracyScore = 20;
+            analysis = `Very Risky: Price ${premiumPercent.toFixed(1)}% above recent maximum - unlikely to sell`;
+        } else {
+            accuracyScore = 10;
+            analysis = `Unrealistic: Price ${premiumPercent.toFixed(1)}% above recent maximum - probably won't sell`;
+        }
+    }
+
+    // Determine confidence level
+    let confidence;
+    if (salesVolume >= 10) {
+        confidence = 'HIGH';
+    } else if (salesVolume >= 5) {
+        confidence = 'MEDIUM';
+    } else if (salesVolume >= 2) {
+        confidence = 'LOW';
+    } else {
+        confidence = 'VERY_LOW';
+    }
+
+    return {
+        accuracy: Math.round(accuracyScore),
+        confidence,
+        analysis,
+        salesContext: {
+            volume: salesVolume,
+            timeframe: `${timeframeDays}d`,
+            priceRange: `${formatPrice(salesMin, currency)}-${formatPrice(salesMax, currency)}`,
+            medianPrice: `${formatPrice(salesMedian, currency)}`, // Primary reference
+            avgPrice: `${formatPrice(salesAvg, currency)}`,       // Secondary reference
+            recommendedPrice: `${formatPrice(recommendedPrice, currency)}`
+        }
+    };
+}
+
+/**
+ * Rejection result of analyzeItem() - `details` carries the numbers the decision was based on
+ */
+function rejectItem(name, buyPrice, reason, message, details = {}) {
+    return {
+        accepted: false,
+        rejection: { name, buyPrice, reason, message, details }
+    };
+}
+
+/**
+ * Full profitability analysis of one scraped item against its current market data (/items entry)
+ * and sales history (/sales/history entry). `appliedData` holds the same for the item's applied
+ * stickers and charms (lookupAppliedItems()). Pure apart from logging.
+ * Returns { accepted: true, item } with the analyzed item, or { accepted: false, rejection }
+ * where rejection.reason is one of REJECTION_REASONS.
+ */
+export function analyzeItem(item, marketData, salesData, settings = {}, appliedData = {}) {
+    const rawItemName = item.marketHashName || item.name;
+    const attributes = resolveItemAttributes(item);
+    const itemName = attributes.marketHashName;
+    const itemPrice = item.price || item.skinportPrice;
+    
+    if (!itemName || !itemPrice) {
+        return rejectItem(itemName || rawItemName || null, itemPrice || null, REJECTION_REASONS.INVALID_ITEM, 'Item has no name or price');
+    }
+
+    // User filter rules that only need the name and price (wear, item type, price band, patterns)
+    const { rules } = resolveFilterRules(settings);
+    const { parameters } = resolvePricingParameters(settings);
+    const { game, currency, feeSchedule, model } = parameters;
+    const { confidenceCutoffs, recommendationCutoffs } = model;
+
+    // Explicit float/wear fields (see item-attributes.js) - only CS2 items have floats
+    const attributeErrors = game.hasFloat || attributes.floatValue === null ? attributes.errors : [`${game.name} items have no float value`];
+    if (attributeErrors.length > 0) {
+        return rejectItem(itemName, itemPrice, REJECTION_REASONS.INVALID_ITEM, `Invalid float/wear fields: ${attributeErrors.join('; ')}`, { errors: attributeErrors });
+    }
+
+    const numericPrice = typeof itemPrice === 'number' ? itemPrice : parseFloat(itemPrice.toString().replace(',', '.'));
+    const failedRule = checkItemRules(itemName, numericPrice, rules, game.appId);
+    if (failedRule) {
+        return rejectItem(itemName, itemPrice, failedRule.reason, failedRule.message, failedRule.details);
+    }
+
+    // Phase/pattern of Doppler, Fade and Case Hardened skins (see pattern-pricing.js)
+    const { errors: patternErrors, pattern } = game.hasFloat ? analyzePattern(itemName, item, model) : { errors: [], pattern: null };
+    if (patternErrors.length > 0) {
+        return rejectItem(itemName, itemPrice, REJECTION_REASONS.INVALID_ITEM, `Invalid pattern fields: ${patternErrors.join('; ')}`, { errors: patternErrors });
+    }
+    if (pattern?.specialHandling) {
+        return rejectItem(itemName, itemPrice, REJECTION_REASONS.SPECIAL_HANDLING, pattern.analysis, {
+            finish: pattern.finish,
+            phase: pattern.phase,
+            paintSeed: pattern.paintSeed,
+            patternIndex: pattern.patternIndex,
+            rarity: pattern.rarity,
+            currentMinPrice: marketData?.min_price ?? null,
+            currentMedianPrice: marketData?.median_price ?? null
+        });
+    }
+
+    // Need both current market data AND sales history
+    if (!marketData) {
+        return rejectItem(itemName, itemPrice, REJECTION_REASONS.NO_MARKET_DATA, 'No current market data');
+    }
+    
+    if (!salesData) {
+        return rejectItem(itemName, itemPrice, REJECTION_REASONS.NO_SALES_HISTORY, 'No sales history');
+    }
+
+    // Applied stickers and charms (see sticker-pricing.js) - only CS2 items carry them
+    const { errors: appliedErrors, analysis: stickerAnalysis } = game.hasStickers
+        ? analyzeAppliedItems(item, appliedData, parameters)
+        : { errors: appliedItemNames(item).length > 0 ? [`${game.name} items have no stickers or charms`] : [], analysis: null };
+    if (appliedErrors.length > 0) {
+        return rejectItem(itemName, itemPrice, REJECTION_REASONS.INVALID_ITEM, `Invalid stickers/charms: ${appliedErrors.join('; ')}`, { errors: appliedErrors });
+    }
+
+    // The sales of the shared market_hash_name as they would look for this item's phase or fade
+    const patternMultiplier = pattern ? pattern.multiplier : 1.0;
+    const pricedSalesData = patternMultiplier !== 1.0 ? scaleSalesHistory(salesData, patternMultiplier) : salesData;
+    if (pattern) {
+        console.log(`[Pattern Intelligence] ${itemName}: ${pattern.analysis}`);
+    }
+
+    // Extract current market data (what people are selling for NOW)
+    const currentMinPrice = marketData.min_price;
+    const currentMaxPrice = marketData.max_price;
+    const currentMeanPrice = marketData.mean_price;
+    const currentMedianPrice = marketData.median_price;
+    const currentQuantity = marketData.quantity;
+    
+    if (!currentMinPrice || currentMinPrice <= 0) {
+        return rejectItem(itemName, itemPrice, REJECTION_REASONS.INVALID_MARKET_PRICE, 'No valid current market price', {
+            currentMinPrice: currentMinPrice ?? null
+        });
+    }
+
+    // Extract sales history data using multi-timeframe analysis
+    const multiTimeframeAnalysis = analyzeMultiTimeframe(pricedSalesData, model, currency);
+    if (!multiTimeframeAnalysis) {
+        return rejectItem(itemName, itemPrice, REJECTION_REASONS.INSUFFICIENT_SALES_VOLUME, 'No timeframe with enough sales volume', {
+            volume24h: salesData.last_24_hours?.volume ?? 0,
+            volume7d: salesData.last_7_days?.volume ?? 0,
+            volume30d: salesData.last_30_days?.volume ?? 0,
+            volume90d: salesData.last_90_days?.volume ?? 0
+        });
+    }
+    
+    const priceData = multiTimeframeAnalysis.bestTimeframe.data;
+    const timeframePeriod = multiTimeframeAnalysis.bestTimeframe.period;
+    
+    // SALES VELOCITY ANALYSIS - Game changer for sellability prediction
+    const salesVelocity = priceData.volume / (currentQuantity * 7); // Sales per listing per day
+    const velocityCategory = salesVelocity >= 0.1 ? 'EXCELLENT' : 
+                           salesVelocity >= 0.05 ? 'GOOD' : 
+                           salesVelocity >= 0.03 ? 'MODERATE' : 
+                           salesVelocity >= 0.01 ? 'LOW' : 'VERY_LOW';
+    
+    console.log(`[Sales Velocity] ${itemName}: ${salesVelocity.toFixed(3)} velocity (${priceData.volume} sales / ${currentQuantity} listings / 7 days) = ${velocityCategory}`);
+    
+    // VOLUME / COMPETITION / VELOCITY FILTERS - Skip illiquid or oversaturated markets
+    if (priceData.volume < rules.minVolume) {
+        return rejectItem(itemName, itemPrice, REJECTION_REASONS.LOW_SALES_VOLUME, `${priceData.volume} sales in ${timeframePeriod} below minimum ${rules.minVolume}`, {
+            salesVolume: priceData.volume,
+            minVolume: rules.minVolume,
+            timeframe: timeframePeriod
+        });
+    }
+
+    if (rules.maxListings !== null && currentQuantity > rules.maxListings) {
+        return rejectItem(itemName, itemPrice, REJECTION_REASONS.TOO_MANY_LISTINGS, `${currentQuantity} listings above maximum ${rules.maxListings}`, {
+            listings: currentQuantity,
+            maxListings: rules.maxListings
+        });
+    }
+
+    if (salesVelocity < rules.minVelocity) {
+        return rejectItem(itemName, itemPrice, REJECTION_REASONS.LOW_VELOCITY, `Velocity ${salesVelocity.toFixed(3)} too low - oversaturated market with ${currentQuantity} listings`, {
+            salesVelocity: parseFloat(salesVelocity.toFixed(4)),
+            minVelocity: rules.minVelocity,
+            salesVolume: priceData.volume,
+            listings: currentQuantity,
+            timeframe: timeframePeriod
+        });
+    }
+    
+    console.log(`[Multi-Timeframe] ${itemName}: Using ${timeframePeriod} data (${priceData.volume} sales, trend: ${multiTimeframeAnalysis.trend})`);
+    
+    // SMART ACHIEVABLE PRICE: Use actual sales data for realistic pricing
+    const skinportBuyPrice = typeof itemPrice === 'number' ? itemPrice : parseFloat(itemPrice.toString().replace(',', '.'));
+    
+    // The part of the buy price that pays for the skin itself - the sticker/charm overpay comes back on top of its list price
+    const stickerOverpay = stickerAnalysis ? stickerAnalysis.realisticOverpay : 0;
+    const baseBuyPrice = Math.max(skinportBuyPrice - stickerOverpay, 0.01);
+    if (stickerAnalysis) {
+        console.log(`[Sticker Intelligence] ${itemName}: ${stickerAnalysis.stickers.length} stickers, ${stickerAnalysis.charms.length} charms worth ${formatPrice(stickerAnalysis.stickerValue, currency)} → realistic overpay ${formatPrice(stickerOverpay, currency)}`);
+    }
+    
+    // Float Value Intelligence Analysis with market context (only CS2 items have wear and floats)
+    const floatAnalysis = game.hasFloat ? analyzeFloatValue(itemName, baseBuyPrice, marketData, model, attributes) : {
+        hasFloat: false,
+        floatValue: null,
+        floatTier: 'NOT_APPLICABLE',
+        floatMultiplier: 1.0,
+        floatAnalysis: `${game.name} items have no float value`,
+        wearCondition: null,
+        isEstimated: false,
+        confidence: 'NONE'
+    };
+    console.log(`[Enhanced Float Intelligence] ${itemName}: ${floatAnalysis.floatAnalysis}`);
+    
+    // Apply float-adjusted expectations to minimum price
+    const floatAdjustedMinPrice = currentMinPrice * floatAnalysis.floatMultiplier;
+    if (floatAnalysis.hasFloat && floatAnalysis.floatMultiplier !== 1.0) {
+        const adjustmentType = floatAnalysis.isEstimated ? '(estimated)' : '(explicit)';
+        console.log(`[Enhanced Float Intelligence] Float-adjusted competitive price: ${formatPrice(floatAdjustedMinPrice, currency)} (${floatAnalysis.floatTier} float: ${floatAnalysis.floatMultiplier}x ${adjustmentType})`);
+    } else if (floatAnalysis.isEstimated) {
+        console.log(`[Enhanced Float Intelligence] ${floatAnalysis.floatAnalysis}`);
+    }
+    
+    // Use float- (and phase-) adjusted competitive price for calculations
+    const workingMinPrice = floatAdjustedMinPrice * patternMultiplier;
+    
+    // Calculate smart achievable price based on sales data
+    const smartPricing = calculateSmartAchievablePrice(baseBuyPrice, marketData, multiTimeframeAnalysis, workingMinPrice, floatAnalysis, parameters);
+    
+    // Handle market-rejected items (pricing exceeds market reality)
+    if (smartPricing.achievablePrice === 0 || smartPricing.confidence === 'REJECTED') {
+        const reason = REJECTION_REASONS[smartPricing.strategy] || REJECTION_REASONS.SALES_REALITY_REJECTION;
+        return rejectItem(itemName, skinportBuyPrice, reason, smartPricing.reasoning, {
+            buyPrice: skinportBuyPrice,
+            currentMinPrice,
+            floatAdjustedMinPrice: parseFloat(workingMinPrice.toFixed(2)),
+            timeframe: timeframePeriod,
+            trend: multiTimeframeAnalysis.trend,
+            ...smartPricing.rejectionDetails
+        });
+    }
+    
+    const achievableGrossPrice = smartPricing.achievablePrice + stickerOverpay;
+    const achievableFees = calculateFees(achievableGrossPrice, feeSchedule);
+    const achievableNetPrice = achievableFees.netPrice;
+    
+    // Calculate profit
+    const profitAmount = achievableNetPrice - skinportBuyPrice;
+    const profitPercentage = (profitAmount / skinportBuyPrice) * 100;
+    
+    console.log(`[Smart Pricing] ${itemName}:`);
+    console.log(`  Strategy: ${smartPricing.strategy}`);
+    console.log(`  Reasoning: ${smartPricing.reasoning}`);
+    console.log(`  Buy Price: ${formatPrice(skinportBuyPrice, currency)}`);
+    if (floatAnalysis.hasFloat) {
+        console.log(`  Float Value: ${floatAnalysis.floatValue} (${floatAnalysis.wearCondition} ${floatAnalysis.floatTier})`);
+    }
+    console.log(`  Achievable Price: ${formatPrice(achievableGrossPrice, currency)} → ${formatPrice(achievableNetPrice, currency)} net (fees ${formatPrice(achievableFees.totalFee, currency)}, ${feeSchedule.name})`);
+    console.log(`  Profit: ${formatPrice(profitAmount, currency)} (${profitPercentage.toFixed(1)}%)`);
+    console.log(`  Confidence: ${smartPricing.confidence}`);
+    
+    // CHEAPEST TRADEABLE Analysis logging
+    if (smartPricing.cheapestTradeableData) {
+        const ctData = smartPricing.cheapestTradeableData;
+        console.log(`[CHEAPEST TRADEABLE] Current cheapest: ${formatPrice(ctData.price, currency)}`);
+        console.log(`[CHEAPEST TRADEABLE] Gap: ${formatPrice(ctData.gap, currency)} (${ctData.gapPercentage.toFixed(1)}%) - ${ctData.description}`);
+        console.log(`[CHEAPEST TRADEABLE] Strategy: ${ctData.strategy}`);
+    }
+    // CRITICAL REALITY CHECK: Don't buy items above recent sales median
+    const recent7dData = multiTimeframeAnalysis.allTimeframes.find(t => t.period === '7d');
+    const recent7dMedian = recent7dData ? (recent7dData.data.median || recent7dData.data.avg) : null;
+    
+    if (recent7dMedian && rules.maxBuyToMedianRatio !== null && baseBuyPrice > recent7dMedian * rules.maxBuyToMedianRatio) {
+        // The median is of the plain skin, so the sticker/charm overpay is left out of the comparison
+        const priceLabel = stickerOverpay > 0 ? `Skin price ${formatPrice(baseBuyPrice, currency)} (buy price minus ${formatPrice(stickerOverpay, currency)} sticker overpay)` : `Buy price ${formatPrice(baseBuyPrice, currency)}`;
+        return rejectItem(itemName, skinportBuyPrice, REJECTION_REASONS.ABOVE_7D_MEDIAN, `${priceLabel} exceeds 7-day sales median ${formatPrice(recent7dMedian, currency)} by ${(((baseBuyPrice/recent7dMedian) - 1) * 100).toFixed(1)}%`, {
+            buyPrice: skinportBuyPrice,
+            skinBuyPrice: parseFloat(baseBuyPrice.toFixed(2)),
+            median7d: recent7dMedian,
+            maxBuyToMedianRatio: rules.maxBuyToMedianRatio,
+            maxBuyPrice: parseFloat((recent7dMedian * rules.maxBuyToMedianRatio).toFixed(2))
+        });
+    }
+    
+    // Skip items with no profit potential (should be rare now due to market reality checks)
+    if (profitAmount <= 0) {
+        return rejectItem(itemName, skinportBuyPrice, REJECTION_REASONS.NO_PROFIT, 'No profit potential', {
+            buyPrice: skinportBuyPrice,
+            achievableGrossPrice,
+            achievableNetPrice: parseFloat(achievableNetPrice.toFixed(2)),
+            profitAmount: parseFloat(profitAmount.toFixed(2))
+        });
+    }
+    
+    // Apply user's minimum criteria (only basic filters now)
+    const minProfitAmount = parseFloat(settings.minProfitAmount || 0);
+    const minProfitPercentage = parseFloat(settings.minProfitPercentage || 0);
+    
+    if (profitAmount < minProfitAmount || profitPercentage < minProfitPercentage) {
+        return rejectItem(itemName, skinportBuyPrice, REJECTION_REASONS.BELOW_USER_MINIMUM, `Below user minimum (${formatPrice(profitAmount, currency)}, ${profitPercentage.toFixed(1)}%)`, {
+            profitAmount: parseFloat(profitAmount.toFixed(2)),
+            profitPercentage: parseFloat(profitPercentage.toFixed(1)),
+            minProfitAmount,
+            minProfitPercentage
+        });
+    }
+    
+    // Market analysis
+    const salesAvgPrice = priceData.avg;           // For compatibility 
+    const salesMinPrice = priceData.min;           // For compatibility
+    const salesMaxPrice = priceData.max;           // For compatibility
+    const salesVolume = priceData.volume;          // For compatibility
+    const salesMedian = priceData.median || priceData.avg; // Primary pricing reference
+    const pricePosition = (achievableGrossPrice - salesMinPrice) / (salesMaxPrice - salesMinPrice);
+    // max/mean may be missing from unvalidated market data (fixtures) - no spread then
+    const marketSpread = typeof currentMaxPrice === 'number' ? currentMaxPrice - currentMinPrice : 0;
+    const marketVolatility = marketSpread > 0 && currentMeanPrice > 0 ? (marketSpread / currentMeanPrice) * 100 : 0;
+    
+    // Calculate pricing accuracy - how likely our recommended price is to sell
+    const pricingAccuracy = calculatePricingAccuracy(achievableGrossPrice, pricedSalesData, 7, currency);
+    
+    // Enhanced unified confidence system: Volume + Accuracy + Velocity
+    const volumeScore = priceData.volume >= 8 ? 4 : 
+                       priceData.volume >= 4 ? 3 : 
+                       priceData.volume >= 2 ? 2 : 1;
+    
+    const accuracyScore = pricingAccuracy.accuracy >= 80 ? 4 : 
+                         pricingAccuracy.accuracy >= 60 ? 3 : 
+                         pricingAccuracy.accuracy >= 40 ? 2 : 1;
+    
+    // NEW: Velocity score based on sales per listing per day
+    const velocityScore = salesVelocity >= 0.1 ? 4 :    // Excellent velocity 
+                         salesVelocity >= 0.05 ? 3 :   // Good velocity
+                         salesVelocity >= 0.03 ? 2 :   // Moderate velocity  
+                         salesVelocity >= 0.01 ? 1 : 0; // Low velocity (filtered out above)
+    
+    // Enhanced combined confidence scoring (3 factors instead of 2), less when a phase/fade premium had to be estimated
+    const patternPenalty = pattern ? pattern.confidencePenalty : 0;
+    const combinedScore = (volumeScore + accuracyScore + velocityScore) / 3 - patternPenalty;
+    
+    let confidenceLevel, confidenceScore, colorCode, description;
+    
+    if (combinedScore >= confidenceCutoffs.HIGH) {
+        confidenceLevel = 'HIGH';
+        confidenceScore = Math.min(95, 85 + Math.round((combinedScore - confidenceCutoffs.HIGH) * 20)); // 85-95
+        colorCode = 'GREEN';
+        description = 'Very likely to sell quickly';
+    } else if (combinedScore >= confidenceCutoffs.MEDIUM) {
+        confidenceLevel = 'MEDIUM';
+        confidenceScore = Math.min(85, 60 + Math.round((combinedScore - confidenceCutoffs.MEDIUM) * 25)); // 60-85
+        colorCode = 'ORANGE';
+        description = 'Likely to sell reasonably fast';
+    } else if (combinedScore >= confidenceCutoffs.LOW) {
+        confidenceLevel = 'LOW';
+        confidenceScore = Math.min(60, 35 + Math.round((combinedScore - confidenceCutoffs.LOW) * 25)); // 35-60
+        colorCode = 'ORANGE';
+        description = 'May sell but could take time';
+    } else {
+        confidenceLevel = 'VERY_LOW';
+        confidenceScore = 15 + Math.round(combinedScore * 20); // 15-35
+        colorCode = 'RED';
+        description = 'High risk - limited data';
+    }
+    
+    const overallConfidence = {
+        level: confidenceLevel,
+        score: confidenceScore,
+        factors: [
+            `Volume: ${priceData.volume} sales (${volumeScore}/4)`,
+            `Accuracy: ${pricingAccuracy.accuracy}% (${accuracyScore}/4)`,
+            `Velocity: ${salesVelocity.toFixed(3)} (${velocityScore}/4)`,
+            ...(patternPenalty > 0 ? [`Pattern: -${patternPenalty} (estimated ${pattern.multiplier}x phase/fade price)`] : []),
+            `Combined: ${combinedScore.toFixed(1)}/4`
+        ],
+        colorCode: colorCode,
+        description: description,
+        volumeScore: volumeScore,
+        accuracyScore: accuracyScore,
+        velocityScore: velocityScore,
+        combinedScore: combinedScore
+    };
+    
+    // Enhanced Liquidity-focused color override with VELOCITY integration
+    let finalColorCode = colorCode;
+    
+    // RED: Low liquidity OR low velocity (risky/slow) - regardless of profit
+    if (priceData.volume < 3 || pricingAccuracy.accuracy < 60 || salesVelocity < 0.02) {
+        finalColorCode = 'RED';
+        overallConfidence.description = `Low liquidity/velocity - risky/slow to sell (velocity: ${salesVelocity.toFixed(3)})`;
+    }
+    // ORANGE: Medium liquidity with decent profit
+    else if ((priceData.volume >= 3 && priceData.volume < 8) || 
+            (pricingAccuracy.accuracy >= 60 && pricingAccuracy.accuracy < 80) ||
+            (salesVelocity >= 0.02 && salesVelocity < 0.05)) {
+        finalColorCode = 'ORANGE';
+        overallConfidence.description = `Medium liquidity/velocity - moderate risk (velocity: ${salesVelocity.toFixed(3)})`;
+    }
+    // GREEN: High liquidity, good accuracy AND good velocity
+    else if (priceData.volume >= 8 && pricingAccuracy.accuracy >= 80 && salesVelocity >= 0.05) {
+        finalColorCode = 'GREEN';
+        overallConfidence.description = `High liquidity/velocity - likely quick sale (velocity: ${salesVelocity.toFixed(3)})`;
+    }
+    // Fallback to ORANGE for edge cases
+    else {
+        finalColorCode = 'ORANGE';
+        overallConfidence.description = `Moderate conditions (velocity: ${salesVelocity.toFixed(3)})`;
+    }
+    
+    overallConfidence.finalColorCode = finalColorCode;
+    
+    // Enhanced time estimate based on velocity
+    let enhancedTimeEstimate;
+    if (salesVelocity >= 0.1) {
+        enhancedTimeEstimate = '1-2 days (Excellent velocity)';
+    } else if (salesVelocity >= 0.05) {
+        enhancedTimeEstimate = '2-5 days (Good velocity)';
+    } else if (salesVelocity >= 0.03) {
+        enhancedTimeEstimate = '1-2 weeks (Moderate velocity)';
+    } else if (salesVelocity >= 0.01) {
+        enhancedTimeEstimate = '2-4 weeks (Low velocity)';
+    } else {
+        enhancedTimeEstimate = '1+ months (Very low velocity)';
+    }
+    
+    const competitiveNetPrice = calculateFees(currentMinPrice * 0.95, feeSchedule).netPrice;
+
+    // Create analyzed item with smart pricing
+    const analyzedItem = {
+        ...item,
+        name: itemName,
+        skinportPrice: itemPrice,
+        
+        // Current market data (what's listed now)
+        currentMinPrice: currentMinPrice.toFixed(2),
+        currentMaxPrice: currentMaxPrice?.toFixed(2) ?? null,
+        currentMeanPrice: currentMeanPrice?.toFixed(2) ?? null,
+        currentMedianPrice: currentMedianPrice?.toFixed(2) ?? null,
+        currentQuantity: currentQuantity,
+        
+        // Sales history data (what actually sold)
+        salesAvgPrice: salesAvgPrice.toFixed(2),
+        salesMinPrice: salesMinPrice.toFixed(2),
+        salesMaxPrice: salesMaxPrice.toFixed(2),
+        salesVolume: salesVolume,
+        timeframePeriod: timeframePeriod,
+        
+        // Smart pricing results
+        achievablePrice: achievableNetPrice.toFixed(2), // What you'll actually get after fees
+        grossAchievablePrice: achievableGrossPrice.toFixed(2), // What to list at before fees
+        profitAmount: profitAmount.toFixed(2),
+        profitPercentage: profitPercentage.toFixed(1),
+        
+        // What selling at grossAchievablePrice costs under the fee schedule, and the break-even list price
+        feeBreakdown: {
+            ...describeFees(achievableFees, feeSchedule),
+            breakEvenGrossPrice: parseFloat(grossPriceForNet(skinportBuyPrice, feeSchedule).toFixed(2))
+        },
+        
+        // CHEAPEST TRADEABLE Analysis
+        cheapestTradeableData: smartPricing.cheapestTradeableData ? {
+            price: smartPricing.cheapestTradeableData.price.toFixed(2),
+            gap: smartPricing.cheapestTradeableData.gap.toFixed(2),
+            gapPercentage: smartPricing.cheapestTradeableData.gapPercentage.toFixed(1),
+            gapCategory: smartPricing.cheapestTradeableData.gapCategory,
+            strategy: smartPricing.cheapestTradeableData.strategy,
+            description: smartPricing.cheapestTradeableData.description
+        } : null,
+        
+        // Float Value Intelligence
+        floatIntelligence: floatAnalysis.hasFloat ? {
+            floatValue: floatAnalysis.floatValue,
+            wearCondition: floatAnalysis.wearCondition,
+            floatTier: floatAnalysis.floatTier,
+            floatMultiplier: floatAnalysis.floatMultiplier,
+            floatAnalysis: floatAnalysis.floatAnalysis,
+            floatPosition: floatAnalysis.floatPosition ? (floatAnalysis.floatPosition * 100).toFixed(1) + '%' : null
+        } : null,
+        
+        // Applied stickers/charms: the base skin's list price, what they cost on their own and what buyers realistically pay for them
+        stickerAnalysis: stickerAnalysis ? {
+            baseValue: parseFloat(smartPricing.achievablePrice.toFixed(2)),
+            stickerValue: stickerAnalysis.stickerValue,
+            realisticOverpay: stickerAnalysis.realisticOverpay,
+            overpayShare: stickerAnalysis.overpayShare,
+            stickers: stickerAnalysis.stickers,
+            charms: stickerAnalysis.charms,
+            missing: stickerAnalysis.missing
+        } : null,
+        
+        // Phase/pattern intelligence (sales figures above are scaled by its multiplier)
+        patternIntelligence: pattern ? {
+            finish: pattern.finish,
+            phase: pattern.phase,
+            paintSeed: pattern.paintSeed,
+            patternIndex: pattern.patternIndex,
+            fadePercentage: pattern.fadePercentage,
+            multiplier: pattern.multiplier,
+            confidencePenalty: pattern.confidencePenalty,
+            analysis: pattern.analysis
+        } : null,
+        
+        // Unified confidence system with color coding
+        confidence: overallConfidence.level,
+        confidenceScore: overallConfidence.score,
+        confidenceFactors: overallConfidence.factors,
+        confidenceColor: overallConfidence.finalColorCode, // Use final color with profit override
+        confidenceDescription: overallConfidence.description,
+        volumeScore: overallConfidence.volumeScore,
+        accuracyScore: overallConfidence.accuracyScore,
+        velocityScore: overallConfidence.velocityScore,
+        combinedScore: overallConfidence.combinedScore,
+        
+        // Sales velocity analysis
+        salesVelocity: salesVelocity.toFixed(4),
+        velocityCategory: velocityCategory,
+        listingCompetition: currentQuantity,
+        
+        timeEstimate: enhancedTimeEstimate,
+        pricingStrategy: smartPricing.strategy,
+        pricingReasoning: stickerOverpay > 0 ? `${smartPricing.reasoning}, +${formatPrice(stickerOverpay, currency)} sticker/charm overpay` : smartPricing.reasoning,
+        trend: multiTimeframeAnalysis.trend,
+        pricePosition: Math.round(pricePosition * 100),
+        marketVolatility: marketVolatility.toFixed(1),
+        
+        // Pricing Accuracy Analysis - how likely our price is to sell
+        pricingAccuracy: {
+            accuracy: pricingAccuracy.accuracy,
+            confidence: pricingAccuracy.confidence,
+            analysis: pricingAccuracy.analysis,
+            salesContext: pricingAccuracy.salesContext
+        },
+        
+        // Enhanced market context with recent data priority
+        recentMarketData: {
+            dataQuality: multiTimeframeAnalysis.recentDataQuality,
+            timeframe: timeframePeriod,
+            recentMedian: (salesMedian).toFixed(2),
+            vs24h: multiTimeframeAnalysis.allTimeframes.find(t => t.period === '24h') ? 
+                   `${formatPrice((multiTimeframeAnalysis.allTimeframes.find(t => t.period === '24h').data.median || multiTimeframeAnalysis.allTimeframes.find(t => t.period === '24h').data.avg), currency)} (${multiTimeframeAnalysis.allTimeframes.find(t => t.period === '24h').data.volume} sales)` : 'No data',
+            vs7d: multiTimeframeAnalysis.allTimeframes.find(t => t.period === '7d') ? 
+                  `${formatPrice((multiTimeframeAnalysis.allTimeframes.find(t => t.period === '7d').data.median || multiTimeframeAnalysis.allTimeframes.find(t => t.period === '7d').data.avg), currency)} (${multiTimeframeAnalysis.allTimeframes.find(t => t.period === '7d').data.volume} sales)` : 'No data',
+            velocityRating: velocityCategory
+        },
+        
+        // Simplified market metrics
+        metrics: {
+            volume: priceData.volume,
+            timeframe: multiTimeframeAnalysis.bestTimeframe.period
+        },
+        
+        // Simple pricing strategies for comparison
+        strategies: {
+            smart: {
+                price: achievableGrossPrice.toFixed(2),
+                netPrice: achievableNetPrice.toFixed(2),
+                profit: profitAmount.toFixed(2),
+                profitPercent: profitPercentage.toFixed(1)
+            },
+            competitive: {
+                price: (currentMinPrice * 0.95).toFixed(2),
+                netPrice: competitiveNetPrice.toFixed(2),
+                profit: (competitiveNetPrice - skinportBuyPrice).toFixed(2),
+                profitPercent: ((competitiveNetPrice - skinportBuyPrice) / skinportBuyPrice * 100).toFixed(1)
+            }
+        },
+        
+        // Model config version that priced this item, and the currency of all its prices
+        modelVersion: model.version,
+        currency,
+        appId: game.appId,
+        
+        // Recommendation based on confidence and profit (REALISTIC MARKET-BASED MARGINS)
+        recommendation: overallConfidence.level === 'HIGH' && profitPercentage > recommendationCutoffs.strongBuyHigh ? 'STRONG_BUY' :
+                       overallConfidence.level === 'HIGH' && profitPercentage > recommendationCutoffs.buyHigh ? 'BUY' :
+                       overallConfidence.level === 'MEDIUM' && profitPercentage > recommendationCutoffs.buyMedium ? 'BUY' :
+                       overallConfidence.level === 'MEDIUM' && profitPercentage > recommendationCutoffs.considerMedium ? 'CONSIDER' :
+                       profitPercentage > recommendationCutoffs.consider ? 'CONSIDER' : 'HOLD'
+    };
+    
+    console.log(`[Smart Analysis] ${itemName}:`);
+    console.log(`  Confidence: ${overallConfidence.level} (${overallConfidence.score}/100)`);
+    console.log(`  Profit: ${formatPrice(profitAmount, currency)} (${profitPercentage.toFixed(1)}%)`);
+    console.log(`  List Price: ${formatPrice(achievableGrossPrice, currency)} - Accuracy: ${pricingAccuracy.accuracy}% (${pricingAccuracy.confidence})`);
+    console.log(`  Time Estimate: ${enhancedTimeEstimate}`);
+    console.log(`  Strategy: ${smartPricing.strategy}`);
+    
+    return { accepted: true, item: analyzedItem };
+}
+
+/**
+ * Summarise how likely the recommended prices are to sell across all analyzed items
+ */
+export function calculateAccuracyStats(analyzedItems) {
+    // Calculate overall accuracy statistics
+    const accuracyStats = {
+        totalItems: analyzedItems.length,
+        averageAccuracy: 0,
+        accuracyDistribution: {
+            excellent: 0, // 90%+
+            veryGood: 0,  // 80-89%
+            good: 0,      // 65-79%
+            fair: 0,      // 45-64%
+            poor: 0       // <45%
+        },
+        confidenceDistribution: {
+            HIGH: 0,
+            MEDIUM: 0,
+            LOW: 0,
+            VERY_LOW: 0,
+            NO_DATA: 0
+        }
+    };
+    
+    let totalAccuracy = 0;
+    analyzedItems.forEach(item => {
+        const accuracy = item.pricingAccuracy.accuracy;
+        const confidence = item.pricingAccuracy.confidence;
+        
+        totalAccuracy += accuracy;
+        
+        // Accuracy distribution
+        if (accuracy >= 90) accuracyStats.accuracyDistribution.excellent++;
+        else if (accuracy >= 80) accuracyStats.accuracyDistribution.veryGood++;
+        else if (accuracy >= 65) accuracyStats.accuracyDistribution.good++;
+        else if (accuracy >= 45) accuracyStats.accuracyDistribution.fair++;
+        else accuracyStats.accuracyDistribution.poor++;
+        
+        // Confidence distribution
+        accuracyStats.confidenceDistribution[confidence]++;
+    });
+    
+    accuracyStats.averageAccuracy = analyzedItems.length > 0 ? Math.round(totalAccuracy / analyzedItems.length) : 0;
+    
+    console.log(`[Accuracy Analysis] Overall Algorithm Performance:`);
+    console.log(`  Average Accuracy: ${accuracyStats.averageAccuracy}%`);
+    console.log(`  Excellent (90%+): ${accuracyStats.accuracyDistribution.excellent} items`);
+    console.log(`  Very Good (80-89%): ${accuracyStats.accuracyDistribution.veryGood} items`);
+    console.log(`  Good (65-79%): ${accuracyStats.accuracyDistribution.good} items`);
+    console.log(`  Fair (45-64%): ${accuracyStats.accuracyDistribution.fair} items`);
+    console.log(`  Poor (<45%): ${accuracyStats.accuracyDistribution.poor} items`);
+    
+    return accuracyStats;
+}
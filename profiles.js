@@ -0,0 +1,145 @@
+// Named strategy profiles - saved /analyze-prices settings that requests reference via settings.profile
+import { getCollection } from './db.js';
+import { resolveFilterRules } from './filter-rules.js';
+import { resolvePricingParameters } from './pricing-engine.js';
+
+const PROFILES = 'profiles';
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+// Settings a profile may store
+export const PROFILE_SETTING_KEYS = [
+    'appId',
+    'currency',
+    'minProfitAmount',
+    'minProfitPercentage',
+    'filters',
+    'modelVersion',
+    'sellerFee',
+    'feeSchedule',
+    'undercuts',
+    'confidenceCutoffs',
+    'recommendationCutoffs'
+];
+
+// Grouped settings - inline values override a profile's key by key instead of replacing the group
+const NESTED_SETTING_KEYS = ['filters', 'undercuts', 'confidenceCutoffs', 'recommendationCutoffs'];
+
+export async function ensureProfileIndexes() {
+    try {
+        await getCollection(PROFILES).createIndex({ name: 1 }, { unique: true });
+    } catch (error) {
+        console.error(`[Profiles] Failed to create indexes: ${error.message}`);
+    }
+}
+
+/**
+ * Profile settings overlaid with inline request settings (inline wins)
+ */
+export function mergeSettings(profileSettings = {}, inlineSettings = {}) {
+    const merged = { ...profileSettings, ...inlineSettings };
+    // A flat inline sellerFee replaces the profile's fee schedule and vice versa
+    if (inlineSettings.sellerFee !== undefined && inlineSettings.feeSchedule === undefined) delete merged.feeSchedule;
+    if (inlineSettings.feeSchedule !== undefined && inlineSettings.sellerFee === undefined) delete merged.sellerFee;
+    NESTED_SETTING_KEYS.forEach(key => {
+        if (profileSettings[key] || inlineSettings[key]) {
+            merged[key] = { ...(profileSettings[key] || {}), ...(inlineSettings[key] || {}) };
+        }
+    });
+    return merged;
+}
+
+/**
+ * Validate a profile payload ({ name, description, settings }). With `partial` the name is
+ * taken from the URL and only the fields present are checked.
+ * Returns { errors, values }.
+ */
+export function validateProfile(body, { partial = false } = {}) {
+    const errors = [];
+    const values = {};
+
+    if (!partial) {
+        if (typeof body.name !== 'string' || !PROFILE_NAME_PATTERN.test(body.name)) {
+            errors.push('name is required (letters, digits, "-" and "_", up to 50 characters)');
+        } else {
+            values.name = body.name;
+        }
+    }
+
+    if (body.description !== undefined) {
+        values.description = String(body.description);
+    } else if (!partial) {
+        values.description = '';
+    }
+
+    if (body.settings !== undefined || !partial) {
+        const settings = body.settings;
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            errors.push('settings must be an object');
+        } else {
+            Object.keys(settings).forEach(key => {
+                if (!PROFILE_SETTING_KEYS.includes(key)) {
+                    errors.push(`settings.${key} cannot be stored in a profile (allowed: ${PROFILE_SETTING_KEYS.join(', ')})`);
+                }
+            });
+            errors.push(...resolveFilterRules(settings).errors);
+            errors.push(...resolvePricingParameters(settings).errors);
+            values.settings = settings;
+        }
+    }
+
+    return { errors, values };
+}
+
+export async function listProfiles() {
+    return getCollection(PROFILES).find({}).sort({ name: 1 }).toArray();
+}
+
+export async function getProfile(name) {
+    return getCollection(PROFILES).findOne({ name });
+}
+
+/**
+ * Store a new profile. Returns null if the name is already taken.
+ */
+export async function createProfile(values) {
+    const collection = getCollection(PROFILES);
+    if (await collection.findOne({ name: values.name })) {
+        return null;
+    }
+
+    const now = new Date();
+    const profile = { ...values, createdAt: now, updatedAt: now };
+    await collection.insertOne(profile);
+    console.log(`[Profiles] Created profile "${profile.name}"`);
+    return profile;
+}
+
+export async function updateProfile(name, values) {
+    return getCollection(PROFILES).findOneAndUpdate(
+        { name },
+        { $set: { ...values, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+}
+
+export async function deleteProfile(name) {
+    const result = await getCollection(PROFILES).deleteOne({ name });
+    return result.deletedCount === 1;
+}
+
+/**
+ * Settings of an analysis request with its `settings.profile` applied.
+ * Returns { error } when the profile doesn't exist, otherwise { settings }.
+ */
+export async function applyProfile(settings) {
+    if (!settings.profile) {
+        return { settings };
+    }
+
+    const profile = await getProfile(String(settings.profile));
+    if (!profile) {
+        return { error: `Unknown profile: ${settings.profile}` };
+    }
+
+    return { settings: mergeSettings(profile.settings, settings) };
+}
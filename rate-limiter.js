@@ -0,0 +1,311 @@
+// Skinport rate limiter - every API request reserves one of `maxRequests` slots per window before it
+// starts. Slots live in a store: in-process memory for a single instance, or MongoDB so that every
+// instance (and a restarted one) shares the same 8 requests per 5 minutes. Waiting requests queue in
+// priority lanes - interactive (user-driven) requests are always served before background refreshes.
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { getCollection } from './db.js';
+
+const RATE_LIMIT_SLOTS = 'rate_limit_slots';
+
+// Lanes in the order they are served
+export const PRIORITIES = ['interactive', 'background'];
+
+/**
+ * Single-instance store: reservation timestamps in an array
+ */
+export function createMemoryRateLimitStore({ maxRequests, windowMs }) {
+    const timestamps = [];
+
+    const prune = (now) => {
+        while (timestamps.length > 0 && now - timestamps[0] > windowMs) {
+            timestamps.shift();
+        }
+    };
+
+    return {
+        name: 'memory',
+
+        async init() {},
+
+        /**
+         * Take a slot when fewer than `limit` are in use. Returns { granted, timestamps }.
+         */
+        async reserve(now, limit = maxRequests) {
+            prune(now);
+            const granted = timestamps.length < limit;
+            if (granted) timestamps.push(now);
+            return { granted, timestamps: [...timestamps] };
+        },
+
+        /**
+         * Reservation times still inside the window, oldest first
+         */
+        async getTimestamps(now) {
+            prune(now);
+            return [...timestamps];
+        }
+    };
+}
+
+/**
+ * Shared store: one MongoDB document per slot ({ key, slot, lastUsedAt }). A reservation is a single
+ * findOneAndUpdate that claims the least recently used slot whose last use has left the window, so
+ * concurrent instances can never hand out more than `maxRequests` slots per window. The `limit`
+ * below `maxRequests` that keeps background headroom is a best-effort count check on top of that.
+ */
+export function createMongoRateLimitStore({ maxRequests, windowMs, key = 'skinport', instanceId = `${os.hostname()}:${process.pid}` }) {
+    const collection = () => getCollection(RATE_LIMIT_SLOTS);
+    const slotFilter = { key, slot: { $lt: maxRequests } };
+
+    const usedSince = async (now) => {
+        const slots = await collection()
+            .find({ ...slotFilter, lastUsedAt: { $gt: new Date(now - windowMs) } })
+            .sort({ lastUsedAt: 1 })
+            .toArray();
+        return slots.map(slot => slot.lastUsedAt.getTime());
+    };
+
+    return {
+        name: 'mongodb',
+
+        /**
+         * Create the slot documents (existing slots keep their last use)
+         */
+        async init() {
+            await collection().createIndex({ key: 1, slot: 1 }, { unique: true });
+            await collection().createIndex({ key: 1, lastUsedAt: 1 });
+            for (let slot = 0; slot < maxRequests; slot++) {
+                await collection().updateOne(
+                    { key, slot },
+                    { $setOnInsert: { lastUsedAt: new Date(0), instanceId: null } },
+                    { upsert: true }
+                );
+            }
+        },
+
+        async reserve(now, limit = maxRequests) {
+            if (limit < maxRequests) {
+                const timestamps = await usedSince(now);
+                if (timestamps.length >= limit) return { granted: false, timestamps };
+            }
+
+            const claimed = await collection().findOneAndUpdate(
+                { ...slotFilter, lastUsedAt: { $lte: new Date(now - windowMs) } },
+                { $set: { lastUsedAt: new Date(now), instanceId } },
+                { sort: { lastUsedAt: 1 }, returnDocument: 'after' }
+            );
+            return { granted: claimed !== null, timestamps: await usedSince(now) };
+        },
+
+        getTimestamps: usedSince
+    };
+}
+
+/**
+ * Create the limiter. `reservedForInteractive` slots of every window are never spent by background
+ * requests; `bufferMs` is added to every wait for a slot to free up (clock drift between instances).
+ */
+export function createRateLimiter({ store, maxRequests, windowMs, reservedForInteractive = 0, bufferMs = 2000, delay }) {
+    if (!(reservedForInteractive >= 0 && reservedForInteractive < maxRequests)) {
+        throw new Error(`Interactive reserve must be between 0 and ${maxRequests - 1} requests (got ${reservedForInteractive})`);
+    }
+
+    const lanes = Object.fromEntries(PRIORITIES.map(priority => [priority, []]));
+    // Last reservation times seen in the store - lets ETAs be estimated synchronously
+    let knownTimestamps = [];
+    let pumping = false;
+    let wakeController = null;
+
+    const limitFor = priority => priority === 'background' ? maxRequests - reservedForInteractive : maxRequests;
+    const usage = (now = Date.now()) => knownTimestamps.filter(timestamp => now - timestamp <= windowMs).length;
+
+    // Waiters in the order they will be served
+    const queue = () => PRIORITIES.flatMap(priority => lanes[priority]);
+
+    /**
+     * Replay `requestCount` requests (spaced `spacingMs` apart) after the `ahead` already queued against
+     * the known reservations; returns when the last one could start, in ms from now
+     */
+    function replay(requestCount, { ahead = 0, spacingMs = 0, priority = 'interactive' } = {}) {
+        const now = Date.now();
+        const limit = limitFor(priority);
+        const simulated = knownTimestamps.filter(timestamp => now - timestamp <= windowMs);
+        let startTime = now;
+        for (let i = 0; i < ahead + requestCount; i++) {
+            if (i > ahead) startTime += spacingMs;
+            while (simulated.length >= limit) {
+                startTime = Math.max(startTime, simulated.shift() + windowMs + bufferMs);
+            }
+            simulated.push(startTime);
+        }
+        return startTime - now;
+    }
+
+    /**
+     * How long until `requestCount` more `priority` requests, spaced `spacingMs` apart, could all
+     * have started - behind everything already queued in the same or a higher lane
+     */
+    function estimateDelay(requestCount, { spacingMs = 0, priority = 'interactive' } = {}) {
+        const ahead = PRIORITIES.slice(0, PRIORITIES.indexOf(priority) + 1).reduce((sum, lane) => sum + lanes[lane].length, 0);
+        return replay(requestCount, { ahead, spacingMs, priority });
+    }
+
+    function notify(waiter, waitMs) {
+        const resumeAt = Date.now() + waitMs;
+        // Only tell the waiter again when its expected start moved noticeably
+        if (waiter.notifiedResumeAt !== null && Math.abs(resumeAt - waiter.notifiedResumeAt) < 1000) return;
+        waiter.notifiedResumeAt = resumeAt;
+        waiter.onWait?.({ waitMs, resumeAt: new Date(resumeAt).toISOString(), position: queue().indexOf(waiter) + 1, priority: waiter.priority });
+    }
+
+    function remove(waiter) {
+        const lane = lanes[waiter.priority];
+        const index = lane.indexOf(waiter);
+        if (index !== -1) lane.splice(index, 1);
+    }
+
+    async function pump() {
+        if (pumping) return;
+        pumping = true;
+        try {
+            while (queue().length > 0) {
+                const waiter = queue()[0];
+                const now = Date.now();
+                let result;
+                try {
+                    result = await store.reserve(now, limitFor(waiter.priority));
+                } catch (error) {
+                    console.error(`[Rate Limiter] ${store.name} store failed: ${error.message}`);
+                    remove(waiter);
+                    waiter.reject(error);
+                    continue;
+                }
+                knownTimestamps = result.timestamps;
+
+                // The waiter may have been aborted while the store was asked
+                if (!queue().includes(waiter)) continue;
+
+                if (result.granted) {
+                    remove(waiter);
+                    console.log(`[Rate Limiter] ${waiter.label || 'Request'} (${waiter.priority}) added. Queue now: ${usage()}/${maxRequests}`);
+                    waiter.resolve();
+                    continue;
+                }
+
+                // An interactive request queued while the store was asked is tried before anyone sleeps
+                if (queue()[0] !== waiter) continue;
+
+                const waitMs = Math.max(replay(1, { priority: waiter.priority }), 1000);
+                console.log(`[Rate Limiter] Rate limit reached. ${queue().length} waiting, next ${waiter.priority} slot in ${Math.round(waitMs / 1000)}s.`);
+                queue().forEach((queued, index) => notify(queued, index === 0 ? waitMs : replay(1, { ahead: index, priority: queued.priority })));
+
+                // A newly queued higher-priority waiter wakes the pump early
+                wakeController = new AbortController();
+                await delay(waitMs, wakeController.signal).catch(() => {});
+                wakeController = null;
+            }
+        } finally {
+            pumping = false;
+        }
+    }
+
+    return {
+        store: store.name,
+
+        async init() {
+            await store.init();
+            knownTimestamps = await store.getTimestamps(Date.now());
+        },
+
+        /**
+         * Wait for a slot. `onWait({ waitMs, resumeAt, position, priority })` is told about any wait
+         * before it starts (and again if the expected start moves); aborting `signal` leaves the queue.
+         */
+        acquire({ priority = 'interactive', signal, onWait, label } = {}) {
+            signal?.throwIfAborted();
+            const lanePriority = PRIORITIES.includes(priority) ? priority : 'interactive';
+
+            return new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    remove(waiter);
+                    reject(signal.reason);
+                };
+                const waiter = {
+                    id: randomUUID(),
+                    priority: lanePriority,
+                    label,
+                    enqueuedAt: new Date(),
+                    notifiedResumeAt: null,
+                    onWait,
+                    resolve: () => {
+                        signal?.removeEventListener('abort', onAbort);
+                        resolve();
+                    },
+                    reject: (error) => {
+                        signal?.removeEventListener('abort', onAbort);
+                        reject(error);
+                    }
+                };
+                signal?.addEventListener('abort', onAbort, { once: true });
+                lanes[lanePriority].push(waiter);
+                console.log(`[Rate Limiter] Current queue: ${usage()}/${maxRequests} requests in last ${windowMs / 1000}s, ${queue().length} waiting`);
+
+                if (lanePriority === 'interactive') wakeController?.abort();
+                pump();
+            });
+        },
+
+        /**
+         * Requests in the current window as last seen in the store
+         */
+        getUsage: () => usage(),
+
+        /**
+         * Whether a background request may start now without eating into the interactive reserve
+         * (refreshes the usage from the store)
+         */
+        async hasBackgroundHeadroom() {
+            knownTimestamps = await store.getTimestamps(Date.now());
+            return lanes.interactive.length === 0 && usage() + 1 <= limitFor('background');
+        },
+
+        estimateDelay,
+
+        /**
+         * Waiting requests in service order with their position and expected wait
+         */
+        getQueue() {
+            return queue().map((waiter, index) => ({
+                id: waiter.id,
+                priority: waiter.priority,
+                label: waiter.label || null,
+                position: index + 1,
+                enqueuedAt: waiter.enqueuedAt.toISOString(),
+                estimatedWaitMs: replay(1, { ahead: index, priority: waiter.priority })
+            }));
+        },
+
+        /**
+         * Current usage and queue (refreshed from the store; the last known state if the store fails)
+         */
+        async getStatus() {
+            let storeError = null;
+            try {
+                knownTimestamps = await store.getTimestamps(Date.now());
+            } catch (error) {
+                storeError = error.message;
+            }
+            return {
+                store: store.name,
+                requestsInQueue: usage(),
+                maxRequests,
+                windowMinutes: windowMs / 60000,
+                reservedForInteractive,
+                waiting: Object.fromEntries(PRIORITIES.map(priority => [priority, lanes[priority].length])),
+                expectedWaitMs: Object.fromEntries(PRIORITIES.map(priority => [priority, estimateDelay(1, { priority })])),
+                storeError
+            };
+        }
+    };
+}
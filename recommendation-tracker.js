@@ -0,0 +1,403 @@
+// Recommendation outcome tracking - did recommended items actually sell at the price we gave?
+import { getCollection } from './db.js';
+import { getLatestSalesHistory, getSalesHistoryBetween, getItemSnapshots } from './market-history.js';
+import { DEFAULT_APP_ID, appIdFilter } from './games.js';
+
+const RECOMMENDATIONS = 'recommendations';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days after a recommendation at which its outcome is checked
+export const OUTCOME_CHECKPOINT_DAYS = [1, 3, 7];
+
+// A checkpoint is judged on sales history fetched at most this long after it came due - later data
+// describes a different period, so the checkpoint is marked NO_DATA instead
+export const CHECKPOINT_TOLERANCE_MS = 12 * 60 * 60 * 1000;
+
+// Breakdown dimensions for the accuracy report (fields of the stored recommendation)
+const ACCURACY_DIMENSIONS = ['pricingStrategy', 'confidence', 'velocityCategory', 'recommendation', 'modelVersion', 'appId'];
+
+// The same item at the same buy price is only tracked once per day
+const DUPLICATE_WINDOW_MS = DAY_MS;
+
+/**
+ * The sales history fetches a checkpoint is judged on (`salesHistory` newest first): the first fetch
+ * within the tolerance after `dueAt`, plus earlier fetches at least a day apart, so that their
+ * last_24_hours windows don't overlap and all lie after `recommendedAt`. Empty when the checkpoint
+ * has no fetch of its own.
+ */
+export function selectCheckpointFetches(salesHistory, recommendedAt, dueAt) {
+    const closing = [...salesHistory].reverse().find(fetch => fetch.fetchedAt >= dueAt && fetch.fetchedAt - dueAt <= CHECKPOINT_TOLERANCE_MS);
+    if (!closing) return [];
+
+    const fetches = [closing];
+    salesHistory.forEach(fetch => {
+        const previous = fetches[fetches.length - 1];
+        if (fetch.fetchedAt <= previous.fetchedAt - DAY_MS && fetch.fetchedAt - recommendedAt >= DAY_MS) {
+            fetches.push(fetch);
+        }
+    });
+    return fetches;
+}
+
+/**
+ * Sales volume and volume-weighted median sale price over the daily windows of `fetches`
+ */
+export function summarizeSales(fetches) {
+    const days = fetches.map(fetch => fetch.last_24_hours).filter(window => window?.volume > 0 && window.median !== null);
+    const volume = days.reduce((sum, window) => sum + window.volume, 0);
+
+    let medianSale = null;
+    let counted = 0;
+    for (const window of [...days].sort((a, b) => a.median - b.median)) {
+        counted += window.volume;
+        if (counted >= volume / 2) {
+            medianSale = window.median;
+            break;
+        }
+    }
+    return { coveredDays: fetches.length, volume, medianSale };
+}
+
+/**
+ * Classify a checkpoint from the sales made after the recommendation: HIT when the median sale
+ * reached our list price, PARTIAL when it only reached the break-even list price (we'd have sold,
+ * but below target), MISS when nothing sold or sales stayed below break-even. The median rather
+ * than the highest sale keeps a single outlier from counting as a hit.
+ */
+export function classifyOutcome(recommendation, sales) {
+    if (!sales || !sales.volume || sales.medianSale === null) {
+        return 'MISS';
+    }
+
+    const { grossAchievablePrice, breakEvenGrossPrice } = recommendation.inputs;
+    if (sales.medianSale >= grossAchievablePrice) return 'HIT';
+    if (sales.medianSale >= breakEvenGrossPrice) return 'PARTIAL';
+    return 'MISS';
+}
+
+// Recommendations stored before games were tracked are CS2
+function evidenceKey({ currency, appId, marketHashName }) {
+    return `${currency}|${appId ?? DEFAULT_APP_ID}|${marketHashName}`;
+}
+
+// The due checkpoint still inside its tolerance, if any (checkpoints are days apart)
+function openCheckpoint(recommendation, now) {
+    return recommendation.checkpoints.find(checkpoint =>
+        checkpoint.status === 'PENDING' && checkpoint.dueAt <= now && now - checkpoint.dueAt <= CHECKPOINT_TOLERANCE_MS
+    );
+}
+
+function emptyTally() {
+    return { evaluated: 0, hit: 0, partial: 0, miss: 0, noData: 0, hitRate: 0 };
+}
+
+function addToTally(tally, status) {
+    if (status === 'NO_DATA') {
+        tally.noData++;
+        return;
+    }
+    tally.evaluated++;
+    tally[status.toLowerCase()]++;
+    tally.hitRate = Math.round((tally.hit / tally.evaluated) * 1000) / 10;
+}
+
+/**
+ * Create the tracker. `fetchSalesHistoryBatch`/`createBatches` are the server's Skinport helpers,
+ * `hasHeadroom()` (async) says whether a background request may be spent right now.
+ */
+export function createRecommendationTracker({
+    fetchSalesHistoryBatch,
+    createBatches,
+    hasHeadroom,
+    intervalMs = 60 * 60 * 1000
+}) {
+    let timer = null;
+    let running = false;
+    let lastRunAt = null;
+    let lastResult = null;
+
+    /**
+     * Store every analyzed item of an /analyze-prices run with the inputs that produced it
+     */
+    async function recordRecommendations(analyzedItems, { currency, appId = DEFAULT_APP_ID, settings = {} }) {
+        const collection = getCollection(RECOMMENDATIONS);
+        const recommendedAt = new Date();
+        let stored = 0;
+
+        for (const item of analyzedItems) {
+            const buyPrice = parseFloat(item.skinportPrice);
+            const grossAchievablePrice = parseFloat(item.grossAchievablePrice);
+
+            const duplicate = await collection.findOne({
+                marketHashName: item.name,
+                currency,
+                appId: appIdFilter(appId),
+                'inputs.buyPrice': buyPrice,
+                recommendedAt: { $gte: new Date(recommendedAt.getTime() - DUPLICATE_WINDOW_MS) }
+            });
+            if (duplicate) continue;
+
+            await collection.insertOne({
+                marketHashName: item.name,
+                currency,
+                appId,
+                recommendedAt,
+                pricingStrategy: item.pricingStrategy,
+                confidence: item.confidence,
+                velocityCategory: item.velocityCategory,
+                recommendation: item.recommendation,
+                modelVersion: item.modelVersion,
+                inputs: {
+                    buyPrice,
+                    grossAchievablePrice,
+                    netAchievablePrice: parseFloat(item.achievablePrice),
+                    breakEvenGrossPrice: item.feeBreakdown.breakEvenGrossPrice,
+                    profitAmount: parseFloat(item.profitAmount),
+                    profitPercentage: parseFloat(item.profitPercentage),
+                    currentMinPrice: parseFloat(item.currentMinPrice),
+                    currentQuantity: item.currentQuantity,
+                    salesVolume: item.salesVolume,
+                    salesVelocity: parseFloat(item.salesVelocity),
+                    timeframePeriod: item.timeframePeriod,
+                    trend: item.trend,
+                    minProfitAmount: settings.minProfitAmount ?? null,
+                    minProfitPercentage: settings.minProfitPercentage ?? null,
+                    profile: settings.profile ?? null,
+                    feeSchedule: item.feeBreakdown.schedule,
+                    totalFee: item.feeBreakdown.totalFee
+                },
+                checkpoints: OUTCOME_CHECKPOINT_DAYS.map(days => ({
+                    days,
+                    dueAt: new Date(recommendedAt.getTime() + days * DAY_MS),
+                    status: 'PENDING',
+                    evaluatedAt: null,
+                    evidence: null
+                })),
+                nextCheckpointAt: new Date(recommendedAt.getTime() + OUTCOME_CHECKPOINT_DAYS[0] * DAY_MS)
+            });
+            stored++;
+        }
+
+        if (stored > 0) {
+            console.log(`[Outcomes] Tracking ${stored} new recommendations (${currency})`);
+        }
+        return stored;
+    }
+
+    /**
+     * Fetch sales history from Skinport for due checkpoints that have no stored fetch since they came
+     * due, while the rate budget has background headroom. Returns the fetched histories by item.
+     */
+    async function fetchMissingSalesHistory(dueRecommendations, now) {
+        const fetched = new Map();
+        const missingByMarket = new Map();
+
+        for (const recommendation of dueRecommendations) {
+            const checkpoint = openCheckpoint(recommendation, now);
+            if (!checkpoint) continue;
+
+            const appId = recommendation.appId ?? DEFAULT_APP_ID;
+            const market = `${recommendation.currency}|${appId}`;
+            if (missingByMarket.get(market)?.names.has(recommendation.marketHashName)) continue;
+
+            const stored = await getLatestSalesHistory(recommendation.marketHashName, recommendation.currency, checkpoint.dueAt, appId);
+            if (stored) continue;
+
+            if (!missingByMarket.has(market)) {
+                missingByMarket.set(market, { currency: recommendation.currency, appId, names: new Set() });
+            }
+            missingByMarket.get(market).names.add(recommendation.marketHashName);
+        }
+
+        for (const { currency, appId, names } of missingByMarket.values()) {
+            for (const batch of createBatches([...names])) {
+                if (!await hasHeadroom()) {
+                    console.log(`[Outcomes] No rate limit headroom - deferring remaining sales history lookups`);
+                    return fetched;
+                }
+                const batchData = await fetchSalesHistoryBatch(batch, currency, { appId });
+                Object.values(batchData).forEach(salesData => {
+                    fetched.set(evidenceKey({ currency, appId, marketHashName: salesData.market_hash_name }), { ...salesData, fetchedAt: now });
+                });
+            }
+        }
+
+        return fetched;
+    }
+
+    /**
+     * Sales and listings between the recommendation and a checkpoint, or null when the checkpoint has
+     * no sales history fetched near its due time
+     */
+    async function checkpointEvidence(recommendation, checkpoint, salesHistory) {
+        const fetches = selectCheckpointFetches(salesHistory, recommendation.recommendedAt, checkpoint.dueAt);
+        if (fetches.length === 0) return null;
+
+        const snapshots = await getItemSnapshots(
+            recommendation.marketHashName,
+            recommendation.currency,
+            recommendation.appId ?? DEFAULT_APP_ID,
+            recommendation.recommendedAt,
+            checkpoint.dueAt
+        );
+        const atDue = snapshots[snapshots.length - 1];
+
+        return {
+            ...summarizeSales(fetches),
+            fetchedAt: fetches[0].fetchedAt,
+            marketMinPrice: atDue?.min_price ?? null,
+            quantityChange: atDue && snapshots[0].quantity !== null ? atDue.quantity - snapshots[0].quantity : null
+        };
+    }
+
+    /**
+     * Mark every checkpoint that has come due as HIT, MISS or PARTIAL from the sales since the
+     * recommendation - or NO_DATA once it is past its tolerance without sales history
+     */
+    async function evaluateDueRecommendations(now = new Date()) {
+        if (running) return lastResult;
+        running = true;
+
+        const collection = getCollection(RECOMMENDATIONS);
+        const result = { due: 0, evaluated: 0, deferred: 0 };
+
+        try {
+            const dueRecommendations = await collection
+                .find({ nextCheckpointAt: { $lte: now } })
+                .sort({ nextCheckpointAt: 1 })
+                .limit(500)
+                .toArray();
+            result.due = dueRecommendations.length;
+
+            const fetched = await fetchMissingSalesHistory(dueRecommendations, now);
+
+            for (const recommendation of dueRecommendations) {
+                const appId = recommendation.appId ?? DEFAULT_APP_ID;
+                const salesHistory = await getSalesHistoryBetween(recommendation.marketHashName, recommendation.currency, recommendation.recommendedAt, now, appId);
+                const justFetched = fetched.get(evidenceKey(recommendation));
+                if (justFetched) salesHistory.unshift(justFetched);
+
+                let changed = false;
+                let deferred = false;
+                const checkpoints = [];
+                for (const checkpoint of recommendation.checkpoints) {
+                    if (checkpoint.status !== 'PENDING' || checkpoint.dueAt > now) {
+                        checkpoints.push(checkpoint);
+                        continue;
+                    }
+
+                    const evidence = await checkpointEvidence(recommendation, checkpoint, salesHistory);
+                    if (evidence) {
+                        checkpoints.push({ ...checkpoint, status: classifyOutcome(recommendation, evidence), evaluatedAt: now, evidence });
+                        changed = true;
+                    } else if (now - checkpoint.dueAt > CHECKPOINT_TOLERANCE_MS) {
+                        checkpoints.push({ ...checkpoint, status: 'NO_DATA', evaluatedAt: now, evidence: null });
+                        changed = true;
+                    } else {
+                        checkpoints.push(checkpoint);
+                        deferred = true;
+                    }
+                }
+
+                if (deferred) result.deferred++;
+                if (!changed) continue;
+
+                const nextPending = checkpoints.find(checkpoint => checkpoint.status === 'PENDING');
+                await collection.updateOne(
+                    { _id: recommendation._id },
+                    { $set: { checkpoints, nextCheckpointAt: nextPending ? nextPending.dueAt : null } }
+                );
+                result.evaluated++;
+            }
+
+            if (result.due > 0) {
+                console.log(`[Outcomes] Evaluated ${result.evaluated}/${result.due} due recommendations (${result.deferred} deferred)`);
+            }
+        } catch (error) {
+            console.error(`[Outcomes] Evaluation failed: ${error.message}`);
+            result.error = error.message;
+        } finally {
+            running = false;
+            lastRunAt = now.toISOString();
+            lastResult = result;
+        }
+
+        return result;
+    }
+
+    /**
+     * Hit rate per checkpoint, broken down by strategy, confidence, velocity, recommendation and model version
+     */
+    async function getAccuracyReport({ since, currency, appId } = {}) {
+        const filter = {};
+        if (since) filter.recommendedAt = { $gte: since };
+        if (currency) filter.currency = currency;
+        if (appId) filter.appId = appIdFilter(appId);
+
+        const recommendations = await getCollection(RECOMMENDATIONS).find(filter).toArray();
+        const checkpointLabels = OUTCOME_CHECKPOINT_DAYS.map(days => `${days}d`);
+        const newTallies = () => Object.fromEntries([...checkpointLabels, 'overall'].map(label => [label, emptyTally()]));
+
+        const overall = newTallies();
+        const breakdown = Object.fromEntries(ACCURACY_DIMENSIONS.map(dimension => [dimension, {}]));
+        let pending = 0;
+
+        recommendations.forEach(recommendation => {
+            recommendation.checkpoints.forEach(checkpoint => {
+                if (checkpoint.status === 'PENDING') {
+                    pending++;
+                    return;
+                }
+                const label = `${checkpoint.days}d`;
+                addToTally(overall[label], checkpoint.status);
+                addToTally(overall.overall, checkpoint.status);
+
+                ACCURACY_DIMENSIONS.forEach(dimension => {
+                    const value = recommendation[dimension] || 'UNKNOWN';
+                    if (!breakdown[dimension][value]) {
+                        breakdown[dimension][value] = newTallies();
+                    }
+                    addToTally(breakdown[dimension][value][label], checkpoint.status);
+                    addToTally(breakdown[dimension][value].overall, checkpoint.status);
+                });
+            });
+        });
+
+        return {
+            recommendations: recommendations.length,
+            pendingCheckpoints: pending,
+            overall,
+            breakdown
+        };
+    }
+
+    async function listRecommendations({ limit = 50, marketHashName } = {}) {
+        const filter = marketHashName ? { marketHashName } : {};
+        return getCollection(RECOMMENDATIONS).find(filter).sort({ recommendedAt: -1 }).limit(limit).toArray();
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(() => evaluateDueRecommendations(), intervalMs);
+        timer.unref();
+        console.log(`[Outcomes] Checking due recommendations every ${Math.round(intervalMs / 60000)} minutes`);
+    }
+
+    function getStatus() {
+        return {
+            intervalMinutes: Math.round(intervalMs / 60000),
+            running,
+            lastRunAt,
+            lastResult
+        };
+    }
+
+    return {
+        recordRecommendations,
+        evaluateDueRecommendations,
+        getAccuracyReport,
+        listRecommendations,
+        start,
+        getStatus
+    };
+}
@@ -0,0 +1,267 @@
+// Skinport API client - the one place that talks HTTP to Skinport. GETs are retried with exponential
+// backoff and jitter (honouring Retry-After on 429), every attempt has a timeout, and failures surface
+// as SkinportError subclasses instead of empty results. Compressed bodies are decoded here and every
+// record is schema-checked (see skinport-schema.js) before it is returned.
+import zlib from 'zlib';
+import { promisify } from 'util';
+import fetch from 'node-fetch';
+import { partitionRecords, validateItemRecord, validateSalesHistoryRecord } from './skinport-schema.js';
+
+export const DEFAULT_SKINPORT_BASE_URL = 'https://api.skinport.com/v1';
+
+const DEFAULT_HEADERS = {
+    'Accept-Encoding': 'br, gzip, deflate',
+    'Accept': 'application/json',
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+};
+
+// Content-Encodings we decode ourselves (fetch runs with `compress: false`)
+const DECODERS = {
+    br: promisify(zlib.brotliDecompress),
+    gzip: promisify(zlib.gunzip),
+    'x-gzip': promisify(zlib.gunzip),
+    deflate: promisify(zlib.inflate)
+};
+
+// Statuses worth another attempt (everything else is the request's fault)
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+/**
+ * Base class of every Skinport failure. `code` is one of HTTP_ERROR, RATE_LIMITED, TIMEOUT,
+ * NETWORK_ERROR, INVALID_RESPONSE; `status` the last HTTP status (null without a response).
+ */
+export class SkinportError extends Error {
+    constructor(message, { code, endpoint, status = null, attempts = 1, retryable = false, cause } = {}) {
+        super(message, { cause });
+        this.name = this.constructor.name;
+        this.code = code;
+        this.endpoint = endpoint;
+        this.status = status;
+        this.attempts = attempts;
+        this.retryable = retryable;
+    }
+
+    /**
+     * What an API response may tell the client about the failure
+     */
+    toJSON() {
+        return { code: this.code, endpoint: this.endpoint, status: this.status, attempts: this.attempts, message: this.message };
+    }
+}
+
+// Non-2xx response
+export class SkinportHttpError extends SkinportError {
+    constructor(message, options) {
+        super(message, { code: 'HTTP_ERROR', ...options });
+    }
+}
+
+// 429 - `retryAfterMs` is how long Skinport asked us to wait (null when it didn't say)
+export class SkinportRateLimitError extends SkinportError {
+    constructor(message, { retryAfterMs = null, ...options } = {}) {
+        super(message, { code: 'RATE_LIMITED', status: 429, ...options });
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// No response within the attempt timeout
+export class SkinportTimeoutError extends SkinportError {
+    constructor(message, options) {
+        super(message, { code: 'TIMEOUT', ...options });
+    }
+}
+
+// Connection refused/reset, DNS failure...
+export class SkinportNetworkError extends SkinportError {
+    constructor(message, options) {
+        super(message, { code: 'NETWORK_ERROR', ...options });
+    }
+}
+
+// 2xx with a body that isn't the JSON we expect
+export class SkinportResponseError extends SkinportError {
+    constructor(message, options) {
+        super(message, { code: 'INVALID_RESPONSE', ...options });
+    }
+}
+
+/**
+ * Milliseconds from a Retry-After header (delta seconds or an HTTP date), null when absent or unreadable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+    const date = new Date(value).getTime();
+    return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+const formatBytes = bytes => bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : bytes >= 1024 ? `${Math.round(bytes / 1024)} KB` : `${bytes} B`;
+
+/**
+ * Body of `response` decoded according to its Content-Encoding (identity when absent)
+ */
+async function readBody(response) {
+    const raw = Buffer.from(await response.arrayBuffer());
+    const encoding = (response.headers.get('content-encoding') || 'identity').trim().toLowerCase();
+    if (encoding === 'identity') {
+        return { body: raw, encoding, rawBytes: raw.length };
+    }
+
+    const decode = DECODERS[encoding];
+    if (!decode) {
+        throw Object.assign(new Error(`unsupported Content-Encoding ${encoding}`), { retryable: false });
+    }
+    try {
+        return { body: await decode(raw), encoding, rawBytes: raw.length };
+    } catch (error) {
+        // Usually a truncated transfer - worth another attempt
+        throw Object.assign(new Error(`corrupt ${encoding} body: ${error.message}`), { retryable: true });
+    }
+}
+
+/**
+ * Create a client. `beforeRequest({ signal, onWait, priority, label })` runs before every attempt (the server's
+ * rate limiter); `delay(ms, signal)` is used for backoff waits. Retries stop after `maxRetries`,
+ * or straight away when a 429's Retry-After is longer than `maxRetryAfterMs`. Malformed records
+ * go to `quarantine.add(endpoint, quarantined, context)` (see createPayloadQuarantine).
+ */
+export function createSkinportClient({
+    baseUrl = DEFAULT_SKINPORT_BASE_URL,
+    fetchImpl = fetch,
+    beforeRequest = async () => {},
+    delay,
+    maxRetries = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    maxRetryAfterMs = 5 * 60 * 1000,
+    timeoutMs = 20000,
+    quarantine = null,
+    random = Math.random
+}) {
+    const apiUrl = baseUrl.replace(/\/+$/, '');
+
+    // Exponential backoff with "equal jitter": half the window fixed, half random
+    const backoffMs = (retry) => {
+        const window = Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1));
+        return Math.round(window / 2 + random() * (window / 2));
+    };
+
+    /**
+     * One attempt: resolves with the parsed JSON, rejects with a SkinportError (or the caller's abort reason)
+     */
+    async function attempt(endpoint, url, { signal, onRateLimitWait, priority }, attemptNumber) {
+        await beforeRequest({ signal, onWait: onRateLimitWait, priority, label: `GET ${endpoint}` });
+
+        const timeoutSignal = AbortSignal.timeout(timeoutMs);
+        const requestSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+        const context = { endpoint, attempts: attemptNumber };
+
+        let response;
+        try {
+            response = await fetchImpl(url, { method: 'GET', signal: requestSignal, headers: DEFAULT_HEADERS, compress: false });
+        } catch (error) {
+            if (signal?.aborted) throw signal.reason;
+            if (timeoutSignal.aborted) {
+                throw new SkinportTimeoutError(`Skinport ${endpoint} timed out after ${timeoutMs}ms`, { ...context, retryable: true, cause: error });
+            }
+            throw new SkinportNetworkError(`Skinport ${endpoint} request failed: ${error.message}`, { ...context, retryable: true, cause: error });
+        }
+
+        if (!response.ok) {
+            const body = await readBody(response).then(({ body }) => body.toString('utf8')).catch(() => '');
+            const retryable = RETRYABLE_STATUSES.includes(response.status);
+            const message = `Skinport ${endpoint} returned ${response.status} ${response.statusText}${body ? `: ${body.substring(0, 200)}` : ''}`;
+            if (response.status === 429) {
+                throw new SkinportRateLimitError(message, { ...context, retryable, retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) });
+            }
+            throw new SkinportHttpError(message, { ...context, status: response.status, retryable });
+        }
+
+        let decoded;
+        try {
+            decoded = await readBody(response);
+        } catch (error) {
+            if (signal?.aborted) throw signal.reason;
+            if (timeoutSignal.aborted) {
+                throw new SkinportTimeoutError(`Skinport ${endpoint} timed out after ${timeoutMs}ms`, { ...context, retryable: true, cause: error });
+            }
+            throw new SkinportResponseError(`Skinport ${endpoint} sent an unreadable body: ${error.message}`, { ...context, status: response.status, retryable: error.retryable ?? true, cause: error });
+        }
+        if (decoded.encoding !== 'identity') {
+            console.log(`[Skinport] GET ${endpoint}: ${formatBytes(decoded.rawBytes)} ${decoded.encoding}, ${formatBytes(decoded.body.length)} decoded`);
+        }
+
+        try {
+            return JSON.parse(decoded.body.toString('utf8'));
+        } catch (error) {
+            throw new SkinportResponseError(`Skinport ${endpoint} returned invalid JSON: ${error.message}`, { ...context, status: response.status, retryable: true, cause: error });
+        }
+    }
+
+    /**
+     * GET `path` with query `params`, retrying retryable failures. `priority` is handed to
+     * `beforeRequest`; `onRateLimitWait` also hears about Retry-After waits and
+     * `onRetry({ attempt, waitMs, error })` about every retry.
+     */
+    async function get(path, params, { signal, onRateLimitWait, priority, onRetry = () => {} } = {}) {
+        const endpoint = path;
+        const url = `${apiUrl}${path}?${new URLSearchParams(params)}`;
+
+        for (let attemptNumber = 1; ; attemptNumber++) {
+            try {
+                return await attempt(endpoint, url, { signal, onRateLimitWait, priority }, attemptNumber);
+            } catch (error) {
+                if (!(error instanceof SkinportError) || !error.retryable || attemptNumber > maxRetries) {
+                    throw error;
+                }
+
+                let waitMs = backoffMs(attemptNumber);
+                if (error instanceof SkinportRateLimitError && error.retryAfterMs !== null) {
+                    if (error.retryAfterMs > maxRetryAfterMs) throw error;
+                    waitMs = Math.max(waitMs, error.retryAfterMs);
+                    onRateLimitWait?.({ waitMs, resumeAt: new Date(Date.now() + waitMs).toISOString(), reason: 'retry_after' });
+                }
+
+                console.log(`[Skinport] GET ${endpoint} failed (${error.code}${error.status ? ` ${error.status}` : ''}) - retry ${attemptNumber}/${maxRetries} in ${Math.round(waitMs / 100) / 10}s`);
+                onRetry({ attempt: attemptNumber, waitMs, error });
+                await delay(waitMs, signal);
+            }
+        }
+    }
+
+    /**
+     * GET an array endpoint and schema-check each record with `validate`. Malformed records are
+     * quarantined; a payload with nothing but malformed records is an INVALID_RESPONSE.
+     */
+    async function getRecords(path, params, validate, context, options) {
+        const data = await get(path, params, options);
+        if (!Array.isArray(data)) {
+            throw new SkinportResponseError(`Skinport ${path} returned ${data === null ? 'null' : typeof data} instead of an array`, { endpoint: path, status: 200 });
+        }
+
+        const { records, quarantined } = partitionRecords(data, validate);
+        quarantine?.add(path, quarantined, context);
+        if (records.length === 0 && quarantined.length > 0) {
+            throw new SkinportResponseError(`Skinport ${path} returned ${quarantined.length} records, all malformed: ${quarantined[0].errors.join('; ')}`, { endpoint: path, status: 200 });
+        }
+        return records;
+    }
+
+    return {
+        baseUrl: apiUrl,
+
+        /**
+         * /items - every listed item of a game with its current prices (validated records)
+         */
+        getItems: ({ appId, currency }, options) =>
+            getRecords('/items', { app_id: appId, currency }, validateItemRecord, { appId, currency }, options),
+
+        /**
+         * /sales/history - sales statistics for up to a URL's worth of market_hash_names (validated records)
+         */
+        getSalesHistory: ({ appId, currency, marketHashNames }, options) =>
+            getRecords('/sales/history', { app_id: appId, currency, market_hash_name: marketHashNames.join(',') }, validateSalesHistoryRecord, { appId, currency }, options)
+    };
+}
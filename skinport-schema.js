@@ -0,0 +1,167 @@
+// Schema checks of Skinport payloads - /items and /sales/history records are validated before
+// they reach the cache, history or analysis. A malformed record is quarantined (kept aside and
+// counted) instead of crashing the pricing maths further down.
+
+// Sales history timeframes every /sales/history record carries
+export const SALES_TIMEFRAMES = ['last_24_hours', 'last_7_days', 'last_30_days', 'last_90_days'];
+
+const ITEM_PRICE_FIELDS = ['min_price', 'max_price', 'mean_price', 'median_price', 'suggested_price'];
+// Prices every listed item has (only suggested_price may be missing while listings exist)
+const LISTED_PRICE_FIELDS = ['min_price', 'max_price', 'mean_price', 'median_price'];
+const TIMEFRAME_PRICE_FIELDS = ['min', 'max', 'avg', 'median'];
+
+const isPrice = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isCount = value => Number.isInteger(value) && value >= 0;
+
+function checkName(record, errors) {
+    if (typeof record.market_hash_name !== 'string' || record.market_hash_name.trim() === '') {
+        errors.push('market_hash_name must be a non-empty string');
+    }
+}
+
+/**
+ * Check one /items record: prices are numbers >= 0 or null (no listings), quantity a count. A listed
+ * item (a min_price or a quantity above 0) needs all of min, max, mean and median price.
+ * Returns { errors, values } with the fields the server keeps.
+ */
+export function validateItemRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { errors: ['record must be an object'], values: null };
+    }
+
+    const errors = [];
+    checkName(record, errors);
+    ITEM_PRICE_FIELDS.forEach(field => {
+        const value = record[field];
+        if (value !== undefined && value !== null && !isPrice(value)) {
+            errors.push(`${field} must be a number >= 0 or null (got ${JSON.stringify(value)})`);
+        }
+    });
+    if (!isCount(record.quantity)) {
+        errors.push(`quantity must be an integer >= 0 (got ${JSON.stringify(record.quantity)})`);
+    }
+    const listed = (record.min_price !== undefined && record.min_price !== null) || record.quantity > 0;
+    if (listed) {
+        const missing = LISTED_PRICE_FIELDS.filter(field => record[field] === undefined || record[field] === null);
+        if (missing.length > 0) {
+            errors.push(`${missing.join(', ')} missing on a listed item (quantity ${JSON.stringify(record.quantity)})`);
+        }
+    }
+    if (isPrice(record.min_price) && isPrice(record.max_price) && record.min_price > record.max_price) {
+        errors.push(`min_price ${record.min_price} is above max_price ${record.max_price}`);
+    }
+    ['created_at', 'updated_at'].forEach(field => {
+        if (record[field] !== undefined && record[field] !== null && !Number.isFinite(record[field])) {
+            errors.push(`${field} must be a timestamp`);
+        }
+    });
+
+    if (errors.length > 0) return { errors, values: null };
+    return {
+        errors,
+        values: {
+            market_hash_name: record.market_hash_name,
+            min_price: record.min_price ?? null,
+            max_price: record.max_price ?? null,
+            mean_price: record.mean_price ?? null,
+            median_price: record.median_price ?? null,
+            quantity: record.quantity,
+            created_at: record.created_at,
+            updated_at: record.updated_at
+        }
+    };
+}
+
+function checkTimeframe(name, timeframe, errors) {
+    if (!timeframe || typeof timeframe !== 'object' || Array.isArray(timeframe)) {
+        errors.push(`${name} must be a { volume, min, max, avg, median } object`);
+        return;
+    }
+    if (!isCount(timeframe.volume)) {
+        errors.push(`${name}.volume must be an integer >= 0 (got ${JSON.stringify(timeframe.volume)})`);
+        return;
+    }
+    // Skinport reports null prices for a timeframe without sales
+    TIMEFRAME_PRICE_FIELDS.forEach(field => {
+        const value = timeframe[field];
+        const valid = timeframe.volume === 0 ? value === null || value === undefined || isPrice(value) : isPrice(value);
+        if (!valid) {
+            errors.push(`${name}.${field} must be a number >= 0${timeframe.volume === 0 ? ' or null' : ` with ${timeframe.volume} sales`} (got ${JSON.stringify(value)})`);
+        }
+    });
+}
+
+/**
+ * Check one /sales/history record: every timeframe is { volume, min, max, avg, median } with
+ * numeric prices (null only when the timeframe had no sales). Returns { errors, values }.
+ */
+export function validateSalesHistoryRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { errors: ['record must be an object'], values: null };
+    }
+
+    const errors = [];
+    checkName(record, errors);
+    SALES_TIMEFRAMES.forEach(name => checkTimeframe(name, record[name], errors));
+
+    return { errors, values: errors.length > 0 ? null : record };
+}
+
+/**
+ * Split `records` into the valid ones (as returned by `validate`) and the quarantined ones
+ * ({ record, errors }). Returns { records, quarantined }.
+ */
+export function partitionRecords(records, validate) {
+    const valid = [];
+    const quarantined = [];
+    records.forEach(record => {
+        const { errors, values } = validate(record);
+        if (errors.length > 0) {
+            quarantined.push({ record, errors });
+        } else {
+            valid.push(values);
+        }
+    });
+    return { records: valid, quarantined };
+}
+
+/**
+ * Keeps count of quarantined records per endpoint and the latest `maxSamples` of them for inspection
+ */
+export function createPayloadQuarantine({ maxSamples = 50 } = {}) {
+    const counts = {};
+    let samples = [];
+    let lastQuarantinedAt = null;
+
+    return {
+        /**
+         * Record the quarantined records of one `endpoint` response (`context` is e.g. { appId, currency })
+         */
+        add(endpoint, quarantined, context = {}) {
+            if (quarantined.length === 0) return;
+            const now = new Date().toISOString();
+            counts[endpoint] = (counts[endpoint] || 0) + quarantined.length;
+            lastQuarantinedAt = now;
+            samples = [
+                ...quarantined.map(({ record, errors }) => ({ endpoint, ...context, quarantinedAt: now, errors, record })).reverse(),
+                ...samples
+            ].slice(0, maxSamples);
+            console.log(`[Schema] Quarantined ${quarantined.length} malformed ${endpoint} records: ${quarantined[0].errors.join('; ')}${quarantined.length > 1 ? ' ...' : ''}`);
+        },
+
+        getStatus() {
+            return {
+                total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+                byEndpoint: { ...counts },
+                lastQuarantinedAt
+            };
+        },
+
+        /**
+         * Latest quarantined records, newest first
+         */
+        getSamples(limit = maxSamples) {
+            return samples.slice(0, limit);
+        }
+    };
+}
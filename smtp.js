@@ -0,0 +1,158 @@
+// Minimal SMTP client for notification emails - plain text mail over SMTP with STARTTLS or
+// implicit TLS and AUTH LOGIN, enough for a relay or a mail provider's submission port
+import net from 'net';
+import tls from 'tls';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Plain addr-spec only (no display names, quoting or whitespace) - addresses go straight into
+// MAIL FROM/RCPT TO and the headers, so CR/LF, "<" or ">" would inject SMTP commands
+const EMAIL_ADDRESS_PATTERN = /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*$/;
+
+export function isValidEmailAddress(address) {
+    return typeof address === 'string' && address.length <= 254 && EMAIL_ADDRESS_PATTERN.test(address);
+}
+
+/**
+ * Reads SMTP replies (possibly multi-line, "250-...") from a socket, one reply per next()
+ */
+function createReplyReader(socket) {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiting = [];
+
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            lines.push(line);
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = { code: parseInt(line.slice(0, 3), 10), lines };
+                lines = [];
+                if (waiting.length > 0) waiting.shift().resolve(reply);
+                else replies.push(reply);
+            }
+        }
+    };
+    socket.on('data', onData);
+
+    return {
+        next: () => replies.length > 0
+            ? Promise.resolve(replies.shift())
+            : new Promise((resolve, reject) => waiting.push({ resolve, reject })),
+        fail: (error) => waiting.splice(0).forEach(({ reject }) => reject(error)),
+        detach: () => socket.off('data', onData)
+    };
+}
+
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+    const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+        socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP timeout after ${timeoutMs}ms`)));
+        socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+        socket.once('error', reject);
+    });
+}
+
+function upgradeToTls(socket, host) {
+    return new Promise((resolve, reject) => {
+        const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+        secureSocket.once('error', reject);
+    });
+}
+
+/**
+ * Send one plain text email. `secure` uses implicit TLS (port 465); otherwise STARTTLS is used
+ * when the server offers it (required unless `startTls` is false). `to` is an address or an array.
+ * Resolves with the server's reply to the message, rejects with the failing command's reply.
+ */
+export async function sendMail({
+    host,
+    port = 587,
+    secure = false,
+    startTls = true,
+    username,
+    password,
+    from,
+    to,
+    subject,
+    text,
+    clientName = 'localhost',
+    timeoutMs = DEFAULT_TIMEOUT_MS
+}) {
+    const recipients = Array.isArray(to) ? to : [to];
+    const invalid = [from, ...recipients].find(address => !isValidEmailAddress(address));
+    if (invalid !== undefined) {
+        throw new Error(`Invalid email address: ${JSON.stringify(invalid)}`);
+    }
+    let socket = await connect({ host, port, secure, timeoutMs });
+    let reader = createReplyReader(socket);
+    const onError = (error) => reader.fail(error);
+    socket.on('error', onError);
+
+    // `label` names the command in errors (credentials and the message itself are not repeated)
+    const command = async (line, expectedCodes, label = line) => {
+        if (line !== null) socket.write(`${line}\r\n`);
+        const reply = await reader.next();
+        if (!expectedCodes.includes(reply.code)) {
+            throw new Error(`SMTP ${label} failed: ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    };
+
+    try {
+        await command(null, [220], 'greeting');
+        const ehlo = await command(`EHLO ${clientName}`, [250]);
+
+        const offersStartTls = ehlo.lines.some(line => /^250[- ]STARTTLS/i.test(line));
+        if (!secure && startTls) {
+            if (!offersStartTls) throw new Error('SMTP server does not offer STARTTLS (set startTls: false to send in plain text)');
+            await command('STARTTLS', [220]);
+            reader.detach();
+            socket.off('error', onError);
+            socket = await upgradeToTls(socket, host);
+            reader = createReplyReader(socket);
+            socket.on('error', onError);
+            await command(`EHLO ${clientName}`, [250]);
+        }
+
+        if (username) {
+            await command('AUTH LOGIN', [334]);
+            await command(Buffer.from(username, 'utf8').toString('base64'), [334], 'AUTH username');
+            await command(Buffer.from(password || '', 'utf8').toString('base64'), [235], 'AUTH password');
+        }
+
+        await command(`MAIL FROM:<${from}>`, [250]);
+        for (const recipient of recipients) {
+            await command(`RCPT TO:<${recipient}>`, [250, 251]);
+        }
+        await command('DATA', [354]);
+        const accepted = await command(`${buildMessage({ from, to: recipients, subject, text })}\r\n.`, [250], 'message');
+        await command('QUIT', [221]).catch(() => {});
+        return accepted.lines.join(' ');
+    } finally {
+        socket.destroy();
+    }
+}
@@ -0,0 +1,161 @@
+// Applied stickers and charms - an item listed with stickers or a charm sells for its base skin price
+// plus a (usually small) share of what the applied items cost on their own. Their market data comes
+// from the same /items catalogue and /sales/history batches as the skins themselves.
+
+// Sticker slots on a weapon (0-based, the fifth slot only exists on some weapons)
+export const MAX_STICKER_SLOTS = 5;
+
+const STICKER_PREFIX = 'Sticker | ';
+const CHARM_PREFIX = 'Charm | ';
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function appliedName(name, prefix) {
+    if (typeof name !== 'string' || name.trim().length === 0) return null;
+    const trimmed = name.trim().replace(/\s+/g, ' ');
+    return trimmed.startsWith(prefix) ? trimmed : `${prefix}${trimmed}`;
+}
+
+/**
+ * Validate an item's applied `stickers` ([{ name, slot, wear }] - wear is the scrape from 0 = intact
+ * to 1, also accepted as `scrape`) and `charms` ([{ name }]). Names get their "Sticker | "/"Charm | "
+ * prefix when it is missing. Returns { errors, values: { stickers, charms } }.
+ */
+export function validateAppliedItems(item) {
+    const errors = [];
+    const values = { stickers: [], charms: [] };
+
+    if (item.stickers !== undefined && item.stickers !== null) {
+        if (!Array.isArray(item.stickers) || item.stickers.length > MAX_STICKER_SLOTS) {
+            errors.push(`stickers must be an array of at most ${MAX_STICKER_SLOTS} { name, slot, wear }`);
+        } else {
+            const usedSlots = new Set();
+            item.stickers.forEach((sticker, index) => {
+                const entry = typeof sticker === 'string' ? { name: sticker } : sticker;
+                const marketHashName = isPlainObject(entry) ? appliedName(entry.name, STICKER_PREFIX) : null;
+                if (!marketHashName) {
+                    errors.push(`stickers[${index}].name is required`);
+                    return;
+                }
+
+                const slot = entry.slot === undefined || entry.slot === null ? index : Number(entry.slot);
+                if (!Number.isInteger(slot) || slot < 0 || slot >= MAX_STICKER_SLOTS) errors.push(`stickers[${index}].slot must be an integer from 0 to ${MAX_STICKER_SLOTS - 1}`);
+                else if (usedSlots.has(slot)) errors.push(`stickers[${index}].slot ${slot} is already taken`);
+                usedSlots.add(slot);
+
+                const rawWear = entry.wear ?? entry.scrape ?? 0;
+                const wear = typeof rawWear === 'number' ? rawWear : parseFloat(String(rawWear).replace(',', '.'));
+                if (!(wear >= 0 && wear <= 1)) errors.push(`stickers[${index}].wear must be between 0 (intact) and 1`);
+
+                values.stickers.push({ name: marketHashName, slot, wear });
+            });
+        }
+    }
+
+    if (item.charms !== undefined && item.charms !== null) {
+        if (!Array.isArray(item.charms)) {
+            errors.push('charms must be an array of { name }');
+        } else {
+            item.charms.forEach((charm, index) => {
+                const marketHashName = appliedName(typeof charm === 'string' ? charm : charm?.name, CHARM_PREFIX);
+                if (!marketHashName) errors.push(`charms[${index}].name is required`);
+                else values.charms.push({ name: marketHashName });
+            });
+        }
+    }
+
+    return { errors, values };
+}
+
+/**
+ * market_hash_names of an item's valid applied stickers and charms (fetched alongside the item)
+ */
+export function appliedItemNames(item) {
+    const { values } = validateAppliedItems(item);
+    return [...new Set([...values.stickers, ...values.charms].map(applied => applied.name))];
+}
+
+/**
+ * The market data of an item's applied stickers and charms: market_hash_name → { marketData, salesData }
+ */
+export function lookupAppliedItems(item, marketLookup, salesLookup) {
+    return Object.fromEntries(appliedItemNames(item).map(name => [name, { marketData: marketLookup[name], salesData: salesLookup[name] }]));
+}
+
+/**
+ * What one sticker/charm sells for on its own: recent sales median, else the cheapest listing
+ */
+function appliedItemPrice({ marketData, salesData } = {}) {
+    const recent = [salesData?.last_7_days, salesData?.last_30_days, salesData?.last_90_days]
+        .find(period => period && period.volume > 0 && (period.median || period.avg));
+    if (recent) return { price: recent.median || recent.avg, source: 'sales' };
+    if (marketData?.min_price > 0) return { price: marketData.min_price, source: 'listing' };
+    return { price: null, source: null };
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Premium of an item's applied stickers and charms. `appliedData` is lookupAppliedItems() of the item;
+ * `model.stickerPricing` decides the share of each one's own price buyers pay on top of the skin.
+ * Returns { errors, analysis } - analysis is null for items without stickers or charms, otherwise
+ * { stickerValue, realisticOverpay, overpayShare, stickers, charms, missing }.
+ */
+export function analyzeAppliedItems(item, appliedData, { fxRate, model }) {
+    const { errors, values } = validateAppliedItems(item);
+    if (errors.length > 0 || (values.stickers.length === 0 && values.charms.length === 0)) {
+        return { errors, analysis: null };
+    }
+
+    const pricing = model.stickerPricing;
+    const minValue = pricing.minValue * fxRate;
+
+    // Four or more identical intact stickers make a "craft" buyers pay extra for
+    const intactCounts = {};
+    values.stickers.filter(sticker => sticker.wear === 0).forEach(sticker => {
+        intactCounts[sticker.name] = (intactCounts[sticker.name] || 0) + 1;
+    });
+
+    const missing = [];
+    const describe = (applied, rate, { wear = 0 } = {}) => {
+        const { price, source } = appliedItemPrice(appliedData[applied.name]);
+        if (price === null) {
+            missing.push(applied.name);
+            return { ...applied, marketPrice: null, priceSource: null, overpay: 0, note: 'No market data' };
+        }
+
+        let overpay = price * rate;
+        let note = `${(rate * 100).toFixed(0)}% of its own price`;
+        if (price < minValue) {
+            overpay = 0;
+            note = 'Too cheap to add value';
+        } else if (wear > 0) {
+            overpay *= pricing.scrapedMultiplier;
+            note += `, scraped (${pricing.scrapedMultiplier}x)`;
+        } else if (intactCounts[applied.name] >= 4) {
+            overpay *= pricing.matchingSetMultiplier;
+            note += `, ${intactCounts[applied.name]}x matching set (${pricing.matchingSetMultiplier}x)`;
+        }
+        return { ...applied, marketPrice: round2(price), priceSource: source, overpay: round2(overpay), note };
+    };
+
+    const stickers = values.stickers.map(sticker => describe(sticker, pricing.overpayRate, sticker));
+    const charms = values.charms.map(charm => describe(charm, pricing.charmOverpayRate));
+    const all = [...stickers, ...charms];
+    const stickerValue = all.reduce((sum, applied) => sum + (applied.marketPrice || 0), 0);
+    const realisticOverpay = all.reduce((sum, applied) => sum + applied.overpay, 0);
+
+    return {
+        errors: [],
+        analysis: {
+            stickerValue: round2(stickerValue),
+            realisticOverpay: round2(realisticOverpay),
+            overpayShare: stickerValue > 0 ? round2((realisticOverpay / stickerValue) * 100) : 0,
+            stickers,
+            charms,
+            missing
+        }
+    };
+}
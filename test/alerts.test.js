@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { postWebhook, createAlertEngine, createWatchlist, validateWatchlist, checkWebhookUrl, webhookFetch } from '../alerts.js';
+
+// fetch stand-in answering with `responses` in turn (a status, { status, headers } or an Error to throw)
+function fakeFetch(responses) {
+    const calls = [];
+    const fetchImpl = async (url, options) => {
+        calls.push({ url, options });
+        const next = responses[Math.min(calls.length, responses.length) - 1];
+        if (next instanceof Error) throw next;
+        const { status, headers = {} } = typeof next === 'number' ? { status: next } : next;
+        return { ok: status >= 200 && status < 300, status, headers: new Headers(headers) };
+    };
+    return { fetchImpl, calls };
+}
+
+function recordingDelay() {
+    const waits = [];
+    return { waits, delay: async ms => { waits.push(ms); } };
+}
+
+test('postWebhook retries 5xx responses with the configured delays', async () => {
+    const { fetchImpl, calls } = fakeFetch([500, 503, 200]);
+    const { waits, delay } = recordingDelay();
+
+    const result = await postWebhook('https://hooks.example/alert', { content: 'hi' }, { fetchImpl, retryDelaysMs: [10, 20, 30], delay });
+
+    assert.deepEqual(result, { status: 'DELIVERED', attempts: 3, lastError: null });
+    assert.deepEqual(waits, [10, 20]);
+    assert.equal(calls.length, 3);
+    assert.equal(calls[0].options.method, 'POST');
+    assert.deepEqual(JSON.parse(calls[0].options.body), { content: 'hi' });
+});
+
+test('postWebhook waits for a longer Retry-After on 429', async () => {
+    const { fetchImpl } = fakeFetch([{ status: 429, headers: { 'Retry-After': '5' } }, 204]);
+    const { waits, delay } = recordingDelay();
+
+    const result = await postWebhook('https://hooks.example/alert', {}, { fetchImpl, retryDelaysMs: [1000], delay });
+
+    assert.equal(result.status, 'DELIVERED');
+    assert.deepEqual(waits, [5000]);
+});
+
+test('postWebhook keeps its own delay when Retry-After is shorter', async () => {
+    const { fetchImpl } = fakeFetch([{ status: 429, headers: { 'Retry-After': '1' } }, 200]);
+    const { waits, delay } = recordingDelay();
+
+    await postWebhook('https://hooks.example/alert', {}, { fetchImpl, retryDelaysMs: [2000], delay });
+
+    assert.deepEqual(waits, [2000]);
+});
+
+test('postWebhook does not retry other 4xx responses', async () => {
+    const { fetchImpl, calls } = fakeFetch([404]);
+    const { waits, delay } = recordingDelay();
+
+    const result = await postWebhook('https://hooks.example/alert', {}, { fetchImpl, retryDelaysMs: [10, 20], delay });
+
+    assert.deepEqual(result, { status: 'FAILED', attempts: 1, lastError: 'HTTP 404' });
+    assert.equal(calls.length, 1);
+    assert.deepEqual(waits, []);
+});
+
+test('postWebhook gives up after the last retry of a network error', async () => {
+    const { fetchImpl, calls } = fakeFetch([new Error('ECONNREFUSED')]);
+    const { delay } = recordingDelay();
+
+    const result = await postWebhook('https://hooks.example/alert', {}, { fetchImpl, retryDelaysMs: [10, 20], delay });
+
+    assert.deepEqual(result, { status: 'FAILED', attempts: 3, lastError: 'ECONNREFUSED' });
+    assert.equal(calls.length, 3);
+});
+
+test('webhook URLs must not point to local or private addresses', async () => {
+    assert.equal(checkWebhookUrl('https://discord.com/api/webhooks/1/abc'), null);
+    ['http://localhost:8080/', 'http://127.0.0.1/', 'http://[::1]/', 'http://10.0.0.5/', 'http://169.254.169.254/latest/meta-data', 'http://192.168.1.1./', 'http://metadata.internal/']
+        .forEach(url => assert.equal(checkWebhookUrl(url), 'must not point to a local or private network address', url));
+    assert.equal(checkWebhookUrl('file:///etc/passwd'), 'must be an http(s) URL');
+
+    const { errors } = validateWatchlist({ name: 'ssrf', rules: [{ marketHashName: 'AK-47 | Redline (Field-Tested)', type: 'TREND', value: 'RISING' }], webhook: { url: 'http://127.0.0.1:27017/' } });
+    assert.deepEqual(errors, ['webhook.url must not point to a local or private network address']);
+
+    await assert.rejects(webhookFetch('http://127.0.0.1:9/'), /private network address/);
+});
+
+test('alert engine alerts when a rule becomes true and respects the cooldown', async () => {
+    const { fetchImpl, calls } = fakeFetch([200]);
+    const engine = createAlertEngine({ getSalesHistory: async () => null, delay: async () => {}, fetchImpl, retryDelaysMs: [] });
+    const { errors, values } = validateWatchlist({
+        name: 'cooldown-test',
+        settings: {},
+        rules: [{ id: 'cheap', marketHashName: 'AK-47 | Redline (Field-Tested)', type: 'PRICE_BELOW', value: 10 }],
+        webhook: { url: 'https://hooks.example/alert', format: 'json' },
+        cooldownMinutes: 60
+    });
+    assert.deepEqual(errors, []);
+    await createWatchlist(values);
+
+    const snapshot = minPrice => ({ 'AK-47 | Redline (Field-Tested)': { market_hash_name: 'AK-47 | Redline (Field-Tested)', min_price: minPrice } });
+    const at = minutes => new Date(Date.UTC(2026, 0, 1, 12, minutes));
+    const evaluate = (minPrice, minutes) => engine.evaluateSnapshot(snapshot(minPrice), values.currency, values.appId, at(minutes));
+
+    assert.equal((await evaluate(9, 0)).triggered, 1);
+    // Still below the threshold - the same condition doesn't alert again
+    assert.equal((await evaluate(8, 5)).triggered, 0);
+    // Back above, then below again inside the cooldown - suppressed
+    assert.equal((await evaluate(12, 10)).triggered, 0);
+    assert.deepEqual(await evaluate(9, 20), { watchlists: 1, rulesEvaluated: 1, triggered: 0, suppressed: 1 });
+    // Above and below again once the cooldown has passed - alerts
+    assert.equal((await evaluate(12, 70)).triggered, 0);
+    assert.equal((await evaluate(9, 75)).triggered, 1);
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(calls.length, 2);
+    assert.equal(JSON.parse(calls[0].options.body).marketHashName, 'AK-47 | Redline (Field-Tested)');
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeItem, REJECTION_REASONS } from '../pricing-engine.js';
+import { runPriceAnalysis } from '../analysis-pipeline.js';
+
+const REDLINE = 'AK-47 | Redline (Field-Tested)';
+const ASIIMOV = 'AWP | Asiimov (Field-Tested)';
+
+const MARKET = {
+    [REDLINE]: { market_hash_name: REDLINE, min_price: 10, max_price: 30, mean_price: 15, median_price: 14, quantity: 20 },
+    [ASIIMOV]: { market_hash_name: ASIIMOV, min_price: 15, max_price: 45, mean_price: 22.5, median_price: 21, quantity: 24 }
+};
+
+function salesRecord(name, median) {
+    const timeframe = volume => ({ min: median * 0.75, max: median * 1.25, avg: median, median, volume });
+    return {
+        market_hash_name: name,
+        last_24_hours: timeframe(3),
+        last_7_days: timeframe(25),
+        last_30_days: timeframe(100),
+        last_90_days: timeframe(300)
+    };
+}
+
+const SALES = { [REDLINE]: salesRecord(REDLINE, 11.5), [ASIIMOV]: salesRecord(ASIIMOV, 17) };
+const SETTINGS = { currency: 'EUR', minProfitAmount: 0, minProfitPercentage: 0 };
+
+// dataSource stand-in serving MARKET and SALES, one name per batch
+function stubDataSource() {
+    const calls = { market: 0, batches: [] };
+    return {
+        calls,
+        dataSource: {
+            fetchMarketData: async () => {
+                calls.market++;
+                return MARKET;
+            },
+            fetchSalesHistoryBatch: async names => {
+                calls.batches.push(names);
+                return Object.fromEntries(names.filter(name => SALES[name]).map(name => [name, SALES[name]]));
+            },
+            createBatches: names => names.map(name => [name]),
+            batchDelayMs: 0,
+            delay: async () => {}
+        }
+    };
+}
+
+test('analyzeItem accepts an item listed well below its sales median', () => {
+    const result = analyzeItem({ marketHashName: REDLINE, price: 6 }, MARKET[REDLINE], SALES[REDLINE], SETTINGS);
+
+    assert.equal(result.accepted, true);
+    assert.equal(result.item.marketHashName, REDLINE);
+    assert.ok(parseFloat(result.item.profitAmount) > 0);
+    assert.equal(result.item.modelVersion, '2.0.0');
+});
+
+test('analyzeItem rejects an item without market data', () => {
+    const result = analyzeItem({ marketHashName: REDLINE, price: 6 }, undefined, SALES[REDLINE], SETTINGS);
+
+    assert.equal(result.accepted, false);
+    assert.equal(result.rejection.reason, REJECTION_REASONS.NO_MARKET_DATA);
+});
+
+test('runPriceAnalysis analyzes items batch by batch from the injected data source', async () => {
+    const { dataSource, calls } = stubDataSource();
+    const events = [];
+    const streamed = [];
+
+    const result = await runPriceAnalysis(
+        [{ marketHashName: REDLINE, price: 6 }, { marketHashName: ASIIMOV, price: 9 }, { marketHashName: 'Unknown Item', price: 1 }],
+        SETTINGS,
+        dataSource,
+        { onProgress: event => events.push(event), onItem: item => streamed.push(item.marketHashName) }
+    );
+
+    assert.equal(calls.market, 1);
+    assert.deepEqual(calls.batches, [[REDLINE], [ASIIMOV], ['Unknown Item']]);
+    assert.deepEqual(streamed, [REDLINE, ASIIMOV]);
+    assert.deepEqual(result.analyzedItems.map(item => item.marketHashName), [REDLINE, ASIIMOV]);
+    assert.equal(result.rejectedItems.length, 1);
+    assert.equal(result.summary.profitableFound, 2);
+    assert.equal(result.summary.marketDataFound, 2);
+    assert.equal(result.summary.salesDataFound, 2);
+
+    const completed = events.filter(event => event.type === 'batch_complete');
+    assert.deepEqual(completed.map(event => event.analyzedItems), [1, 2, 2]);
+});
+
+test('runPriceAnalysis stops when its signal is aborted', async () => {
+    const { dataSource, calls } = stubDataSource();
+    const controller = new AbortController();
+    const fetchBatch = dataSource.fetchSalesHistoryBatch;
+    dataSource.fetchSalesHistoryBatch = async names => {
+        controller.abort(new Error('client went away'));
+        return fetchBatch(names);
+    };
+
+    await assert.rejects(
+        runPriceAnalysis([{ marketHashName: REDLINE, price: 6 }, { marketHashName: ASIIMOV, price: 9 }], SETTINGS, dataSource, { signal: controller.signal }),
+        /client went away/
+    );
+    assert.equal(calls.batches.length, 1);
+});
+
+test('runPriceAnalysis returns without fetching when no item has a name', async () => {
+    const { dataSource, calls } = stubDataSource();
+
+    const result = await runPriceAnalysis([{ price: 6 }], SETTINGS, dataSource);
+
+    assert.equal(calls.market, 0);
+    assert.equal(result.summary.message, 'No valid item names found');
+    assert.equal(result.rejectedItems.length, 1);
+});
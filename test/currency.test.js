@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertAmount, getFxRate, setFxRates, DEFAULT_FX_RATES } from '../currency.js';
+import { convertFeeSchedule, calculateFees, resolveFeeSchedule } from '../fee-schedule.js';
+import { resolveSaleFeeSchedule } from '../portfolio.js';
+
+const round2 = value => Math.round(value * 100) / 100;
+
+const { schedule: EUR_SCHEDULE } = resolveFeeSchedule({
+    name: 'eur-tiers',
+    currency: 'EUR',
+    tiers: [{ below: 10, rate: 0.12 }, { below: null, rate: 0.08 }],
+    minimumFee: 0.5,
+    withdrawal: { rate: 0.02, fixed: 0.3 }
+});
+
+test('convertAmount converts through the EUR rates of the FX table', () => {
+    assert.equal(round2(convertAmount(10, 'EUR', 'USD')), 10.8);
+    assert.equal(round2(convertAmount(10.8, 'USD', 'GBP')), 8.5);
+    assert.equal(convertAmount(12.34, 'SEK', 'SEK'), 12.34);
+    assert.equal(convertAmount(null, 'EUR', 'USD'), null);
+    assert.equal(convertAmount(10, 'EUR', 'XYZ'), null);
+});
+
+test('setFxRates replaces the rates used for conversion and rejects a bad table', () => {
+    assert.deepEqual(setFxRates({ USD: 1.2 }, 'test'), []);
+    assert.equal(round2(getFxRate('USD', 'EUR') * 12), 10);
+    assert.notDeepEqual(setFxRates({ USD: -1 }, 'test'), []);
+    assert.notDeepEqual(setFxRates({ EUR: 2 }, 'test'), []);
+
+    setFxRates(DEFAULT_FX_RATES, 'built-in');
+    assert.equal(getFxRate('EUR', 'USD'), 1.08);
+});
+
+test('convertFeeSchedule converts the amounts but keeps the rates', () => {
+    const sek = convertFeeSchedule(EUR_SCHEDULE, 11.4, 'SEK');
+
+    assert.equal(sek.currency, 'SEK');
+    assert.deepEqual(sek.tiers.map(tier => [tier.below === null ? null : round2(tier.below), tier.rate]), [[114, 0.12], [null, 0.08]]);
+    assert.equal(round2(sek.minimumFee), 5.7);
+    assert.deepEqual({ rate: sek.withdrawal.rate, fixed: round2(sek.withdrawal.fixed) }, { rate: 0.02, fixed: 3.42 });
+
+    // The same sale costs the same, whichever currency it is counted in
+    [3, 9.5, 50].forEach(euros => {
+        assert.equal(round2(calculateFees(euros * 11.4, sek).netPrice), round2(calculateFees(euros, EUR_SCHEDULE).netPrice * 11.4));
+    });
+});
+
+test('a sale is charged a fee schedule converted into the position currency', () => {
+    const { errors, schedule } = resolveSaleFeeSchedule(EUR_SCHEDULE, 'USD');
+    assert.deepEqual(errors, []);
+    assert.equal(schedule.currency, 'USD');
+    assert.equal(round2(schedule.minimumFee), 0.54);
+
+    // Schedules without a currency are already in the sale currency
+    const { schedule: flat } = resolveFeeSchedule(0.1);
+    assert.equal(resolveSaleFeeSchedule({ ...flat, currency: null }, 'USD').schedule.tiers[0].rate, 0.1);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateFees, grossPriceForNet, resolveFeeSchedule, DEFAULT_FEE_SCHEDULE } from '../fee-schedule.js';
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// 12% below 10, 8% below 100, 5% above; at least 0.50 per sale; 2% + 0.30 to withdraw
+const { schedule: TIERED } = resolveFeeSchedule({
+    name: 'tiered',
+    tiers: [{ below: 10, rate: 0.12 }, { below: 100, rate: 0.08 }, { below: null, rate: 0.05 }],
+    minimumFee: 0.5,
+    withdrawal: { rate: 0.02, fixed: 0.3 }
+});
+
+test('the default schedule is the flat 8% seller fee', () => {
+    const fees = calculateFees(100, DEFAULT_FEE_SCHEDULE);
+    assert.equal(fees.saleFee, 8);
+    assert.equal(fees.netPrice, 92);
+    assert.equal(fees.withdrawalFee, 0);
+});
+
+test('calculateFees picks the tier by sale price and adds the withdrawal cost', () => {
+    const mid = calculateFees(50, TIERED);
+    assert.equal(mid.rate, 0.08);
+    assert.equal(round2(mid.saleFee), 4);
+    assert.equal(round2(mid.withdrawalFee), 1.22);
+    assert.equal(round2(mid.netPrice), 44.78);
+
+    const high = calculateFees(200, TIERED);
+    assert.equal(high.rate, 0.05);
+    assert.equal(round2(high.netPrice), 185.9);
+    assert.equal(round2(high.totalFee), 14.1);
+});
+
+test('calculateFees charges the minimum fee when the percentage is lower', () => {
+    const fees = calculateFees(2, TIERED);
+    assert.equal(fees.minimumFeeApplied, true);
+    assert.equal(fees.saleFee, 0.5);
+    assert.equal(round2(fees.withdrawalFee), 0.33);
+    assert.equal(round2(fees.netPrice), 1.17);
+});
+
+test('grossPriceForNet is the lowest price that nets the amount', () => {
+    [0.5, 1.17, 5, 44.78, 92, 185.9, 1000].forEach(net => {
+        const gross = grossPriceForNet(net, TIERED);
+        assert.ok(calculateFees(gross, TIERED).netPrice >= net - 1e-9, `${gross} nets ${net}`);
+        assert.ok(calculateFees(gross - 0.01, TIERED).netPrice < net, `${gross - 0.01} nets less than ${net}`);
+    });
+    assert.equal(round2(grossPriceForNet(92)), 100);
+});
+
+test('grossPriceForNet can land on the start of a cheaper tier', () => {
+    // 8.50 would need 10.20 at 12% - but 10.00 already sells at 8% and nets 8.72
+    assert.equal(grossPriceForNet(8.5, TIERED), 10);
+});
+
+test('resolveFeeSchedule accepts presets and rates and rejects malformed schedules', () => {
+    assert.equal(resolveFeeSchedule('skinport').schedule, DEFAULT_FEE_SCHEDULE);
+    assert.deepEqual(resolveFeeSchedule('0,1').schedule.tiers, [{ below: null, rate: 0.1 }]);
+    assert.notDeepEqual(resolveFeeSchedule(1.5).errors, []);
+    assert.notDeepEqual(resolveFeeSchedule({ tiers: [{ below: 100, rate: 0.1 }, { below: 50, rate: 0.05 }, { below: null, rate: 0.02 }] }).errors, []);
+    assert.notDeepEqual(resolveFeeSchedule({ rate: 0.1, tiers: [{ below: null, rate: 0.1 }] }).errors, []);
+    assert.notDeepEqual(resolveFeeSchedule({ minimumFee: -1 }).errors, []);
+    assert.deepEqual(resolveFeeSchedule({ fee: 0.1 }).errors, ['Unknown fee schedule field: feeSchedule.fee']);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileNamePattern, resolveFilterRules, checkItemRules, MAX_PATTERN_LENGTH } from '../filter-rules.js';
+
+const REDLINE = 'AK-47 | Redline (Field-Tested)';
+
+test('name patterns match case-insensitive substrings with * and ? wildcards', () => {
+    assert.equal(compileNamePattern('redline').test(REDLINE), true);
+    assert.equal(compileNamePattern('AK-47*Field').test(REDLINE), true);
+    assert.equal(compileNamePattern('ak-?? |').test(REDLINE), true);
+    assert.equal(compileNamePattern('AWP*Field').test(REDLINE), false);
+    // Regular expression syntax is matched literally
+    assert.equal(compileNamePattern('^AK').test(REDLINE), false);
+});
+
+test('a pattern full of wildcards is matched in linear passes', () => {
+    const started = Date.now();
+    assert.equal(compileNamePattern('*a*a*a*a*a*a*a*a*a*a*a*a*a*a*b').test('a'.repeat(5000)), false);
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('include and exclude patterns are validated and applied', () => {
+    const { errors } = resolveFilterRules({ filters: { includePatterns: ['', 'x'.repeat(MAX_PATTERN_LENGTH + 1), 42] } });
+    assert.equal(errors.length, 3);
+
+    const { rules } = resolveFilterRules({ filters: { includePatterns: ['AK-47'], excludePatterns: ['*(Field-Tested)'] } });
+    assert.equal(checkItemRules(REDLINE, 10, rules).reason, 'NAME_EXCLUDED');
+    assert.equal(checkItemRules('AWP | Asiimov (Field-Tested)', 10, rules).reason, 'NAME_NOT_INCLUDED');
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveItemAttributes, wearForFloat, validateSkinFloatRanges } from '../item-attributes.js';
+
+const REDLINE = 'AK-47 | Redline (Field-Tested)';
+
+test('an explicit floatValue is taken as is', () => {
+    const attributes = resolveItemAttributes({ marketHashName: REDLINE, floatValue: '0,1534' });
+
+    assert.deepEqual(attributes.errors, []);
+    assert.equal(attributes.marketHashName, REDLINE);
+    assert.equal(attributes.floatValue, 0.1534);
+    assert.equal(attributes.floatSource, 'field');
+    assert.deepEqual(attributes.floatRange, { min: 0.10, max: 0.70 });
+});
+
+test('a float scraped into a legacy name is moved out of it', () => {
+    const attributes = resolveItemAttributes({ name: `${REDLINE} - Float: 0.2001` });
+    assert.equal(attributes.marketHashName, REDLINE);
+    assert.equal(attributes.floatValue, 0.2001);
+    assert.equal(attributes.floatSource, 'name');
+});
+
+test('a name without wear gets it from the wear field or the float', () => {
+    assert.equal(resolveItemAttributes({ name: 'AWP | Asiimov', wear: 'bs' }).marketHashName, 'AWP | Asiimov (Battle-Scarred)');
+    assert.equal(resolveItemAttributes({ name: 'AWP | Asiimov', floatValue: 0.3 }).marketHashName, 'AWP | Asiimov (Field-Tested)');
+    assert.equal(resolveItemAttributes({ name: 'Sticker | Crown (Foil)', floatValue: 0.3 }).marketHashName, 'Sticker | Crown (Foil)');
+});
+
+test('floats and wear that cannot exist are rejected', () => {
+    const errors = item => resolveItemAttributes(item).errors;
+
+    assert.deepEqual(errors({ marketHashName: REDLINE, floatValue: 0.05 }), [
+        'floatValue 0.05 is outside the Field-Tested range (0.15-0.38)',
+        'floatValue 0.05 is outside the float range of AK-47 | Redline (0.1-0.7)'
+    ]);
+    assert.deepEqual(errors({ marketHashName: REDLINE, floatValue: 1.2 }), ['floatValue must be between 0 and 1']);
+    assert.deepEqual(errors({ marketHashName: REDLINE, wear: 'MW' }), ['wear MW does not match the Field-Tested name']);
+    assert.deepEqual(errors({ marketHashName: REDLINE, wear: 'shiny' }), ['Unknown wear: shiny (FN, MW, FT, WW, BS)']);
+    assert.deepEqual(errors({ marketHashName: 'AK-47 | Redline (Factory New)' }), ['AK-47 | Redline does not exist in Factory New']);
+});
+
+test('wearForFloat uses the game\'s wear boundaries', () => {
+    assert.deepEqual([0, 0.07, 0.1499, 0.38, 0.449, 0.45, 1].map(wearForFloat), ['FN', 'MW', 'MW', 'WW', 'WW', 'BS', 'BS']);
+    assert.notDeepEqual(validateSkinFloatRanges({ 'AK-47 | Redline': { min: 0.7, max: 0.1 } }).errors, []);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCollection } from '../db.js';
+import { recordMarketSnapshot, getPriceHistory, getLatestMarketSnapshot } from '../market-history.js';
+
+const REDLINE = 'AK-47 | Redline (Field-Tested)';
+const ASIIMOV = 'AWP | Asiimov (Field-Tested)';
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2026, 0, 1);
+const at = hours => new Date(START + hours * HOUR_MS);
+
+const listing = (name, minPrice, quantity) => ({ market_hash_name: name, min_price: minPrice, max_price: minPrice * 2, mean_price: minPrice * 1.5, median_price: minPrice * 1.4, quantity });
+const lookup = (...items) => Object.fromEntries(items.map(item => [item.market_hash_name, item]));
+
+test('only items whose values changed are stored after the first snapshot', async () => {
+    // Each test uses its own currency - the last stored values are kept per game and currency
+    const currency = 'USD';
+    assert.equal(await recordMarketSnapshot(lookup(listing(REDLINE, 10, 20), listing(ASIIMOV, 15, 24)), currency, 730, at(0)), 2);
+    assert.equal(await recordMarketSnapshot(lookup(listing(REDLINE, 10, 20), listing(ASIIMOV, 15, 24)), currency, 730, at(1)), 0);
+    assert.equal(await recordMarketSnapshot(lookup(listing(REDLINE, 9, 21), listing(ASIIMOV, 15, 24)), currency, 730, at(2)), 1);
+    // Gone from the catalogue - stored once as unlisted
+    assert.equal(await recordMarketSnapshot(lookup(listing(REDLINE, 9, 21)), currency, 730, at(3)), 1);
+    assert.equal(await recordMarketSnapshot(lookup(listing(REDLINE, 9, 21)), currency, 730, at(4)), 0);
+    // A day after the first snapshot every item is written again
+    assert.equal(await recordMarketSnapshot(lookup(listing(REDLINE, 9, 21)), currency, 730, at(24)), 1);
+
+    const stored = await getCollection('market_snapshots').find({ currency }).toArray();
+    assert.equal(stored.length, 5);
+    const unlisted = stored.find(document => document.market_hash_name === ASIIMOV && document.quantity === 0);
+    assert.equal(unlisted.min_price, null);
+});
+
+test('price history carries unchanged values forward to every snapshot', async () => {
+    const currency = 'GBP';
+    await recordMarketSnapshot(lookup(listing(REDLINE, 10, 20)), currency, 730, at(0));
+    await recordMarketSnapshot(lookup(listing(REDLINE, 10, 20)), currency, 730, at(0.5));
+    await recordMarketSnapshot(lookup(listing(REDLINE, 8, 25)), currency, 730, at(1));
+    await recordMarketSnapshot(lookup(listing(REDLINE, 8, 25)), currency, 730, at(2));
+
+    const history = await getPriceHistory({ marketHashName: REDLINE, currency, appId: 730, from: at(0.25), to: at(3), intervalMs: HOUR_MS });
+
+    assert.equal(history.snapshotCount, 3);
+    assert.deepEqual(history.series.map(bucket => [bucket.samples, bucket.minPrice.close, bucket.quantity.close]), [
+        [1, 10, 20],
+        [1, 8, 25],
+        [1, 8, 25]
+    ]);
+});
+
+test('the latest snapshot reports an unchanged item with the snapshot time', async () => {
+    const currency = 'PLN';
+    await recordMarketSnapshot(lookup(listing(REDLINE, 10, 20)), currency, 730, at(0));
+    await recordMarketSnapshot(lookup(listing(REDLINE, 10, 20)), currency, 730, at(5));
+
+    const latest = await getLatestMarketSnapshot(REDLINE, currency, at(4), 730);
+    assert.equal(latest.min_price, 10);
+    assert.deepEqual(latest.snapshotAt, at(5));
+    assert.deepEqual(latest.changedAt, at(0));
+
+    assert.equal(await getLatestMarketSnapshot(REDLINE, currency, at(6), 730), null);
+    assert.equal(await getLatestMarketSnapshot(ASIIMOV, currency, null, 730), null);
+});
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createModelConfig, activateModelVersion, getActiveModelConfig, DEFAULT_MODEL_CONFIG } from '../model-config.js';
+
+test('the activated model version is restored on startup', async () => {
+    const { errors } = await createModelConfig({ version: '9.9.0', description: 'Test model', trendAdjustments: { RISING: 1.05 } });
+    assert.deepEqual(errors, []);
+    assert.equal(await activateModelVersion('9.9.0'), true);
+    assert.equal(await activateModelVersion('0.0.404'), false);
+    assert.equal(getActiveModelConfig().version, '9.9.0');
+
+    // A fresh copy of the module stands in for a restarted server (the in-memory database is shared)
+    const restarted = await import('../model-config.js?restart');
+    assert.equal(restarted.getActiveModelConfig().version, DEFAULT_MODEL_CONFIG.version);
+    assert.equal(await restarted.loadStoredModelConfigs(), 1);
+    assert.equal(restarted.getActiveModelConfig().version, '9.9.0');
+    assert.equal(restarted.getActiveModelConfig().trendAdjustments.RISING, 1.05);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateChannel, createChannel, updateChannel, createNotifier, renderTemplate, templateContext, isQuietTime, listNotifications } from '../notifications.js';
+import { sendMail } from '../smtp.js';
+
+const DEAL = {
+    name: 'AK-47 | Redline (Field-Tested)',
+    recommendation: 'STRONG_BUY',
+    confidence: 'HIGH',
+    skinportPrice: '8.00',
+    grossAchievablePrice: '12.00',
+    achievablePrice: '10.80',
+    profitAmount: '2.80',
+    profitPercentage: '35.00',
+    timeEstimate: '1-2 days',
+    trend: 'STABLE'
+};
+
+const SMTP_CONFIG = { host: 'smtp.example.com', from: 'deals@example.com', to: ['me@example.com'] };
+
+test('smtp channels only accept plain email addresses', () => {
+    assert.deepEqual(validateChannel({ name: 'mail', type: 'smtp', config: SMTP_CONFIG }).errors, []);
+
+    const injected = validateChannel({ name: 'mail', type: 'smtp', config: { ...SMTP_CONFIG, from: 'deals@example.com>\r\nRCPT TO:<victim@example.com' } });
+    assert.deepEqual(injected.errors, ['config.from must be an email address']);
+    ['Me <me@example.com>', 'me@example.com\n', 'me @example.com'].forEach(address => {
+        assert.deepEqual(validateChannel({ name: 'mail', type: 'smtp', config: { ...SMTP_CONFIG, to: address } }).errors, ['config.to must be an email address or an array of them'], address);
+    });
+});
+
+test('sendMail refuses an address that would inject SMTP commands', async () => {
+    await assert.rejects(sendMail({ ...SMTP_CONFIG, to: 'me@example.com\r\nDATA', subject: 'x', text: 'y' }), /Invalid email address/);
+});
+
+test('a channel that is down does not hold back the others', async () => {
+    const calls = [];
+    const fetchImpl = async url => {
+        calls.push(url);
+        if (url.endsWith('/down')) throw new Error('ECONNREFUSED');
+        return { ok: true, status: 204, headers: new Headers() };
+    };
+    // Every webhook retry waits a little instead of 2s/10s/30s
+    const delay = () => new Promise(resolve => setTimeout(resolve, 20));
+    const notifier = createNotifier({ delay, fetchImpl });
+
+    for (const name of ['down', 'up']) {
+        const { errors, values } = validateChannel({ name, type: 'webhook', config: { url: `https://hooks.example/${name}` } });
+        assert.deepEqual(errors, []);
+        await createChannel(values);
+    }
+
+    const result = await notifier.notifyRecommendations([DEAL], { currency: 'EUR', appId: 730 });
+
+    assert.deepEqual(result, { channels: 2, sent: 1, failed: 1, suppressed: 0 });
+    // The healthy channel was called before the failing one ran out of retries
+    assert.ok(calls.indexOf('https://hooks.example/up') < calls.lastIndexOf('https://hooks.example/down'));
+    assert.equal(calls.filter(url => url.endsWith('/down')).length, 4);
+
+    await updateChannel('down', { enabled: false });
+    await updateChannel('up', { enabled: false });
+});
+
+test('templates are filled from the deal and validated against the known fields', () => {
+    const context = templateContext(DEAL, { currency: 'USD', appId: 730, source: 'poller' });
+    assert.equal(renderTemplate('{{ recommendation }}: {{name}} for {{listPrice}} ({{game}}, {{source}}) {{unknown}}', context),
+        'STRONG_BUY: AK-47 | Redline (Field-Tested) for $12.00 (Counter-Strike 2, poller) {{unknown}}');
+
+    const { errors } = validateChannel({ name: 'tpl', type: 'file', template: { title: '{{name}} {{price}}', body: '' } });
+    assert.deepEqual(errors, [
+        'template.title uses unknown fields: price (available: name, recommendation, confidence, buyPrice, listPrice, netPrice, profit, profitPercentage, timeEstimate, trend, currency, appId, game, source)',
+        'template.body must be a non-empty string'
+    ]);
+});
+
+test('quiet hours may wrap past midnight and follow the channel timezone', () => {
+    const night = { start: '22:00', end: '07:00', timezone: 'Europe/Berlin' };
+    // 21:30 UTC is 22:30 in Berlin in winter
+    assert.equal(isQuietTime(night, new Date(Date.UTC(2026, 0, 15, 21, 30))), true);
+    assert.equal(isQuietTime(night, new Date(Date.UTC(2026, 0, 15, 5, 59))), true);
+    assert.equal(isQuietTime(night, new Date(Date.UTC(2026, 0, 15, 6, 0))), false);
+    assert.equal(isQuietTime({ start: '09:00', end: '17:00', timezone: 'UTC' }, new Date(Date.UTC(2026, 0, 15, 17, 0))), false);
+    assert.equal(isQuietTime(null), false);
+});
+
+test('deals over the hourly limit, repeated items and quiet hours are suppressed', async () => {
+    const notifier = createNotifier({ delay: async () => {} });
+    const create = async body => {
+        const { errors, values } = validateChannel({ type: 'file', recommendations: ['STRONG_BUY'], ...body });
+        assert.deepEqual(errors, []);
+        await createChannel(values);
+    };
+    await create({ name: 'throttled', throttle: { maxPerHour: 2, itemCooldownMinutes: 60 } });
+
+    const deal = name => ({ ...DEAL, name });
+    const first = await notifier.notifyRecommendations([deal('A'), deal('B'), deal('C')], { currency: 'EUR', appId: 730 });
+    assert.deepEqual(first, { channels: 1, sent: 2, failed: 0, suppressed: 1 });
+    const second = await notifier.notifyRecommendations([deal('A')], { currency: 'EUR', appId: 730 });
+    assert.equal(second.suppressed, 1);
+
+    const reasons = (await listNotifications({ channel: 'throttled', status: 'SUPPRESSED' })).map(entry => `${entry.marketHashName} ${entry.reason}`);
+    assert.deepEqual(reasons.sort(), ['A RATE_LIMITED', 'C RATE_LIMITED']);
+    await updateChannel('throttled', { enabled: false });
+
+    // Quiet from an hour ago until an hour from now (UTC)
+    const hhmm = offsetMs => new Date(Date.now() + offsetMs).toISOString().slice(11, 16);
+    await create({ name: 'quiet', quietHours: { start: hhmm(-3600000), end: hhmm(3600000), timezone: 'UTC' } });
+    assert.deepEqual(await notifier.notifyRecommendations([deal('D')], { currency: 'EUR', appId: 730 }), { channels: 1, sent: 0, failed: 0, suppressed: 1 });
+    assert.equal((await listNotifications({ channel: 'quiet' }))[0].reason, 'QUIET_HOURS');
+    await updateChannel('quiet', { enabled: false });
+});
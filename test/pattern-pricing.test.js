@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzePattern, parsePhase, validatePatternFields, scaleSalesHistory } from '../pattern-pricing.js';
+import { DEFAULT_MODEL_CONFIG } from '../model-config.js';
+
+const KARAMBIT_DOPPLER = '★ Karambit | Doppler (Factory New)';
+
+test('parsePhase reads the usual ways of writing a phase', () => {
+    assert.equal(parsePhase('p2', 'Doppler'), 'Phase 2');
+    assert.equal(parsePhase(4, 'Doppler'), 'Phase 4');
+    assert.equal(parsePhase(' black  pearl ', 'Doppler'), 'Black Pearl');
+    assert.equal(parsePhase('Emerald', 'Doppler'), null);
+    assert.equal(parsePhase('emerald', 'Gamma Doppler'), 'Emerald');
+});
+
+test('a Doppler phase scales the shared median by its multiplier', () => {
+    const { errors, pattern } = analyzePattern(KARAMBIT_DOPPLER, { phase: 'Phase 2' }, DEFAULT_MODEL_CONFIG);
+
+    assert.deepEqual(errors, []);
+    assert.equal(pattern.multiplier, 1.12);
+    assert.equal(pattern.confidencePenalty, DEFAULT_MODEL_CONFIG.patternPricing.confidencePenalty);
+    assert.equal(pattern.specialHandling, false);
+});
+
+test('rare phases and blue gem seeds are flagged instead of priced', () => {
+    const ruby = analyzePattern(KARAMBIT_DOPPLER, { patternIndex: 415 }, DEFAULT_MODEL_CONFIG).pattern;
+    assert.equal(ruby.phase, 'Ruby');
+    assert.equal(ruby.rarity, 'RUBY');
+    assert.equal(ruby.multiplier, 1);
+    assert.equal(ruby.specialHandling, true);
+
+    const blueGem = analyzePattern('StatTrak™ AK-47 | Case Hardened (Field-Tested)', { paintSeed: 661 }, DEFAULT_MODEL_CONFIG).pattern;
+    assert.equal(blueGem.rarity, 'BLUE_GEM');
+    assert.equal(analyzePattern('AK-47 | Case Hardened (Field-Tested)', { paintSeed: 662 }, DEFAULT_MODEL_CONFIG).pattern.rarity, null);
+});
+
+test('fade percentages above the baseline add a premium, below it a discount', () => {
+    const fade = percentage => analyzePattern('★ Karambit | Fade (Factory New)', { fadePercentage: percentage }, DEFAULT_MODEL_CONFIG).pattern.multiplier;
+    assert.equal(fade(100), 1.15);
+    assert.equal(fade('90%'), 1);
+    assert.equal(fade(80), 0.9);
+});
+
+test('pattern fields are checked against the finish', () => {
+    assert.deepEqual(validatePatternFields({ patternIndex: 415, phase: 'Phase 1' }, 'Doppler').errors, ['phase Phase 1 does not match patternIndex 415 (Ruby)']);
+    assert.deepEqual(validatePatternFields({ phase: 'Phase 1' }, 'Fade').errors, ['phase only applies to Doppler and Gamma Doppler skins']);
+    assert.deepEqual(validatePatternFields({ fadePercentage: 101 }, 'Fade').errors, ['fadePercentage must be between 0 and 100']);
+    assert.deepEqual(validatePatternFields({ paintSeed: 1001 }, 'Case Hardened').errors, ['paintSeed must be an integer between 0 and 1000']);
+    // Skins without a pattern finish have nothing to analyze
+    assert.deepEqual(analyzePattern('AK-47 | Redline (Field-Tested)', {}, DEFAULT_MODEL_CONFIG), { errors: [], pattern: null });
+});
+
+test('scaleSalesHistory scales prices but not volumes', () => {
+    const scaled = scaleSalesHistory({ last_7_days: { min: 100, max: 200, avg: 150, median: 140, volume: 12 }, last_24_hours: null }, 1.1);
+    const { volume, ...prices } = scaled.last_7_days;
+    assert.deepEqual(Object.values(prices).map(price => Math.round(price * 100) / 100), [110, 220, 165, 154]);
+    assert.equal(volume, 12);
+    assert.equal(scaled.last_24_hours, null);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateRealizedPnl, validatePurchase, createPosition, recordSale, recalculateSale, updatePosition } from '../portfolio.js';
+import { resolveFeeSchedule, DEFAULT_FEE_SCHEDULE } from '../fee-schedule.js';
+
+test('realized P&L is net of the seller fee and includes the purchase fee in the cost basis', () => {
+    assert.deepEqual(calculateRealizedPnl({ purchasePrice: 10, purchaseFee: 0.5 }, 14, DEFAULT_FEE_SCHEDULE), {
+        salePrice: 14,
+        saleFee: 1.12,
+        withdrawalFee: 0,
+        netProceeds: 12.88,
+        costBasis: 10.5,
+        realizedProfit: 2.38,
+        realizedProfitPercentage: 22.67
+    });
+});
+
+test('realized P&L can be a loss and counts withdrawal costs', () => {
+    const { schedule } = resolveFeeSchedule({ rate: 0.1, withdrawal: { rate: 0, fixed: 1 } });
+    const pnl = calculateRealizedPnl({ purchasePrice: 20 }, 20, schedule);
+
+    assert.equal(pnl.netProceeds, 17);
+    assert.equal(pnl.realizedProfit, -3);
+    assert.equal(pnl.realizedProfitPercentage, -15);
+});
+
+test('validatePurchase parses decimal commas and rejects bad values', () => {
+    const { errors, values } = validatePurchase({ marketHashName: ' AK-47 |  Redline (Field-Tested) ', purchasePrice: '9,50', currency: 'usd' });
+    assert.deepEqual(errors, []);
+    assert.equal(values.marketHashName, 'AK-47 | Redline (Field-Tested)');
+    assert.equal(values.purchasePrice, 9.5);
+    assert.equal(values.currency, 'USD');
+
+    assert.equal(validatePurchase({ marketHashName: 'x', purchasePrice: 0 }).errors.length, 1);
+    assert.deepEqual(validatePurchase({ purchaseFee: -1 }, { partial: true }).errors, ['purchaseFee must be zero or a positive number']);
+});
+
+test('a corrected purchase price recalculates a recorded sale', async () => {
+    const { values } = validatePurchase({ marketHashName: 'AWP | Asiimov (Field-Tested)', purchasePrice: 50 });
+    const position = await createPosition(values);
+    const id = position._id.toHexString();
+
+    const sold = await recordSale(id, { salePrice: 60, soldAt: new Date(), feeSchedule: DEFAULT_FEE_SCHEDULE });
+    assert.equal(sold.sale.realizedProfit, 5.2);
+    assert.equal(await recordSale(id, { salePrice: 70, soldAt: new Date(), feeSchedule: DEFAULT_FEE_SCHEDULE }), null);
+
+    const corrected = await recalculateSale(await updatePosition(id, { purchasePrice: 45 }));
+    assert.equal(corrected.sale.realizedProfit, 10.2);
+    assert.equal(corrected.sale.salePrice, 60);
+});
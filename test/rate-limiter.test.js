@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, createMemoryRateLimitStore, createMongoRateLimitStore } from '../rate-limiter.js';
+
+// Polls every 10ms instead of sleeping until the expected slot (windows in these tests are short)
+const pollDelay = (ms, signal) => new Promise(resolve => {
+    const timer = setTimeout(resolve, 10);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+    }, { once: true });
+});
+
+// Never wakes up on its own - waiters stay queued until aborted
+const parkDelay = (ms, signal) => new Promise(resolve => signal?.addEventListener('abort', resolve, { once: true }));
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+test('memory store hands out at most maxRequests slots per window', async () => {
+    const store = createMemoryRateLimitStore({ maxRequests: 2, windowMs: 1000 });
+    const now = Date.now();
+
+    assert.equal((await store.reserve(now)).granted, true);
+    assert.equal((await store.reserve(now)).granted, true);
+    assert.equal((await store.reserve(now)).granted, false);
+    assert.equal((await store.reserve(now + 1001)).granted, true);
+    assert.equal((await store.getTimestamps(now + 1001)).length, 1);
+});
+
+test('limiters sharing a mongodb store never exceed the limit together', async () => {
+    const options = { maxRequests: 3, windowMs: 60000, key: 'shared-test' };
+    const limiters = ['a', 'b'].map(instance => createRateLimiter({
+        store: createMongoRateLimitStore({ ...options, instanceId: instance }),
+        maxRequests: 3,
+        windowMs: 60000,
+        delay: parkDelay
+    }));
+    await Promise.all(limiters.map(limiter => limiter.init()));
+
+    const controller = new AbortController();
+    let granted = 0;
+    const requests = limiters.flatMap(limiter => [1, 2, 3, 4].map(() => limiter.acquire({ signal: controller.signal }).then(() => { granted++; })));
+    await settle();
+
+    assert.equal(granted, 3);
+    const waiting = limiters.reduce((sum, limiter) => sum + limiter.getQueue().length, 0);
+    assert.equal(waiting, 5);
+
+    // A restarted instance sees the slots already in use
+    const restarted = createRateLimiter({ store: createMongoRateLimitStore(options), maxRequests: 3, windowMs: 60000, delay: parkDelay });
+    await restarted.init();
+    assert.equal(restarted.getUsage(), 3);
+
+    controller.abort(new Error('test done'));
+    const results = await Promise.allSettled(requests);
+    assert.equal(results.filter(result => result.status === 'rejected').length, 5);
+});
+
+test('interactive requests are served before queued background requests', async () => {
+    const limiter = createRateLimiter({
+        store: createMemoryRateLimitStore({ maxRequests: 1, windowMs: 30 }),
+        maxRequests: 1,
+        windowMs: 30,
+        bufferMs: 0,
+        delay: pollDelay
+    });
+    await limiter.init();
+
+    const order = [];
+    const acquire = (label, priority) => limiter.acquire({ label, priority }).then(() => order.push(label));
+    await acquire('first', 'interactive');
+    const queued = [acquire('refresh', 'background'), acquire('user', 'interactive')];
+
+    assert.deepEqual(limiter.getQueue().map(waiter => waiter.label), ['user', 'refresh']);
+    await Promise.all(queued);
+    assert.deepEqual(order, ['first', 'user', 'refresh']);
+});
+
+test('background requests leave the interactive reserve free', async () => {
+    const limiter = createRateLimiter({
+        store: createMemoryRateLimitStore({ maxRequests: 2, windowMs: 60000 }),
+        maxRequests: 2,
+        windowMs: 60000,
+        reservedForInteractive: 1,
+        delay: parkDelay
+    });
+    await limiter.init();
+
+    await limiter.acquire({ priority: 'background' });
+    assert.equal(await limiter.hasBackgroundHeadroom(), false);
+
+    const controller = new AbortController();
+    const background = limiter.acquire({ priority: 'background', signal: controller.signal });
+    await limiter.acquire({ priority: 'interactive' });
+    assert.equal(limiter.getUsage(), 2);
+
+    controller.abort(new Error('test done'));
+    await assert.rejects(background, /test done/);
+    assert.deepEqual(limiter.getQueue(), []);
+});
+
+test('rejects an interactive reserve that leaves nothing for background requests', () => {
+    assert.throws(() => createRateLimiter({ store: createMemoryRateLimitStore({ maxRequests: 2, windowMs: 1000 }), maxRequests: 2, windowMs: 1000, reservedForInteractive: 2 }));
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordSalesHistory } from '../market-history.js';
+import {
+    createRecommendationTracker,
+    classifyOutcome,
+    selectCheckpointFetches,
+    summarizeSales
+} from '../recommendation-tracker.js';
+
+const REDLINE = 'AK-47 | Redline (Field-Tested)';
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const RECOMMENDED_AT = new Date(Date.UTC(2026, 0, 1));
+const after = hours => new Date(RECOMMENDED_AT.getTime() + hours * HOUR_MS);
+
+const RECOMMENDATION = { recommendedAt: RECOMMENDED_AT, inputs: { grossAchievablePrice: 12, breakEvenGrossPrice: 10 } };
+
+const day = (volume, median) => ({ min: median, max: median, avg: median, median, volume });
+const fetchAt = (hours, volume, median) => ({ fetchedAt: after(hours), last_24_hours: day(volume, median) });
+
+test('classifyOutcome compares the median sale with the list and break-even prices', () => {
+    assert.equal(classifyOutcome(RECOMMENDATION, { volume: 4, medianSale: 12.5 }), 'HIT');
+    assert.equal(classifyOutcome(RECOMMENDATION, { volume: 4, medianSale: 11 }), 'PARTIAL');
+    assert.equal(classifyOutcome(RECOMMENDATION, { volume: 4, medianSale: 9 }), 'MISS');
+    assert.equal(classifyOutcome(RECOMMENDATION, { volume: 0, medianSale: null }), 'MISS');
+    assert.equal(classifyOutcome(RECOMMENDATION, null), 'MISS');
+});
+
+test('a single high sale does not make a hit', () => {
+    const sales = summarizeSales([
+        { last_24_hours: day(1, 30) },
+        { last_24_hours: day(5, 9) }
+    ]);
+
+    assert.deepEqual(sales, { coveredDays: 2, volume: 6, medianSale: 9 });
+    assert.equal(classifyOutcome(RECOMMENDATION, sales), 'MISS');
+});
+
+test('a checkpoint is judged on fetches after the recommendation that end at its due time', () => {
+    // Newest first: a late fetch, the day-3 fetch, an overlapping one, day 2, day 1 and one taken at the recommendation
+    const history = [fetchAt(160, 9, 20), fetchAt(74, 3, 12), fetchAt(60, 2, 12), fetchAt(49, 1, 12), fetchAt(25, 2, 11), fetchAt(1, 40, 8)];
+
+    const fetches = selectCheckpointFetches(history, RECOMMENDED_AT, after(72));
+    assert.deepEqual(fetches.map(fetch => fetch.fetchedAt), [after(74), after(49), after(25)]);
+
+    // Nothing fetched within the tolerance after day 7
+    assert.deepEqual(selectCheckpointFetches(history, RECOMMENDED_AT, after(168)), []);
+    assert.deepEqual(selectCheckpointFetches(history, RECOMMENDED_AT, after(150)).map(fetch => fetch.fetchedAt), [after(160), after(74), after(49), after(25)]);
+});
+
+test('each due checkpoint is evaluated from its own stored sales history', async () => {
+    // Each test uses its own currency so stored history doesn't leak between tests
+    const currency = 'CHF';
+    const tracker = createRecommendationTracker({
+        fetchSalesHistoryBatch: async () => { throw new Error('no fetch expected'); },
+        createBatches: names => [names],
+        hasHeadroom: async () => false
+    });
+    await tracker.recordRecommendations([{
+        name: REDLINE,
+        skinportPrice: '8.00',
+        grossAchievablePrice: '12.00',
+        achievablePrice: '10.80',
+        profitAmount: '2.80',
+        profitPercentage: '35',
+        currentMinPrice: '12.50',
+        currentQuantity: 20,
+        salesVolume: 30,
+        salesVelocity: '1.2',
+        feeBreakdown: { breakEvenGrossPrice: 9, schedule: 'test', totalFee: 1.2 }
+    }], { currency, appId: 730 });
+    const [recommendation] = await tracker.listRecommendations({ marketHashName: REDLINE });
+    const recommendedAt = recommendation.recommendedAt.getTime();
+    const sales = (hours, volume, median) => ({ [REDLINE]: { market_hash_name: REDLINE, last_24_hours: day(volume, median) } });
+
+    await recordSalesHistory(sales(25, 3, 12.2), currency, 730, new Date(recommendedAt + 25 * HOUR_MS));
+    await recordSalesHistory(sales(73, 4, 9.5), currency, 730, new Date(recommendedAt + 73 * HOUR_MS));
+
+    // Evaluated late on day 8: day 1 and day 3 use their own fetches, day 7 has none
+    const result = await tracker.evaluateDueRecommendations(new Date(recommendedAt + 8 * DAY_MS));
+    assert.deepEqual(result, { due: 1, evaluated: 1, deferred: 0 });
+
+    const [evaluated] = await tracker.listRecommendations({ marketHashName: REDLINE });
+    assert.deepEqual(evaluated.checkpoints.map(checkpoint => checkpoint.status), ['HIT', 'PARTIAL', 'NO_DATA']);
+    assert.equal(evaluated.checkpoints[1].evidence.medianSale, 9.5);
+    assert.equal(evaluated.nextCheckpointAt, null);
+
+    const report = await tracker.getAccuracyReport({ currency });
+    assert.deepEqual(report.overall.overall, { evaluated: 2, hit: 1, partial: 1, miss: 0, noData: 1, hitRate: 50 });
+});
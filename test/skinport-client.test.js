@@ -0,0 +1,181 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import {
+    createSkinportClient,
+    parseRetryAfter,
+    SkinportHttpError,
+    SkinportRateLimitError,
+    SkinportResponseError,
+    SkinportTimeoutError
+} from '../skinport-client.js';
+import { createPayloadQuarantine } from '../skinport-schema.js';
+
+const ITEM = { market_hash_name: 'AK-47 | Redline (Field-Tested)', min_price: 10, max_price: 30, mean_price: 15, median_price: 14, quantity: 20 };
+
+// Response stand-in: `body` is JSON-encoded unless it already is a Buffer
+function response(status, body = [], headers = {}) {
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(JSON.stringify(body));
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: status === 200 ? 'OK' : 'Error',
+        headers: new Headers(headers),
+        arrayBuffer: async () => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length)
+    };
+}
+
+// Client whose fetch answers with `responses` in turn and whose waits are recorded instead of slept
+function testClient(responses, options = {}) {
+    const calls = [];
+    const waits = [];
+    const client = createSkinportClient({
+        baseUrl: 'https://skinport.test/v1',
+        fetchImpl: async (url, init) => {
+            calls.push({ url, init });
+            const next = responses[Math.min(calls.length, responses.length) - 1];
+            return typeof next === 'function' ? next(init) : next;
+        },
+        delay: async ms => { waits.push(ms); },
+        baseDelayMs: 100,
+        random: () => 0,
+        ...options
+    });
+    return { client, calls, waits };
+}
+
+test('parseRetryAfter reads delta seconds and HTTP dates', () => {
+    const now = Date.UTC(2026, 0, 1, 12, 0, 0);
+    assert.equal(parseRetryAfter('30', now), 30000);
+    assert.equal(parseRetryAfter(new Date(now + 5000).toUTCString(), now), 5000);
+    assert.equal(parseRetryAfter(null, now), null);
+    assert.equal(parseRetryAfter('soon', now), null);
+});
+
+test('retries 5xx responses with exponential backoff', async () => {
+    const { client, calls, waits } = testClient([response(503), response(502), response(200, [ITEM])]);
+
+    const items = await client.getItems({ appId: 730, currency: 'EUR' });
+
+    assert.equal(items.length, 1);
+    assert.equal(calls.length, 3);
+    assert.deepEqual(waits, [50, 100]);
+    assert.match(calls[0].url, /^https:\/\/skinport\.test\/v1\/items\?app_id=730&currency=EUR$/);
+});
+
+test('waits for the Retry-After of a 429 and reports it as a rate limit wait', async () => {
+    const rateLimitWaits = [];
+    const { client, waits } = testClient([response(429, { message: 'slow down' }, { 'Retry-After': '3' }), response(200, [ITEM])]);
+
+    await client.getItems({ appId: 730, currency: 'EUR' }, { onRateLimitWait: wait => rateLimitWaits.push(wait) });
+
+    assert.deepEqual(waits, [3000]);
+    assert.equal(rateLimitWaits.length, 1);
+    assert.equal(rateLimitWaits[0].reason, 'retry_after');
+});
+
+test('gives up straight away when Retry-After exceeds maxRetryAfterMs', async () => {
+    const { client, calls } = testClient([response(429, {}, { 'Retry-After': '600' })], { maxRetryAfterMs: 60000 });
+
+    await assert.rejects(client.getItems({ appId: 730, currency: 'EUR' }), error => {
+        assert.ok(error instanceof SkinportRateLimitError);
+        assert.equal(error.retryAfterMs, 600000);
+        assert.equal(error.attempts, 1);
+        return true;
+    });
+    assert.equal(calls.length, 1);
+});
+
+test('does not retry client errors', async () => {
+    const { client, calls } = testClient([response(400, { message: 'bad app_id' })]);
+
+    await assert.rejects(client.getItems({ appId: 1, currency: 'EUR' }), error => {
+        assert.ok(error instanceof SkinportHttpError);
+        assert.equal(error.status, 400);
+        assert.equal(error.retryable, false);
+        return true;
+    });
+    assert.equal(calls.length, 1);
+});
+
+test('reports the attempts made once the retries are used up', async () => {
+    const beforeRequest = [];
+    const { client, calls } = testClient([response(500)], { maxRetries: 2, beforeRequest: async request => { beforeRequest.push(request.label); } });
+
+    await assert.rejects(client.getItems({ appId: 730, currency: 'EUR' }), error => {
+        assert.ok(error instanceof SkinportHttpError);
+        assert.equal(error.attempts, 3);
+        assert.deepEqual(error.toJSON(), { code: 'HTTP_ERROR', endpoint: '/items', status: 500, attempts: 3, message: error.message });
+        return true;
+    });
+    assert.equal(calls.length, 3);
+    assert.deepEqual(beforeRequest, ['GET /items', 'GET /items', 'GET /items']);
+});
+
+test('times out an attempt that gets no response', async () => {
+    // Answers only after 5s (the pending timer also keeps the test alive) - the attempt times out first
+    const hang = init => new Promise((resolve, reject) => {
+        const keepAlive = setTimeout(resolve, 5000);
+        init.signal.addEventListener('abort', () => {
+            clearTimeout(keepAlive);
+            reject(init.signal.reason);
+        });
+    });
+    const { client, calls } = testClient([hang], { timeoutMs: 20, maxRetries: 1 });
+
+    await assert.rejects(client.getItems({ appId: 730, currency: 'EUR' }), error => {
+        assert.ok(error instanceof SkinportTimeoutError);
+        assert.equal(error.attempts, 2);
+        return true;
+    });
+    assert.equal(calls.length, 2);
+});
+
+test('rejects a payload that is not an array', async () => {
+    const { client } = testClient([response(200, { items: [] })]);
+
+    await assert.rejects(client.getItems({ appId: 730, currency: 'EUR' }), SkinportResponseError);
+});
+
+const names = records => records.map(record => record.market_hash_name);
+
+test('decodes brotli and gzip bodies', async () => {
+    const body = Buffer.from(JSON.stringify([ITEM]));
+    const { client } = testClient([
+        response(200, zlib.brotliCompressSync(body), { 'Content-Encoding': 'br' }),
+        response(200, zlib.gzipSync(body), { 'Content-Encoding': 'gzip' })
+    ]);
+
+    assert.deepEqual(names(await client.getItems({ appId: 730, currency: 'EUR' })), [ITEM.market_hash_name]);
+    assert.deepEqual(names(await client.getItems({ appId: 730, currency: 'EUR' })), [ITEM.market_hash_name]);
+});
+
+test('retries a corrupt compressed body and rejects an unknown encoding', async () => {
+    const corrupt = testClient([response(200, Buffer.from('not gzip'), { 'Content-Encoding': 'gzip' }), response(200, [ITEM])]);
+    assert.deepEqual(names(await corrupt.client.getItems({ appId: 730, currency: 'EUR' })), [ITEM.market_hash_name]);
+    assert.equal(corrupt.calls.length, 2);
+
+    const unknown = testClient([response(200, Buffer.from('[]'), { 'Content-Encoding': 'zstd' })]);
+    await assert.rejects(unknown.client.getItems({ appId: 730, currency: 'EUR' }), error => {
+        assert.ok(error instanceof SkinportResponseError);
+        assert.equal(error.retryable, false);
+        return true;
+    });
+    assert.equal(unknown.calls.length, 1);
+});
+
+test('quarantines malformed records and returns the valid ones', async () => {
+    const quarantine = createPayloadQuarantine();
+    const malformed = { market_hash_name: 'AWP | Asiimov (Field-Tested)', min_price: 11, max_price: 30, mean_price: null, median_price: null, quantity: 50 };
+    const { client } = testClient([response(200, [ITEM, malformed])], { quarantine });
+
+    assert.deepEqual(names(await client.getItems({ appId: 730, currency: 'EUR' })), [ITEM.market_hash_name]);
+    assert.equal(quarantine.getStatus().byEndpoint['/items'], 1);
+    assert.deepEqual(quarantine.getSamples()[0].record, malformed);
+});
+
+test('rejects a payload whose records are all malformed', async () => {
+    const { client } = testClient([response(200, [{ market_hash_name: '' }])], { quarantine: createPayloadQuarantine() });
+
+    await assert.rejects(client.getItems({ appId: 730, currency: 'EUR' }), /all malformed/);
+});
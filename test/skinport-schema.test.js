@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateItemRecord, validateSalesHistoryRecord, partitionRecords, createPayloadQuarantine } from '../skinport-schema.js';
+import { analyzeItem } from '../pricing-engine.js';
+
+const NAME = 'AK-47 | Redline (Field-Tested)';
+
+// Listed, but Skinport left the mean and median out
+const PARTIAL_PRICES = { market_hash_name: NAME, min_price: 11, max_price: 30, mean_price: null, median_price: null, quantity: 50 };
+
+const timeframe = volume => ({ min: 9, max: 14, avg: 11.5, median: 11.5, volume });
+const SALES = { market_hash_name: NAME, last_24_hours: timeframe(3), last_7_days: timeframe(25), last_30_days: timeframe(100), last_90_days: timeframe(300) };
+
+test('validateItemRecord keeps the fields of a complete record', () => {
+    const { errors, values } = validateItemRecord({ ...PARTIAL_PRICES, mean_price: 15, median_price: 14, suggested_price: null, currency: 'EUR' });
+
+    assert.deepEqual(errors, []);
+    assert.equal(values.median_price, 14);
+    assert.equal(values.currency, undefined);
+});
+
+test('validateItemRecord accepts an unlisted item without prices', () => {
+    const { errors, values } = validateItemRecord({ market_hash_name: NAME, min_price: null, max_price: null, mean_price: null, median_price: null, quantity: 0 });
+
+    assert.deepEqual(errors, []);
+    assert.equal(values.min_price, null);
+});
+
+test('validateItemRecord rejects a listed item with missing prices', () => {
+    const { errors, values } = validateItemRecord(PARTIAL_PRICES);
+
+    assert.equal(values, null);
+    assert.deepEqual(errors, ['mean_price, median_price missing on a listed item (quantity 50)']);
+});
+
+test('validateItemRecord rejects listings without a min_price and malformed values', () => {
+    assert.notDeepEqual(validateItemRecord({ market_hash_name: NAME, min_price: null, max_price: null, mean_price: null, median_price: null, quantity: 3 }).errors, []);
+    assert.notDeepEqual(validateItemRecord({ ...PARTIAL_PRICES, mean_price: '15', median_price: 14 }).errors, []);
+    assert.notDeepEqual(validateItemRecord({ ...PARTIAL_PRICES, mean_price: 15, median_price: 14, min_price: 40 }).errors, []);
+    assert.deepEqual(validateItemRecord([]).errors, ['record must be an object']);
+});
+
+test('analyzeItem prices an item whose market data lacks mean and median', () => {
+    const result = analyzeItem({ marketHashName: NAME, price: 6 }, PARTIAL_PRICES, SALES, { minProfitAmount: 0, minProfitPercentage: 0 });
+
+    assert.equal(result.accepted, true);
+    assert.equal(result.item.currentMinPrice, '11.00');
+    assert.equal(result.item.currentMeanPrice, null);
+    assert.equal(result.item.currentMedianPrice, null);
+});
+
+test('validateSalesHistoryRecord allows null prices only for timeframes without sales', () => {
+    assert.deepEqual(validateSalesHistoryRecord(SALES).errors, []);
+    const noSales = { min: null, max: null, avg: null, median: null, volume: 0 };
+    assert.deepEqual(validateSalesHistoryRecord({ ...SALES, last_24_hours: noSales }).errors, []);
+    assert.deepEqual(validateSalesHistoryRecord({ ...SALES, last_24_hours: { ...noSales, volume: 2 } }).errors.length, 4);
+});
+
+test('partitionRecords and the quarantine keep malformed records aside', () => {
+    const { records, quarantined } = partitionRecords([{ ...PARTIAL_PRICES, mean_price: 15, median_price: 14 }, PARTIAL_PRICES, null], validateItemRecord);
+    assert.equal(records.length, 1);
+    assert.equal(quarantined.length, 2);
+
+    const quarantine = createPayloadQuarantine({ maxSamples: 1 });
+    quarantine.add('/items', quarantined, { appId: 730, currency: 'EUR' });
+    quarantine.add('/items', [], { appId: 730, currency: 'EUR' });
+
+    const status = quarantine.getStatus();
+    assert.equal(status.total, 2);
+    assert.deepEqual(status.byEndpoint, { '/items': 2 });
+    const samples = quarantine.getSamples();
+    assert.equal(samples.length, 1);
+    assert.equal(samples[0].record, null);
+    assert.equal(samples[0].appId, 730);
+});
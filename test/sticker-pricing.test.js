@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeAppliedItems, validateAppliedItems, appliedItemNames } from '../sticker-pricing.js';
+import { DEFAULT_MODEL_CONFIG } from '../model-config.js';
+
+const sales = median => ({ salesData: { last_7_days: { min: median, max: median, avg: median, median, volume: 5 } } });
+const listing = minPrice => ({ marketData: { min_price: minPrice } });
+
+const APPLIED_DATA = {
+    'Sticker | Crown (Foil)': sales(100),
+    'Sticker | Titan | Katowice 2014': sales(500),
+    'Sticker | Cheap': sales(1.05),
+    'Charm | Lil\' Squirt': listing(20)
+};
+
+const analyze = (item, fxRate = 1) => analyzeAppliedItems(item, APPLIED_DATA, { fxRate, model: DEFAULT_MODEL_CONFIG });
+
+test('stickers add a share of their own price - more for a matching set, little when scraped', () => {
+    const { errors, analysis } = analyze({
+        stickers: [
+            ...[0, 1, 2, 3].map(slot => ({ name: 'Crown (Foil)', slot })),
+            { name: 'Titan | Katowice 2014', slot: 4, wear: 0.3 }
+        ],
+        charms: ['Lil\' Squirt']
+    });
+
+    assert.deepEqual(errors, []);
+    // 4 x 100 x 8% x 1.5 + 500 x 8% x 0.1 + 20 x 15%
+    assert.deepEqual(analysis.stickers.map(sticker => sticker.overpay), [12, 12, 12, 12, 4]);
+    assert.equal(analysis.charms[0].priceSource, 'listing');
+    assert.equal(analysis.charms[0].overpay, 3);
+    assert.equal(analysis.stickerValue, 920);
+    assert.equal(analysis.realisticOverpay, 55);
+    assert.equal(analysis.overpayShare, 5.98);
+});
+
+test('stickers below the minimum value (converted into the request currency) add nothing', () => {
+    assert.equal(analyze({ stickers: ['Cheap'] }).analysis.realisticOverpay, 0.08);
+    assert.equal(analyze({ stickers: ['Cheap'] }, 1.08).analysis.realisticOverpay, 0);
+});
+
+test('stickers without market data are reported as missing', () => {
+    const { analysis } = analyze({ stickers: ['Unknown Sticker'] });
+    assert.deepEqual(analysis.missing, ['Sticker | Unknown Sticker']);
+    assert.equal(analysis.realisticOverpay, 0);
+
+    assert.deepEqual(analyze({}), { errors: [], analysis: null });
+});
+
+test('applied items are validated and named with their prefix', () => {
+    assert.deepEqual(appliedItemNames({ stickers: ['Crown (Foil)', 'Sticker | Crown (Foil)'], charms: [{ name: 'Charm | Lil\' Squirt' }] }), ['Sticker | Crown (Foil)', 'Charm | Lil\' Squirt']);
+
+    assert.deepEqual(validateAppliedItems({ stickers: [{ name: 'A', slot: 1 }, { name: 'B', slot: 1 }] }).errors, ['stickers[1].slot 1 is already taken']);
+    assert.deepEqual(validateAppliedItems({ stickers: [{ name: 'A', wear: 2 }] }).errors, ['stickers[0].wear must be between 0 (intact) and 1']);
+    assert.deepEqual(validateAppliedItems({ stickers: Array(6).fill('A') }).errors, ['stickers must be an array of at most 5 { name, slot, wear }']);
+    assert.deepEqual(validateAppliedItems({ charms: [{}] }).errors, ['charms[0].name is required']);
+});